@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { run } from '../src/cli.js'
+
+const controller = new AbortController()
+process.once('SIGINT', () => controller.abort())
+
+process.exitCode = await run(process.argv.slice(2), { signal: controller.signal })
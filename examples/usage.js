@@ -27,6 +27,7 @@ import {
   WdkIndexerNetworkError,
   isTokenTransfersResponse,
   isTokenBalanceResponse,
+  isValidAddress,
   BLOCKCHAINS
 } from '../index.js'
 
@@ -178,35 +179,23 @@ async function trackTotalHoldings (address) {
   console.log(`Address: ${address}`)
 
   try {
-    const requests = BLOCKCHAINS.map((blockchain) => ({
-      blockchain,
-      token: 'usdt',
-      address
-    }))
-
-    const results = await client.getBatchTokenBalances(requests)
+    // Only query the chains that accept this address format
+    const chains = BLOCKCHAINS.filter((blockchain) => isValidAddress(blockchain, address))
 
-    let total = 0
-    const balances = {}
+    const portfolio = await client.getPortfolio(
+      Object.fromEntries(chains.map((blockchain) => [blockchain, address])),
+      { tokens: ['usdt'] }
+    )
 
-    for (let i = 0; i < results.length; i++) {
-      const result = results[i]
-      const chain = BLOCKCHAINS[i]
-
-      if (chain && isTokenBalanceResponse(result)) {
-        const amount = parseFloat(result.tokenBalance.amount)
-        if (amount > 0) {
-          balances[chain] = result.tokenBalance.amount
-          total += amount
-        }
-      }
+    console.log('\nBalances by chain:')
+    for (const [chain, { usdt }] of Object.entries(portfolio.chains)) {
+      console.log(`  ${chain}: ${usdt}`)
     }
+    console.log(`\nTotal: ${portfolio.totals.usdt ?? '0'}`)
 
-    console.log('\nBalances by chain:')
-    for (const [chain, amount] of Object.entries(balances)) {
-      console.log(`  ${chain}: ${amount}`)
+    for (const { blockchain, error } of portfolio.failed) {
+      console.log(`  ${blockchain}: Error - ${error.message}`)
     }
-    console.log(`\nTotal: ${total}`)
   } catch (error) {
     handleError(error)
   }
@@ -243,7 +232,7 @@ async function main () {
   await getTransfers()
   await getBatchBalances()
   await getBatchTransfers()
-  await trackTotalHoldings('0x742d35Cc6634C0532925a3b844Bc9e7595f5aB12')
+  await trackTotalHoldings('0x742d35CC6634c0532925A3b844BC9e7595f5Ab12')
 }
 
 main().catch(console.error)
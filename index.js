@@ -20,64 +20,125 @@
  * Provides access to blockchain token transfers and balances across multiple networks.
  */
 
-/** Supported blockchain networks */
-export const BLOCKCHAINS = [
-  'ethereum',
-  'sepolia',
-  'plasma',
-  'arbitrum',
-  'polygon',
-  'tron',
-  'ton',
-  'bitcoin',
-  'spark'
-]
-
-/** Supported tokens */
-export const TOKENS = ['usdt', 'xaut', 'btc']
+import { EventEmitter } from 'events'
 
-/**
- * Base error class for SDK errors
- */
-export class WdkIndexerError extends Error {
-  constructor (message) {
-    super(message)
-    this.name = 'WdkIndexerError'
-  }
-}
+import {
+  WdkIndexerError,
+  WdkIndexerApiError,
+  WdkIndexerAuthError,
+  WdkIndexerAbortError,
+  createApiError,
+  WdkIndexerCircuitOpenError,
+  WdkIndexerTimeoutError,
+  WdkIndexerNetworkError
+} from './src/errors.js'
+import {
+  resolveRetryOptions,
+  isRetryableError,
+  getRetryDelay,
+  parseRetryAfter,
+  sleep
+} from './src/retry.js'
+import { paginateTokenTransfers } from './src/pagination.js'
+import { resolveBatchOptions, runChunkedBatch } from './src/batch.js'
+import { validateRequest, validateBatchRequests } from './src/validation.js'
+import {
+  normalizeTokenBalanceResponse,
+  normalizeTokenTransfersResponse
+} from './src/amounts.js'
+import { ResponseCache, getAddressCacheKey } from './src/cache.js'
+import { EndpointPool, isEndpointFailure } from './src/endpoints.js'
+import { RateLimiter } from './src/rate-limit.js'
+import { CircuitBreaker } from './src/circuit-breaker.js'
+import { TransferWatcher } from './src/watcher.js'
+import { BalanceMonitor } from './src/balance-monitor.js'
+import { getPortfolio } from './src/portfolio.js'
+import { getHistoricalBalance, getBalanceHistory } from './src/history.js'
+import { createTransferExportStream } from './src/export.js'
+import { classifyTokenTransfersResponse } from './src/direction.js'
+import { resolveSchemaMode, validateResponse } from './src/schema.js'
+import { RequestTelemetry } from './src/telemetry.js'
+import { createApiKeyAuth } from './src/auth.js'
+import {
+  readResponseBody,
+  getBodySnippet,
+  describeBody,
+  getRequestId
+} from './src/response.js'
+import {
+  runRequestHooks,
+  runResponseHooks,
+  runErrorHooks
+} from './src/middleware.js'
 
-/**
- * Error thrown when the API returns an error response
- */
-export class WdkIndexerApiError extends WdkIndexerError {
-  constructor (apiError) {
-    super(apiError.message)
-    this.name = 'WdkIndexerApiError'
-    this.status = apiError.status
-    this.errorType = apiError.error
-  }
-}
-
-/**
- * Error thrown when a request times out
- */
-export class WdkIndexerTimeoutError extends WdkIndexerError {
-  constructor (timeout) {
-    super(`Request timed out after ${timeout}ms`)
-    this.name = 'WdkIndexerTimeoutError'
-  }
-}
-
-/**
- * Error thrown when there's a network error
- */
-export class WdkIndexerNetworkError extends WdkIndexerError {
-  constructor (message, cause) {
-    super(message)
-    this.name = 'WdkIndexerNetworkError'
-    this.cause = cause
-  }
-}
+export * from './src/errors.js'
+export {
+  BLOCKCHAINS,
+  TOKENS,
+  SUPPORTED_TOKENS,
+  TOKEN_DECIMALS
+} from './src/constants.js'
+export { DEFAULT_RETRY_OPTIONS } from './src/retry.js'
+export { MAX_TRANSFERS_PAGE_SIZE } from './src/pagination.js'
+export { DEFAULT_BATCH_OPTIONS } from './src/batch.js'
+export {
+  validateAddress,
+  validateBlockchain,
+  validateToken,
+  isValidAddress
+} from './src/validation.js'
+export {
+  getTokenDecimals,
+  parseAmount,
+  formatAmount,
+  addAmounts,
+  compareAmounts
+} from './src/amounts.js'
+export { DEFAULT_CACHE_TTL, MemoryCacheStore } from './src/cache.js'
+export { RateLimiter } from './src/rate-limit.js'
+export { DEFAULT_FAILOVER_OPTIONS, EndpointPool } from './src/endpoints.js'
+export {
+  DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+  CircuitBreaker
+} from './src/circuit-breaker.js'
+export {
+  createApiKeyAuth,
+  createBearerAuth,
+  createSigningAuth
+} from './src/auth.js'
+export {
+  METRIC_NAMES,
+  getRouteTemplate,
+  createOpenTelemetryMetricsSink
+} from './src/telemetry.js'
+export { DEFAULT_WATCH_INTERVAL, TransferWatcher } from './src/watcher.js'
+export { BalanceMonitor } from './src/balance-monitor.js'
+export { BALANCE_HISTORY_INTERVALS } from './src/history.js'
+export {
+  normalizeAddress,
+  isSameAddress,
+  classifyTransfer
+} from './src/direction.js'
+export {
+  getTransferId,
+  dedupeTransfers,
+  compareTransfers,
+  sortTransfers,
+  mergeTransfers,
+  mergeTransferStreams,
+  DEFAULT_MERGE_DEDUPE_WINDOW
+} from './src/transfers.js'
+export { validateResponse } from './src/schema.js'
+export { MAX_BODY_SNIPPET_LENGTH } from './src/response.js'
+export {
+  DEFAULT_EXPORT_COLUMNS,
+  exportTransfers,
+  createTransferExportStream
+} from './src/export.js'
+export {
+  createLoggingMiddleware,
+  createRequestIdMiddleware
+} from './src/middleware.js'
 
 /**
  * Check if a response is an API error
@@ -112,6 +173,27 @@ export function isTokenBalanceResponse (item) {
   return 'tokenBalance' in item
 }
 
+/**
+ * Per-call request options, accepted by every client method
+ * @typedef {object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancels the request, including queueing and retries
+ * @property {number} [timeout] - Timeout in milliseconds for each attempt, overriding the client's
+ * @property {Record<string, string>} [headers] - Extra headers, merged over the default ones
+ */
+
+/**
+ * Pick the per-call request options out of a method's options
+ * @param {RequestOptions} [options]
+ * @returns {RequestOptions}
+ */
+function pickRequestOptions (options) {
+  return {
+    signal: options?.signal,
+    timeout: options?.timeout,
+    headers: options?.headers
+  }
+}
+
 /**
  * Tether WDK Indexer HTTP Client
  *
@@ -129,47 +211,187 @@ export function isTokenBalanceResponse (item) {
  * const balance = await client.getTokenBalance('ethereum', 'usdt', '0x...');
  * ```
  */
-export class WdkIndexerClient {
+export class WdkIndexerClient extends EventEmitter {
   /**
    * Create a new WdkIndexerClient instance
    * @param {object} config - Client configuration
-   * @param {string} config.apiKey - API Key for authentication
-   * @param {string} [config.baseUrl='https://wdk-api.tether.io'] - Base URL for the API
+   * @param {string} [config.apiKey] - API Key for authentication, required unless `auth` is set
+   * @param {import('./src/auth.js').AuthProvider} [config.auth] - Adds the credentials to every request, replacing `apiKey`
+   * @param {string | string[]} [config.baseUrl='https://wdk-api.tether.io'] - Base URL for the API, or an ordered list of endpoints to fail over between
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
    * @param {typeof fetch} [config.fetch] - Custom fetch implementation
+   * @param {boolean | object} [config.retry] - Retry policy, `true` for the defaults (disabled when omitted)
+   * @param {number} [config.retry.maxAttempts=3] - Maximum number of attempts, including the first one
+   * @param {number} [config.retry.baseDelay=250] - Backoff delay before the first retry in milliseconds
+   * @param {number} [config.retry.maxDelay=10000] - Upper bound for a single backoff delay in milliseconds
+   * @param {boolean} [config.retry.jitter=true] - Randomize each backoff delay between 0 and its full value
+   * @param {number[]} [config.retry.retryOnStatus=[429, 502, 503, 504]] - HTTP statuses that are retried
+   * @param {Array<Function>} [config.retry.retryOnErrors] - Error classes that are retried (default: timeout and network errors)
+   * @param {boolean} [config.retry.respectRetryAfter=true] - Wait at least as long as the `Retry-After` header asks
+   * @param {boolean} [config.retry.retryBatch=false] - Also retry the batch POST endpoints
+   * @param {object} [config.batch] - Chunking of batch requests
+   * @param {number} [config.batch.chunkSize=100] - Maximum number of items sent in one batch request
+   * @param {number} [config.batch.concurrency=4] - Maximum number of batch requests in flight
+   * @param {boolean} [config.validate=true] - Validate blockchain, token and address before sending requests
+   * @param {boolean} [config.normalizeAmounts=false] - Add `decimals` and `amountBaseUnits` next to every balance and transfer `amount`
+   * @param {boolean} [config.enrichTransfers=false] - Add `direction`, `counterparty` and `signedAmount` relative to the queried address to every transfer
+   * @param {boolean | 'strict' | 'lenient'} [config.validateResponses=false] - Check response bodies against the response types, `true` for strict
+   * @param {boolean | object} [config.cache] - Response cache, `true` for the defaults (disabled when omitted)
+   * @param {object} [config.cache.ttl] - Time-to-live per method in milliseconds (`health`, `getTokenBalance`, `getTokenTransfers`), 0 disables caching
+   * @param {number} [config.cache.maxEntries=1000] - Size bound of the default in-memory store
+   * @param {import('./src/cache.js').CacheStore} [config.cache.store] - Custom storage backend
+   * @param {object} [config.rateLimit] - Client-side rate limiter (disabled when omitted)
+   * @param {number} config.rateLimit.requestsPerSecond - Sustained request rate
+   * @param {number} [config.rateLimit.burst] - Maximum number of requests sent at once (default: requestsPerSecond)
+   * @param {number} [config.rateLimit.maxQueueLength=Infinity] - Maximum number of requests waiting for the limiter
+   * @param {boolean} [config.rateLimit.adaptive=true] - Adjust to rate-limit headers sent by the server
+   * @param {Array<import('./src/middleware.js').Middleware>} [config.middleware] - Hooks run around every HTTP attempt
+   * @param {object} [config.failover] - Routing between the endpoints of a `baseUrl` list
+   * @param {'priority' | 'latency'} [config.failover.routing='priority'] - Prefer endpoints in list order, or the fastest healthy one
+   * @param {number} [config.failover.healthCheckInterval=30000] - Milliseconds between health checks of all endpoints, 0 disables them
+   * @param {number} [config.failover.failureThreshold=3] - Failures in a row that take an endpoint out of rotation
+   * @param {number} [config.failover.cooldown=30000] - Milliseconds before a failed endpoint gets traffic again
+   * @param {boolean | object} [config.circuitBreaker=false] - Fail fast while the API is degraded, `true` for the defaults
+   * @param {number | null} [config.circuitBreaker.failureThreshold=null] - Failures in a row that open the circuit
+   * @param {number | null} [config.circuitBreaker.failureRateThreshold=0.5] - Share of failed calls that opens the circuit
+   * @param {number | null} [config.circuitBreaker.slowCallDuration=10000] - Milliseconds from which a call counts as slow
+   * @param {number | null} [config.circuitBreaker.slowCallRateThreshold=0.5] - Share of slow calls that opens the circuit
+   * @param {number} [config.circuitBreaker.windowSize=20] - Number of recent calls the rates are computed over
+   * @param {number} [config.circuitBreaker.minimumCalls=10] - Calls needed before the rates are checked
+   * @param {number} [config.circuitBreaker.cooldown=30000] - Milliseconds the circuit stays open
+   * @param {import('./src/telemetry.js').MetricsSink} [config.metrics] - Receives request counts, latencies and errors per route
+   * @param {import('./src/telemetry.js').Tracer} [config.tracer] - An OpenTelemetry tracer, to create a span per call
    */
   constructor (config) {
-    if (!config.apiKey) {
+    super()
+
+    if (!config.apiKey && !config.auth) {
       throw new WdkIndexerError('API key is required')
     }
 
     this.apiKey = config.apiKey
-    this.baseUrl = (config.baseUrl || 'https://wdk-api.tether.io').replace(
-      /\/$/,
-      ''
+    this.auth = config.auth || createApiKeyAuth(config.apiKey)
+    this.endpoints = new EndpointPool(
+      config.baseUrl || undefined,
+      config.failover,
+      (change) => this.emit('endpointChange', change)
     )
     this.timeout = config.timeout || 30000
     this.fetchFn = config.fetch || globalThis.fetch
+    this.retry = resolveRetryOptions(config.retry)
+    this.batch = resolveBatchOptions(config.batch)
+    this.validate = config.validate ?? true
+    this.normalizeAmounts = config.normalizeAmounts ?? false
+    this.enrichTransfers = config.enrichTransfers ?? false
+    this.validateResponses = resolveSchemaMode(config.validateResponses)
+    this.cache = config.cache
+      ? new ResponseCache(config.cache === true ? {} : config.cache)
+      : null
+    this.rateLimiter = config.rateLimit
+      ? new RateLimiter(config.rateLimit)
+      : null
+    this.middleware = config.middleware || []
+    this.circuitBreaker = config.circuitBreaker
+      ? new CircuitBreaker(config.circuitBreaker === true ? undefined : config.circuitBreaker)
+      : null
+    this.metrics = config.metrics || null
+    this.tracer = config.tracer || null
 
     if (!this.fetchFn) {
       throw new WdkIndexerError(
         'fetch is not available. Please provide a custom fetch implementation or use Node.js 18+.'
       )
     }
+
+    this._healthCheckTimer = null
+    const { healthCheckInterval } = this.endpoints.options
+    if (this.endpoints.endpoints.length > 1 && healthCheckInterval > 0) {
+      this._healthCheckTimer = setInterval(() => {
+        this.checkEndpoints().catch(() => {})
+      }, healthCheckInterval)
+      this._healthCheckTimer.unref?.()
+    }
+  }
+
+  /**
+   * Base URL of the preferred endpoint
+   * @type {string}
+   */
+  get baseUrl () {
+    return this.endpoints.current.url
+  }
+
+  /**
+   * Get the state of the circuit breaker, e.g. for dashboards
+   * @returns {{state: 'closed' | 'open' | 'half-open', calls: number, failureRate: number, slowCallRate: number, remainingCooldown: number} | null} The state and the failure rates of the recent calls, or null when the circuit breaker is disabled
+   */
+  getCircuitState () {
+    return this.circuitBreaker?.getStats() ?? null
   }
 
   /**
-   * Make an HTTP request to the API
+   * Stop the background health checks of the endpoints
+   */
+  close () {
+    clearInterval(this._healthCheckTimer)
+    this._healthCheckTimer = null
+  }
+
+  /**
+   * Check the health of every endpoint
+   *
+   * Runs in the background every `failover.healthCheckInterval` when several
+   * endpoints are configured. Successful checks measure the latency used by
+   * `latency` routing and bring failed endpoints back into rotation.
+   *
+   * @param {RequestOptions} [options] - Per-call signal, timeout and headers, applied to every check
+   * @returns {Promise<Array<{url: string, state: 'closed' | 'open' | 'half-open', latency: number | null, current: boolean}>>} The state of every endpoint, in list order
+   */
+  async checkEndpoints (options) {
+    await Promise.all(this.endpoints.endpoints.map(async (endpoint) => {
+      // Open endpoints wait for their cool-down; half-open ones take one trial call
+      const permit = endpoint.breaker.tryAcquire()
+      if (!permit) {
+        return
+      }
+
+      const startTime = Date.now()
+      try {
+        await this._fetch('GET', `${endpoint.url}/api/v1/health`, pickRequestOptions(options))
+        this.endpoints.recordSuccess(endpoint, permit)
+        this.endpoints.recordLatency(endpoint, Date.now() - startTime)
+      } catch (error) {
+        if (isEndpointFailure(error)) {
+          this.endpoints.recordFailure(endpoint, permit)
+        } else {
+          this.endpoints.release(endpoint, permit)
+        }
+      }
+    }))
+    return this.endpoints.getStates()
+  }
+
+  /**
+   * Make an HTTP request to the API, retrying according to the retry policy
+   *
+   * The error of the last attempt is thrown with an `attempts` property set
+   * to the number of attempts that were made. With `metrics` or `tracer`,
+   * the call is recorded under its templated route.
+   *
    * @private
    * @param {'GET' | 'POST'} method
    * @param {string} path
    * @param {object} [options]
    * @param {Record<string, string | number | undefined>} [options.query]
    * @param {unknown} [options.body]
+   * @param {AbortSignal} [options.signal] - Cancels the request, including retries and queueing
+   * @param {number} [options.timeout] - Per-attempt timeout overriding the client's
+   * @param {Record<string, string>} [options.headers] - Extra headers for this call
+   * @param {string} [options.schema] - Name of the response schema checked with `validateResponses`
    * @returns {Promise<unknown>}
    */
   async _request (method, path, options) {
-    let url = `${this.baseUrl}${path}`
+    let url = path
 
     // Add query parameters
     if (options?.query) {
@@ -185,50 +407,348 @@ export class WdkIndexerClient {
       }
     }
 
-    const headers = {
-      'x-api-key': this.apiKey,
-      'Content-Type': 'application/json'
+    if (!this.metrics && !this.tracer) {
+      return this._retry(method, url, options)
+    }
+
+    const telemetry = new RequestTelemetry(this, method, path)
+    try {
+      const data = await this._retry(method, url, options, telemetry)
+      telemetry.end()
+      return data
+    } catch (error) {
+      telemetry.end(error)
+      throw error
+    }
+  }
+
+  /**
+   * Perform a request with the retry policy
+   * @private
+   * @param {'GET' | 'POST'} method
+   * @param {string} target - The path and query
+   * @param {object} [options] - The options of `_request`
+   * @param {RequestTelemetry} [telemetry] - Records the retried attempts
+   * @returns {Promise<unknown>}
+   */
+  async _retry (method, target, options, telemetry) {
+    // Only GETs are idempotent; the batch POSTs are retried on opt-in
+    const maxAttempts =
+      method === 'GET' || this.retry.retryBatch ? this.retry.maxAttempts : 1
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const data = await this._attempt(method, target, options)
+        return this.validateResponses && options?.schema
+          ? validateResponse(options.schema, data, this.validateResponses)
+          : data
+      } catch (error) {
+        const delay =
+          attempt < maxAttempts && isRetryableError(this.retry, error)
+            ? getRetryDelay(this.retry, attempt, error)
+            : null
+
+        if (delay === null) {
+          error.attempts = attempt
+          throw error
+        }
+
+        telemetry?.retry(error)
+        await sleep(delay, options?.signal)
+      }
+    }
+  }
+
+  /**
+   * Perform a request attempt through the circuit breaker
+   *
+   * Network errors, timeouts and 5xx responses count as failures. Calls
+   * cancelled by the caller don't count either way.
+   *
+   * @private
+   * @param {'GET' | 'POST'} method
+   * @param {string} target - The path and query
+   * @param {object} [options] - The `body`, `signal`, `timeout` and `headers` of `_request`
+   * @returns {Promise<unknown>}
+   */
+  async _attempt (method, target, options) {
+    const breaker = this.circuitBreaker
+    if (!breaker) {
+      return this._route(method, target, options)
+    }
+
+    const permit = breaker.tryAcquire()
+    if (!permit) {
+      throw new WdkIndexerCircuitOpenError(breaker.remainingCooldown)
+    }
+
+    // Time spent in the rate limiter queue is not part of the call duration
+    const timing = { queued: 0 }
+    const startTime = Date.now()
+    const getDuration = () => Date.now() - startTime - timing.queued
+    try {
+      const data = await this._route(method, target, { ...options, timing })
+      breaker.recordSuccess(getDuration(), permit)
+      return data
+    } catch (error) {
+      if (isEndpointFailure(error)) {
+        breaker.recordFailure(getDuration(), permit)
+      } else if (error instanceof WdkIndexerApiError) {
+        breaker.recordSuccess(getDuration(), permit)
+      } else {
+        breaker.release(permit)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Send a request to the preferred endpoint, failing over to the others
+   *
+   * Failures of the endpoint itself take it out of rotation after
+   * `failover.failureThreshold` in a row. Requests that may be retried are
+   * then sent to the next endpoint right away. A half-open endpoint takes one
+   * trial call at a time; other calls skip it. When every endpoint is open, a
+   * call goes to the preferred endpoint without changing its state; when the
+   * others are open and the half-open ones are busy with their trial call, it
+   * fails with a `WdkIndexerCircuitOpenError`.
+   *
+   * @private
+   * @param {'GET' | 'POST'} method
+   * @param {string} target - The path and query
+   * @param {object} [options] - The `body`, `signal`, `timeout` and `headers` of `_request`
+   * @returns {Promise<unknown>}
+   */
+  async _route (method, target, options) {
+    const candidates = this.endpoints.getCandidates()
+    const failover = method === 'GET' || this.retry.retryBatch
+    let lastError = null
+
+    for (const endpoint of candidates) {
+      const permit = endpoint.breaker.tryAcquire()
+      if (!permit) {
+        continue
+      }
+
+      try {
+        const data = await this._fetch(method, `${endpoint.url}${target}`, options)
+        this.endpoints.recordSuccess(endpoint, permit)
+        return data
+      } catch (error) {
+        if (isEndpointFailure(error)) {
+          this.endpoints.recordFailure(endpoint, permit)
+        } else if (error instanceof WdkIndexerApiError) {
+          this.endpoints.recordSuccess(endpoint, permit)
+        } else {
+          this.endpoints.release(endpoint, permit)
+        }
+
+        if (!isEndpointFailure(error) || !failover) {
+          throw error
+        }
+        lastError = error
+      }
+    }
+
+    if (lastError) {
+      throw lastError
+    }
+    if (candidates.some((endpoint) => endpoint.breaker.state !== 'open')) {
+      // The trial calls of the half-open endpoints may end any time
+      throw new WdkIndexerCircuitOpenError(0)
+    }
+    return this._fetch(method, `${candidates[0].url}${target}`, options)
+  }
+
+  /**
+   * Perform a single HTTP request attempt
+   *
+   * When the API rejects the credentials with a 401, an auth provider that
+   * can refresh them gets a new credential and the request is sent once more.
+   *
+   * @private
+   * @param {'GET' | 'POST'} method
+   * @param {string} url
+   * @param {object} [options] - The `body`, `signal`, `timeout` and `headers` of `_request`
+   * @returns {Promise<unknown>}
+   */
+  async _fetch (method, url, options) {
+    try {
+      return await this._authenticatedFetch(method, url, options)
+    } catch (error) {
+      if (!(error instanceof WdkIndexerAuthError && error.status === 401 && this.auth.refresh)) {
+        throw error
+      }
+      await this.auth.refresh()
+      return this._authenticatedFetch(method, url, options)
+    }
+  }
+
+  /**
+   * Perform a single HTTP request attempt, through the middleware hooks and the auth provider
+   *
+   * The time spent waiting for the rate limiter is added to `options.timing.queued`.
+   *
+   * @private
+   * @param {'GET' | 'POST'} method
+   * @param {string} url
+   * @param {object} [options] - The `body`, `signal`, `timeout` and `headers` of `_request`, and the `timing` of `_attempt`
+   * @returns {Promise<unknown>}
+   */
+  async _authenticatedFetch (method, url, options) {
+    // Wait for the rate limiter before the timeout starts
+    if (this.rateLimiter) {
+      const queuedAt = Date.now()
+      await this.rateLimiter.acquire(options?.signal)
+      if (options?.timing) {
+        options.timing.queued += Date.now() - queuedAt
+      }
+    }
+
+    const request = await runRequestHooks(this.middleware, {
+      method,
+      url,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options?.headers
+      },
+      body: options?.body
+    })
+    await this.auth.authenticate(request)
+    const startTime = Date.now()
+
+    let result
+    try {
+      result = await this._send(request, options)
+    } catch (error) {
+      throw await runErrorHooks(this.middleware, error, {
+        request,
+        duration: Date.now() - startTime
+      })
+    }
+
+    const response = await runResponseHooks(this.middleware, {
+      request,
+      status: result.response.status,
+      headers: result.response.headers,
+      data: result.data,
+      duration: Date.now() - startTime
+    })
+    return response.data
+  }
+
+  /**
+   * Send a request and decode its response
+   * @private
+   * @param {import('./src/middleware.js').MiddlewareRequest} request
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {number} [options.timeout]
+   * @returns {Promise<{response: Response, data: unknown}>}
+   */
+  async _send (request, options) {
+    const signal = options?.signal
+    const timeout = options?.timeout ?? this.timeout
+
+    if (signal?.aborted) {
+      throw new WdkIndexerAbortError(signal.reason)
     }
 
     const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout)
+    let timedOut = false
+    const timeoutId = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, timeout)
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
 
     try {
-      const response = await this.fetchFn(url, {
-        method,
-        headers,
-        body: options?.body ? JSON.stringify(options.body) : undefined,
+      const response = await this.fetchFn(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body ? JSON.stringify(request.body) : undefined,
         signal: controller.signal
       })
 
-      const data = await response.json()
+      this.rateLimiter?.update(response.headers, response.status)
+
+      const body = await readResponseBody(response)
+      const details = {
+        statusText: response.statusText,
+        headers: response.headers,
+        body: getBodySnippet(body.text),
+        method: request.method,
+        path: new URL(request.url).pathname,
+        requestId: getRequestId(request, response)
+      }
 
       if (!response.ok) {
-        if (isApiError(data)) {
-          throw new WdkIndexerApiError(data)
+        const retryAfter = parseRetryAfter(
+          response.headers?.get('retry-after')
+        )
+        if (body.isJson && isApiError(body.data)) {
+          throw createApiError(body.data, { retryAfter, ...details })
         }
-        throw new WdkIndexerApiError({
-          error: 'UnknownError',
-          message: `HTTP ${response.status}: ${response.statusText}`,
-          status: response.status
-        })
+        throw createApiError(
+          {
+            error: 'UnknownError',
+            message: `HTTP ${response.status}: ${response.statusText}`,
+            status: response.status
+          },
+          { retryAfter, ...details }
+        )
       }
 
-      return data
+      if (!body.isJson) {
+        throw new WdkIndexerApiError(
+          {
+            error: 'UnexpectedResponse',
+            message: `HTTP ${response.status}: expected a JSON body, received ${describeBody(body)}`,
+            status: response.status
+          },
+          details
+        )
+      }
+
+      return { response, data: body.data }
     } catch (error) {
       if (error instanceof WdkIndexerError) {
         throw error
       }
+      if (controller.signal.aborted && !timedOut) {
+        throw new WdkIndexerAbortError(signal?.reason)
+      }
       if (error instanceof Error) {
         if (error.name === 'AbortError') {
-          throw new WdkIndexerTimeoutError(this.timeout)
+          throw new WdkIndexerTimeoutError(timeout)
         }
         throw new WdkIndexerNetworkError(error.message, error)
       }
       throw new WdkIndexerNetworkError('An unknown error occurred')
     } finally {
       clearTimeout(timeoutId)
+      signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  /**
+   * Serve a GET request through the response cache, if enabled
+   * @private
+   * @template T
+   * @param {string} method - The client method, used to look up the TTL
+   * @param {string} key - The cache key
+   * @param {() => Promise<T>} load
+   * @param {RequestOptions} [options] - Calls with their own signal or headers are not shared with others
+   * @returns {Promise<T>}
+   */
+  async _cached (method, key, load, options) {
+    if (!this.cache) {
+      return load()
     }
+
+    const coalesce = !options?.signal && !options?.headers
+    return this.cache.wrap(method, key, load, { coalesce })
   }
 
   /**
@@ -236,6 +756,7 @@ export class WdkIndexerClient {
    *
    * Check if the API server is running.
    *
+   * @param {RequestOptions} [options] - Per-call signal, timeout and headers
    * @returns {Promise<{status: string, timestamp: string}>} Health status and timestamp
    *
    * @example
@@ -244,8 +765,16 @@ export class WdkIndexerClient {
    * console.log(health.status); // "ok"
    * ```
    */
-  async health () {
-    return this._request('GET', '/api/v1/health')
+  async health (options) {
+    return this._cached(
+      'health',
+      'health',
+      () => this._request('GET', '/api/v1/health', {
+        ...pickRequestOptions(options),
+        schema: 'health'
+      }),
+      options
+    )
   }
 
   /**
@@ -260,6 +789,9 @@ export class WdkIndexerClient {
    * @param {number} [options.limit] - Maximum number of transfers to return (1-1000, default: 10)
    * @param {number} [options.fromTs] - Start timestamp filter (default: 0)
    * @param {number} [options.toTs] - End timestamp filter
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Timeout in milliseconds for this call
+   * @param {Record<string, string>} [options.headers] - Extra headers for this call
    * @returns {Promise<{transfers: Array<object>}>} Token transfer history
    *
    * @example
@@ -274,28 +806,142 @@ export class WdkIndexerClient {
    * ```
    */
   async getTokenTransfers (blockchain, token, address, options) {
-    return this._request(
-      'GET',
-      `/api/v1/${blockchain}/${token}/${encodeURIComponent(
-        address
-      )}/token-transfers`,
-      {
-        query: {
-          limit: options?.limit,
-          fromTs: options?.fromTs,
-          toTs: options?.toTs
-        }
-      }
+    if (this.validate) {
+      validateRequest({ blockchain, token, address })
+    }
+
+    const query = {
+      limit: options?.limit,
+      fromTs: options?.fromTs,
+      toTs: options?.toTs
+    }
+    const key = `${getAddressCacheKey(blockchain, token, address)}transfers:${query.limit}:${query.fromTs}:${query.toTs}`
+
+    const response = await this._cached(
+      'getTokenTransfers',
+      key,
+      () =>
+        this._request(
+          'GET',
+          `/api/v1/${blockchain}/${token}/${encodeURIComponent(
+            address
+          )}/token-transfers`,
+          { ...pickRequestOptions(options), query, schema: 'tokenTransfers' }
+        ),
+      options
     )
+
+    return this._processTransfers(response, address)
+  }
+
+  /**
+   * Apply the opt-in amount normalization and enrichment to a transfers response
+   * @private
+   * @param {{transfers: Array<object>}} response
+   * @param {string} address - The queried address
+   * @returns {{transfers: Array<object>}}
+   */
+  _processTransfers (response, address) {
+    let result = response
+    if (this.normalizeAmounts) {
+      result = normalizeTokenTransfersResponse(result)
+    }
+    if (this.enrichTransfers) {
+      result = classifyTokenTransfersResponse(result, address)
+    }
+    return result
+  }
+
+  /**
+   * Iterate over the full token transfer history of an address
+   *
+   * Pages backwards through `getTokenTransfers`, moving `toTs` to the oldest
+   * timestamp of each page and dropping the transfers repeated at page edges.
+   *
+   * @param {string} blockchain - The blockchain network
+   * @param {string} token - The token type
+   * @param {string} address - The wallet address
+   * @param {object} [options] - Optional filters
+   * @param {number} [options.pageSize=1000] - Number of transfers requested per page
+   * @param {number} [options.fromTs] - Oldest timestamp to include
+   * @param {number} [options.toTs] - Newest timestamp to include
+   * @param {AbortSignal} [options.signal] - Cancels the iteration
+   * @param {number} [options.timeout] - Timeout in milliseconds for each page request
+   * @param {Record<string, string>} [options.headers] - Extra headers for each page request
+   * @returns {AsyncGenerator<object>} Token transfers, newest first
+   *
+   * @example
+   * ```javascript
+   * for await (const transfer of client.iterateTokenTransfers('tron', 'usdt', 'T1234...')) {
+   *   console.log(transfer.transactionHash, transfer.amount);
+   * }
+   * ```
+   */
+  iterateTokenTransfers (blockchain, token, address, options) {
+    return paginateTokenTransfers(this, blockchain, token, address, options)
+  }
+
+  /**
+   * Export the full token transfer history of an address
+   *
+   * Streams the transfers of `iterateTokenTransfers` as CSV, NDJSON or a
+   * ledger with debit and credit columns relative to the address. Pages are
+   * only fetched as the stream is read, so long histories are never held in
+   * memory. Rows come newest first, with ISO timestamps and amounts normalized
+   * for the token's decimals.
+   *
+   * @param {string} blockchain - The blockchain network
+   * @param {string} token - The token type
+   * @param {string} address - The wallet address
+   * @param {object} [options]
+   * @param {'csv' | 'ndjson' | 'ledger'} [options.format='csv'] - The export format
+   * @param {string[]} [options.columns] - Fields to export, in order (default: `DEFAULT_EXPORT_COLUMNS[format]`)
+   * @param {boolean} [options.header=true] - Start CSV and ledger exports with a header row
+   * @param {number} [options.pageSize=1000] - Number of transfers requested per page
+   * @param {number} [options.fromTs] - Oldest timestamp to include
+   * @param {number} [options.toTs] - Newest timestamp to include
+   * @param {AbortSignal} [options.signal] - Cancels the export
+   * @param {number} [options.timeout] - Timeout in milliseconds for each page request
+   * @param {Record<string, string>} [options.headers] - Extra headers for each page request
+   * @returns {ReadableStream<string>} A web stream of lines
+   *
+   * @example
+   * ```javascript
+   * import { createWriteStream } from 'node:fs'
+   * import { Readable } from 'node:stream'
+   *
+   * const stream = client.exportTokenTransfers('tron', 'usdt', 'T1234...', { format: 'ledger' });
+   * Readable.fromWeb(stream).pipe(createWriteStream('ledger.csv'));
+   * ```
+   */
+  exportTokenTransfers (blockchain, token, address, options) {
+    const transfers = this.iterateTokenTransfers(blockchain, token, address, {
+      pageSize: options?.pageSize,
+      fromTs: options?.fromTs,
+      toTs: options?.toTs,
+      signal: options?.signal,
+      timeout: options?.timeout,
+      headers: options?.headers
+    })
+
+    return createTransferExportStream(transfers, {
+      format: options?.format,
+      columns: options?.columns,
+      header: options?.header,
+      address
+    })
   }
 
   /**
    * Get batch token transfers for multiple addresses
    *
    * Retrieve the token transfer history for multiple addresses on blockchains.
+   * Large batches are split into chunks of `batch.chunkSize` items, sent with
+   * at most `batch.concurrency` requests in flight.
    *
    * @param {Array<{blockchain: string, token: string, address: string, limit?: number, fromTs?: number, toTs?: number}>} requests - Array of transfer requests
-   * @returns {Promise<Array<object>>} Array of transfer responses (may contain errors for individual requests)
+   * @param {RequestOptions} [options] - Per-call signal, timeout and headers, applied to every chunk
+   * @returns {Promise<Array<object>>} Array of transfer responses in request order, with a `WdkIndexerApiError` for each failed request
    *
    * @example
    * ```javascript
@@ -305,10 +951,25 @@ export class WdkIndexerClient {
    * ]);
    * ```
    */
-  async getBatchTokenTransfers (requests) {
-    return this._request('POST', '/api/v1/batch/token-transfers', {
-      body: requests
-    })
+  async getBatchTokenTransfers (requests, options) {
+    if (this.validate) {
+      validateBatchRequests(requests)
+    }
+
+    const path = '/api/v1/batch/token-transfers'
+    const results = await runChunkedBatch(requests, this.batch, (items) =>
+      this._request('POST', path, {
+        ...pickRequestOptions(options),
+        body: items,
+        schema: 'batchTokenTransfers'
+      })
+    )
+
+    return results.map((item, i) =>
+      isTokenTransfersResponse(item)
+        ? this._processTransfers(item, requests[i].address)
+        : createApiError(item, { method: 'POST', path })
+    )
   }
 
   /**
@@ -319,6 +980,7 @@ export class WdkIndexerClient {
    * @param {string} blockchain - The blockchain network
    * @param {string} token - The token type
    * @param {string} address - The wallet address
+   * @param {RequestOptions} [options] - Per-call signal, timeout and headers
    * @returns {Promise<{tokenBalance: {blockchain: string, token: string, amount: string}}>} Current token balance
    *
    * @example
@@ -327,22 +989,42 @@ export class WdkIndexerClient {
    * console.log(`Balance: ${balance.tokenBalance.amount} ${balance.tokenBalance.token}`);
    * ```
    */
-  async getTokenBalance (blockchain, token, address) {
-    return this._request(
-      'GET',
-      `/api/v1/${blockchain}/${token}/${encodeURIComponent(
-        address
-      )}/token-balances`
+  async getTokenBalance (blockchain, token, address, options) {
+    if (this.validate) {
+      validateRequest({ blockchain, token, address })
+    }
+
+    const key = `${getAddressCacheKey(blockchain, token, address)}balance`
+
+    const response = await this._cached(
+      'getTokenBalance',
+      key,
+      () =>
+        this._request(
+          'GET',
+          `/api/v1/${blockchain}/${token}/${encodeURIComponent(
+            address
+          )}/token-balances`,
+          { ...pickRequestOptions(options), schema: 'tokenBalance' }
+        ),
+      options
     )
+
+    return this.normalizeAmounts
+      ? normalizeTokenBalanceResponse(response)
+      : response
   }
 
   /**
    * Get batch token balances for multiple addresses
    *
    * Retrieve the current token balance for multiple addresses on blockchains.
+   * Large batches are split into chunks of `batch.chunkSize` items, sent with
+   * at most `batch.concurrency` requests in flight.
    *
    * @param {Array<{blockchain: string, token: string, address: string}>} requests - Array of balance requests
-   * @returns {Promise<Array<object>>} Array of balance responses (may contain errors for individual requests)
+   * @param {RequestOptions} [options] - Per-call signal, timeout and headers, applied to every chunk
+   * @returns {Promise<Array<object>>} Array of balance responses in request order, with a `WdkIndexerApiError` for each failed request
    *
    * @example
    * ```javascript
@@ -352,11 +1034,181 @@ export class WdkIndexerClient {
    * ]);
    * ```
    */
-  async getBatchTokenBalances (requests) {
-    return this._request('POST', '/api/v1/batch/token-balances', {
-      body: requests
+  async getBatchTokenBalances (requests, options) {
+    if (this.validate) {
+      validateBatchRequests(requests)
+    }
+
+    const path = '/api/v1/batch/token-balances'
+    const results = await runChunkedBatch(requests, this.batch, (items) =>
+      this._request('POST', path, {
+        ...pickRequestOptions(options),
+        body: items,
+        schema: 'batchTokenBalances'
+      })
+    )
+
+    return results.map((item) => {
+      if (!isTokenBalanceResponse(item)) {
+        return createApiError(item, { method: 'POST', path })
+      }
+      return this.normalizeAmounts ? normalizeTokenBalanceResponse(item) : item
     })
   }
+
+  /**
+   * Get the balances of addresses across chains, summed per chain and token
+   *
+   * Fans out one balance request per chain, token and address, through one
+   * `getBatchTokenBalances` call per chain. Amounts are normalized for
+   * decimals and summed exactly. Legs that fail, including every leg of a
+   * chain whose request failed, are listed in `failed` instead of failing the
+   * whole call.
+   *
+   * @param {Record<string, string | string[]>} addressesByChain - One or more addresses per blockchain
+   * @param {object} [options]
+   * @param {string[]} [options.tokens] - Tokens to include (default: every token supported on each chain)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Timeout in milliseconds for this call
+   * @param {Record<string, string>} [options.headers] - Extra headers for this call
+   * @returns {Promise<{balances: Array<object>, chains: Record<string, Record<string, string>>, totals: Record<string, string>, failed: Array<object>}>} Balances per leg, sums per chain and token, totals per token and the failed legs
+   *
+   * @example
+   * ```javascript
+   * const portfolio = await client.getPortfolio(
+   *   { ethereum: '0x1234...', polygon: '0x1234...', tron: 'T1234...' },
+   *   { tokens: ['usdt'] }
+   * );
+   * console.log(portfolio.totals.usdt);
+   * ```
+   */
+  async getPortfolio (addressesByChain, options) {
+    return getPortfolio(this, addressesByChain, options)
+  }
+
+  /**
+   * Get the balance of an address at a point in time
+   *
+   * The API only serves current balances, so the balance is reconstructed:
+   * starting from `getTokenBalance`, every transfer newer than `atTs` is
+   * undone while paging backwards through `getTokenTransfers`. The cost grows
+   * with the number of transfers since `atTs`.
+   *
+   * @param {string} blockchain - The blockchain network
+   * @param {string} token - The token type
+   * @param {string} address - The wallet address
+   * @param {number} atTs - The point in time, as a timestamp in seconds (inclusive)
+   * @param {object} [options]
+   * @param {number} [options.pageSize=1000] - Number of transfers requested per page
+   * @param {AbortSignal} [options.signal] - Cancels the requests
+   * @param {number} [options.timeout] - Timeout in milliseconds for each request
+   * @param {Record<string, string>} [options.headers] - Extra headers for each request
+   * @returns {Promise<{blockchain: string, token: string, address: string, timestamp: number, amount: string}>} The balance at `atTs`
+   *
+   * @example
+   * ```javascript
+   * // USDt balance at the end of Q3 2025
+   * const { amount } = await client.getHistoricalBalance('tron', 'usdt', 'T1234...', 1759276799);
+   * ```
+   */
+  async getHistoricalBalance (blockchain, token, address, atTs, options) {
+    return getHistoricalBalance(this, blockchain, token, address, atTs, options)
+  }
+
+  /**
+   * Get the balance of an address at the end of every hour or day of a period
+   *
+   * Reconstructs the balances like `getHistoricalBalance`, in a single walk
+   * through the transfer history. Buckets are aligned to UTC, and each
+   * snapshot holds the start of its bucket and the balance at its end.
+   *
+   * @param {string} blockchain - The blockchain network
+   * @param {string} token - The token type
+   * @param {string} address - The wallet address
+   * @param {object} options
+   * @param {number} options.fromTs - Start of the period, as a timestamp in seconds
+   * @param {number} [options.toTs=now] - End of the period, as a timestamp in seconds
+   * @param {'hour' | 'day'} [options.interval='day'] - The bucket size
+   * @param {number} [options.pageSize=1000] - Number of transfers requested per page
+   * @param {AbortSignal} [options.signal] - Cancels the requests
+   * @param {number} [options.timeout] - Timeout in milliseconds for each request
+   * @param {Record<string, string>} [options.headers] - Extra headers for each request
+   * @returns {Promise<{blockchain: string, token: string, address: string, interval: string, snapshots: Array<{timestamp: number, amount: string}>}>} Snapshots, oldest first
+   *
+   * @example
+   * ```javascript
+   * const { snapshots } = await client.getBalanceHistory('ethereum', 'usdt', '0x1234...', {
+   *   fromTs: Math.floor(Date.now() / 1000) - 30 * 86400,
+   *   interval: 'day'
+   * });
+   * ```
+   */
+  async getBalanceHistory (blockchain, token, address, options) {
+    return getBalanceHistory(this, blockchain, token, address, options)
+  }
+
+  /**
+   * Watch one or more addresses for new token transfers
+   *
+   * Polls `getTokenTransfers` (or `getBatchTokenTransfers` for several
+   * addresses) from a moving `fromTs` cursor and emits each new transfer once,
+   * oldest first. Polling starts right away and runs until `stop()` is called.
+   *
+   * @param {object} options
+   * @param {string} [options.blockchain] - The blockchain network of a single address
+   * @param {string} [options.token] - The token type of a single address
+   * @param {string} [options.address] - A single wallet address
+   * @param {Array<{blockchain: string, token: string, address: string}>} [options.addresses] - Several addresses to watch
+   * @param {number} [options.interval=15000] - Milliseconds between polls
+   * @param {number} [options.fromTs=now] - Timestamp to start from for addresses without a checkpoint
+   * @param {object} [options.checkpoint] - A checkpoint returned by `watcher.getCheckpoint()`, to resume from
+   * @returns {TransferWatcher} An event emitter and async iterable of new transfers
+   *
+   * @example
+   * ```javascript
+   * const watcher = client.watchTransfers({
+   *   blockchain: 'tron',
+   *   token: 'usdt',
+   *   address: 'T1234...',
+   *   interval: 10000
+   * });
+   *
+   * watcher.on('transfer', (transfer) => console.log(transfer.amount));
+   * watcher.on('checkpoint', (checkpoint) => saveCheckpoint(checkpoint));
+   * ```
+   */
+  watchTransfers (options) {
+    return new TransferWatcher(this, options)
+  }
+
+  /**
+   * Monitor the balances of a set of addresses
+   *
+   * Polls all balances with one `getBatchTokenBalances` call per tick, and
+   * emits `change` events with the previous and current amount and the delta.
+   * Thresholds emit `alert` events, and `clear` events once the balance is
+   * back past the threshold by more than its hysteresis.
+   *
+   * @param {object} options
+   * @param {Array<{blockchain: string, token: string, address: string, thresholds?: object[]}>} options.addresses - The addresses to monitor, with optional thresholds of their own
+   * @param {Array<{type: 'below' | 'above' | 'change', amount: string, hysteresis?: string}>} [options.thresholds] - Thresholds of the addresses without their own
+   * @param {number} [options.interval=15000] - Milliseconds between ticks
+   * @returns {BalanceMonitor} An event emitter of balance changes and alerts
+   *
+   * @example
+   * ```javascript
+   * const monitor = client.monitorBalances({
+   *   addresses: treasuryWallets,
+   *   thresholds: [{ type: 'below', amount: '10000', hysteresis: '500' }]
+   * });
+   *
+   * monitor.on('change', ({ target, delta }) => console.log(target.address, delta));
+   * monitor.on('alert', ({ target, amount }) => notify(`${target.address} is low: ${amount}`));
+   * ```
+   */
+  monitorBalances (options) {
+    return new BalanceMonitor(this, options)
+  }
 }
 
 /**
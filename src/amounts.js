@@ -0,0 +1,185 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { TOKEN_DECIMALS } from './constants.js'
+import { WdkIndexerValidationError } from './errors.js'
+
+/**
+ * Get the number of decimals of a token on a blockchain
+ * @param {string} blockchain
+ * @param {string} token
+ * @returns {number}
+ * @throws {WdkIndexerValidationError} If the pair is not in the registry
+ */
+export function getTokenDecimals (blockchain, token) {
+  const decimals = TOKEN_DECIMALS[blockchain]?.[token]
+  if (decimals === undefined) {
+    throw new WdkIndexerValidationError(
+      `No decimals registered for ${token} on ${blockchain}`,
+      'token'
+    )
+  }
+  return decimals
+}
+
+/**
+ * Parse a decimal amount into base units
+ *
+ * Amounts with more fractional digits than the token has are rejected
+ * instead of being rounded.
+ *
+ * @param {string | bigint} amount - A decimal string like `"12.5"`, or base units as a bigint
+ * @param {number} decimals - The token's decimals
+ * @returns {bigint} The amount in base units
+ * @throws {WdkIndexerValidationError}
+ *
+ * @example
+ * ```javascript
+ * parseAmount('12.5', 6); // 12500000n
+ * ```
+ */
+export function parseAmount (amount, decimals) {
+  if (typeof amount === 'bigint') {
+    return amount
+  }
+
+  const match = typeof amount === 'string' && /^(-)?(\d*)(?:\.(\d*))?$/.exec(amount.trim())
+  if (!match || (!match[2] && !match[3])) {
+    throw new WdkIndexerValidationError(`Invalid amount "${amount}"`, 'amount')
+  }
+
+  const [, sign, whole, fraction = ''] = match
+  const significant = fraction.replace(/0+$/, '')
+  if (significant.length > decimals) {
+    throw new WdkIndexerValidationError(
+      `Amount "${amount}" has more than ${decimals} decimals`,
+      'amount'
+    )
+  }
+
+  const units = BigInt((whole || '0') + significant.padEnd(decimals, '0'))
+  return sign ? -units : units
+}
+
+/**
+ * Format base units as a decimal string
+ * @param {bigint} baseUnits - The amount in base units
+ * @param {number} decimals - The token's decimals
+ * @param {object} [options]
+ * @param {number} [options.minimumFractionDigits=0] - Keep at least this many fractional digits
+ * @param {string} [options.groupSeparator=''] - Separator between groups of thousands
+ * @returns {string}
+ *
+ * @example
+ * ```javascript
+ * formatAmount(12500000n, 6); // "12.5"
+ * formatAmount(1234500000n, 6, { minimumFractionDigits: 2, groupSeparator: ',' }); // "1,234.50"
+ * ```
+ */
+export function formatAmount (baseUnits, decimals, options) {
+  const minimumFractionDigits = Math.min(options?.minimumFractionDigits ?? 0, decimals)
+  const groupSeparator = options?.groupSeparator ?? ''
+
+  const negative = baseUnits < 0n
+  const digits = (negative ? -baseUnits : baseUnits).toString().padStart(decimals + 1, '0')
+
+  let whole = digits.slice(0, digits.length - decimals)
+  let fraction = digits.slice(digits.length - decimals).replace(/0+$/, '')
+  fraction = fraction.padEnd(minimumFractionDigits, '0')
+
+  if (groupSeparator) {
+    whole = whole.replace(/\B(?=(\d{3})+$)/g, groupSeparator)
+  }
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`
+}
+
+/**
+ * Add decimal amounts exactly
+ * @param {Array<string | bigint>} amounts - Decimal strings or base units
+ * @param {number} decimals - The token's decimals
+ * @returns {string} The sum as a decimal string
+ */
+export function addAmounts (amounts, decimals) {
+  let sum = 0n
+  for (const amount of amounts) {
+    sum += parseAmount(amount, decimals)
+  }
+  return formatAmount(sum, decimals)
+}
+
+/**
+ * Compare two decimal amounts exactly
+ * @param {string | bigint} a - Decimal string or base units
+ * @param {string | bigint} b - Decimal string or base units
+ * @param {number} decimals - The token's decimals
+ * @returns {-1 | 0 | 1}
+ */
+export function compareAmounts (a, b, decimals) {
+  const left = parseAmount(a, decimals)
+  const right = parseAmount(b, decimals)
+  return left < right ? -1 : left > right ? 1 : 0
+}
+
+/**
+ * Add `decimals` and `amountBaseUnits` to a record carrying an `amount`
+ *
+ * Records of a blockchain and token pair missing from the registry are
+ * returned unchanged.
+ *
+ * @template {{amount: string}} T
+ * @param {T} record - A token balance or transfer
+ * @param {string} blockchain
+ * @param {string} token
+ * @returns {T & {decimals?: number, amountBaseUnits?: bigint}}
+ */
+export function normalizeAmount (record, blockchain, token) {
+  const decimals = TOKEN_DECIMALS[blockchain]?.[token]
+  if (decimals === undefined) {
+    return record
+  }
+  return {
+    ...record,
+    decimals,
+    amountBaseUnits: parseAmount(record.amount, decimals)
+  }
+}
+
+/**
+ * Normalize the amount of a token balance response
+ * @param {{tokenBalance: {blockchain: string, token: string, amount: string}}} response
+ * @returns {object}
+ */
+export function normalizeTokenBalanceResponse (response) {
+  const { tokenBalance } = response
+  return {
+    ...response,
+    tokenBalance: normalizeAmount(tokenBalance, tokenBalance.blockchain, tokenBalance.token)
+  }
+}
+
+/**
+ * Normalize the amounts of a token transfers response
+ * @param {{transfers: Array<{blockchain: string, token: string, amount: string}>}} response
+ * @returns {object}
+ */
+export function normalizeTokenTransfersResponse (response) {
+  return {
+    ...response,
+    transfers: response.transfers.map((transfer) =>
+      normalizeAmount(transfer, transfer.blockchain, transfer.token)
+    )
+  }
+}
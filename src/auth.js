@@ -0,0 +1,223 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { WdkIndexerError } from './errors.js'
+
+/**
+ * Authentication of API requests
+ *
+ * A provider adds its credentials to every request, after the `onRequest`
+ * middleware hooks so that signatures cover the final request.
+ *
+ * @typedef {object} AuthProvider
+ * @property {(request: import('./middleware.js').MiddlewareRequest) => void | Promise<void>} authenticate - Adds the credentials to `request.headers`
+ * @property {() => Promise<void>} [refresh] - Gets a new credential; called when the API answers 401, before the request is retried once
+ */
+
+/**
+ * A credential, or a function that gets one, e.g. from a secret manager
+ * @typedef {string | (() => string | Promise<string>)} Credential
+ */
+
+/**
+ * A credential that may be fetched per request or cached for an interval
+ */
+class CredentialSource {
+  /**
+   * @param {Credential} credential
+   * @param {number} [refreshInterval] - Milliseconds a fetched credential is reused, fetched per request when omitted
+   */
+  constructor (credential, refreshInterval) {
+    if (typeof credential !== 'function' && !(typeof credential === 'string' && credential)) {
+      throw new WdkIndexerError('Credential must be a non-empty string or a function')
+    }
+    if (refreshInterval !== undefined && !(refreshInterval >= 0)) {
+      throw new WdkIndexerError('refreshInterval must be a non-negative number')
+    }
+
+    this._credential = credential
+    this._refreshInterval = refreshInterval
+    this._value = null
+    this._fetchedAt = 0
+    this._pending = null
+  }
+
+  /**
+   * Whether the credential can change
+   * @type {boolean}
+   */
+  get dynamic () {
+    return typeof this._credential === 'function'
+  }
+
+  /**
+   * Get the credential, fetching it when it isn't cached
+   * @returns {Promise<string>}
+   */
+  async get () {
+    if (!this.dynamic) {
+      return this._credential
+    }
+    if (
+      this._value !== null &&
+      this._refreshInterval !== undefined &&
+      Date.now() - this._fetchedAt < this._refreshInterval
+    ) {
+      return this._value
+    }
+    return this.refresh()
+  }
+
+  /**
+   * Fetch a new credential, shared by concurrent callers
+   * @returns {Promise<string>}
+   */
+  refresh () {
+    if (!this._pending) {
+      this._pending = (async () => {
+        let value
+        try {
+          value = await this._credential()
+        } catch (error) {
+          const wrapped = new WdkIndexerError(`Failed to get credential: ${error.message}`)
+          wrapped.cause = error
+          throw wrapped
+        }
+        if (!(typeof value === 'string' && value)) {
+          throw new WdkIndexerError('Credential provider returned an empty credential')
+        }
+        this._value = value
+        this._fetchedAt = Date.now()
+        return value
+      })().finally(() => {
+        this._pending = null
+      })
+    }
+    return this._pending
+  }
+}
+
+/**
+ * Create a provider for a credential sent in a header
+ * @param {Credential} credential
+ * @param {number | undefined} refreshInterval
+ * @param {(value: string) => Record<string, string>} toHeaders
+ * @returns {AuthProvider}
+ */
+function createHeaderAuth (credential, refreshInterval, toHeaders) {
+  const source = new CredentialSource(credential, refreshInterval)
+
+  /** @type {AuthProvider} */
+  const provider = {
+    async authenticate (request) {
+      Object.assign(request.headers, toHeaders(await source.get()))
+    }
+  }
+  if (source.dynamic) {
+    provider.refresh = async () => {
+      await source.refresh()
+    }
+  }
+  return provider
+}
+
+/**
+ * Create a provider sending an API key in the `x-api-key` header
+ *
+ * This is what the client's `apiKey` option uses.
+ *
+ * @param {Credential} apiKey - The API key, or a function that gets the current one
+ * @param {object} [options]
+ * @param {number} [options.refreshInterval] - Milliseconds a fetched key is reused (default: fetched per request)
+ * @param {string} [options.header='x-api-key'] - Name of the header
+ * @returns {AuthProvider}
+ *
+ * @example
+ * ```javascript
+ * const client = new WdkIndexerClient({
+ *   auth: createApiKeyAuth(() => secrets.get('wdk-indexer-api-key'), { refreshInterval: 300000 })
+ * });
+ * ```
+ */
+export function createApiKeyAuth (apiKey, options) {
+  const header = options?.header ?? 'x-api-key'
+  return createHeaderAuth(apiKey, options?.refreshInterval, (value) => ({ [header]: value }))
+}
+
+/**
+ * Create a provider sending a bearer token in the `Authorization` header
+ * @param {Credential} token - The token, or a function that gets the current one
+ * @param {object} [options]
+ * @param {number} [options.refreshInterval] - Milliseconds a fetched token is reused (default: fetched per request)
+ * @returns {AuthProvider}
+ *
+ * @example
+ * ```javascript
+ * const client = new WdkIndexerClient({
+ *   auth: createBearerAuth(async () => (await getAccessToken()).token, { refreshInterval: 60000 })
+ * });
+ * ```
+ */
+export function createBearerAuth (token, options) {
+  return createHeaderAuth(token, options?.refreshInterval, (value) => ({
+    authorization: `Bearer ${value}`
+  }))
+}
+
+/**
+ * Create a provider signing every request
+ *
+ * `sign` gets the final request, with the body as the exact JSON string that
+ * is sent (empty for requests without a body), and returns the headers to
+ * add, e.g. a timestamp and an HMAC signature.
+ *
+ * @param {(request: {method: string, url: string, headers: Record<string, string>, body: string}) => Record<string, string> | Promise<Record<string, string>>} sign
+ * @param {object} [options]
+ * @param {() => Promise<void>} [options.refresh] - Gets new signing keys when the API answers 401
+ * @returns {AuthProvider}
+ *
+ * @example
+ * ```javascript
+ * const client = new WdkIndexerClient({
+ *   auth: createSigningAuth(({ method, url, body }) => {
+ *     const timestamp = String(Date.now());
+ *     const signature = hmac(secret, `${timestamp}${method}${new URL(url).pathname}${body}`);
+ *     return { 'x-api-key': keyId, 'x-timestamp': timestamp, 'x-signature': signature };
+ *   })
+ * });
+ * ```
+ */
+export function createSigningAuth (sign, options) {
+  if (typeof sign !== 'function') {
+    throw new WdkIndexerError('sign must be a function')
+  }
+
+  /** @type {AuthProvider} */
+  const provider = {
+    async authenticate (request) {
+      const headers = await sign({
+        method: request.method,
+        url: request.url,
+        headers: { ...request.headers },
+        body: request.body ? JSON.stringify(request.body) : ''
+      })
+      Object.assign(request.headers, headers)
+    }
+  }
+  if (options?.refresh) {
+    provider.refresh = options.refresh
+  }
+  return provider
+}
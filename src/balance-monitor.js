@@ -0,0 +1,182 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { WdkIndexerError } from './errors.js'
+import { getTokenDecimals, parseAmount, formatAmount } from './amounts.js'
+import { Poller, getTargetKey } from './poller.js'
+import { validateBatchRequests } from './validation.js'
+
+const THRESHOLD_TYPES = ['below', 'above', 'change']
+
+/**
+ * Parse a threshold into base units of a token
+ * @param {{type: string, amount: string, hysteresis?: string}} threshold
+ * @param {number} decimals
+ * @returns {{threshold: object, type: string, limit: bigint, hysteresis: bigint, active: boolean}}
+ */
+function parseThreshold (threshold, decimals) {
+  if (!THRESHOLD_TYPES.includes(threshold?.type)) {
+    throw new WdkIndexerError(
+      `monitorBalances threshold type must be one of: ${THRESHOLD_TYPES.join(', ')}`
+    )
+  }
+
+  const hysteresis = parseAmount(threshold.hysteresis ?? '0', decimals)
+  if (hysteresis < 0n) {
+    throw new WdkIndexerError('monitorBalances threshold hysteresis must not be negative')
+  }
+
+  return {
+    threshold,
+    type: threshold.type,
+    limit: parseAmount(threshold.amount, decimals),
+    hysteresis,
+    active: false
+  }
+}
+
+/**
+ * Poll the balances of a set of addresses and report changes and thresholds
+ *
+ * Every tick fetches all balances with one `getBatchTokenBalances` call.
+ * Amounts are compared exactly in base units.
+ *
+ * Thresholds:
+ * - `below`: alerts when the balance drops under `amount`, and clears once it
+ *   is back at `amount + hysteresis` or more
+ * - `above`: alerts when the balance rises over `amount`, and clears once it
+ *   is back at `amount - hysteresis` or less
+ * - `change`: alerts whenever a single change is bigger than `amount`
+ *
+ * Events:
+ * - `change` ({target, previous, current, delta}): a balance changed
+ * - `alert` ({target, threshold, amount, delta}): a threshold was crossed
+ * - `clear` ({target, threshold, amount}): a `below` or `above` alert cleared
+ * - `error` (error): a tick failed, only emitted when there are listeners
+ * - `close`: the monitor was stopped
+ */
+export class BalanceMonitor extends Poller {
+  /**
+   * @param {import('../index.js').WdkIndexerClient} client
+   * @param {object} options
+   * @param {Array<{blockchain: string, token: string, address: string, thresholds?: object[]}>} options.addresses - The addresses to monitor, with optional thresholds of their own
+   * @param {Array<{type: 'below' | 'above' | 'change', amount: string, hysteresis?: string}>} [options.thresholds] - Thresholds of the addresses without their own
+   * @param {number} [options.interval=15000] - Milliseconds between ticks
+   */
+  constructor (client, options) {
+    super('monitorBalances', options?.interval)
+
+    const targets = options?.addresses ?? []
+    if (targets.length === 0) {
+      throw new WdkIndexerError('monitorBalances needs at least one address')
+    }
+    if (client.validate) {
+      validateBatchRequests(targets)
+    }
+
+    this.client = client
+    this.targets = targets.map(({ blockchain, token, address }) => ({ blockchain, token, address }))
+
+    this._states = new Map()
+    targets.forEach((target, i) => {
+      const decimals = getTokenDecimals(target.blockchain, target.token)
+      const thresholds = target.thresholds ?? options.thresholds ?? []
+      this._states.set(getTargetKey(target), {
+        target: this.targets[i],
+        decimals,
+        amount: null,
+        thresholds: thresholds.map((threshold) => parseThreshold(threshold, decimals))
+      })
+    })
+
+    this._start()
+  }
+
+  /**
+   * Get the last known balance of every address
+   * @returns {Record<string, string | null>} Decimal amounts keyed by `blockchain:token:address`, `null` until fetched
+   */
+  getBalances () {
+    const balances = {}
+    for (const [key, state] of this._states) {
+      balances[key] = state.amount === null ? null : formatAmount(state.amount, state.decimals)
+    }
+    return balances
+  }
+
+  async _tick (signal) {
+    const results = await this.client.getBatchTokenBalances(this.targets, { signal })
+
+    for (let i = 0; i < this.targets.length && !this._stopped; i++) {
+      const result = results[i]
+      if (!('tokenBalance' in result)) {
+        this._fail(result)
+        continue
+      }
+      this._update(this._states.get(getTargetKey(this.targets[i])), result.tokenBalance.amount)
+    }
+  }
+
+  /**
+   * Record a new balance and emit its change and threshold events
+   * @private
+   * @param {object} state
+   * @param {string} amount
+   */
+  _update (state, amount) {
+    const { target, decimals } = state
+    const previous = state.amount
+    const current = parseAmount(amount, decimals)
+    const delta = previous === null ? null : current - previous
+    state.amount = current
+
+    if (delta) {
+      this.emit('change', {
+        target,
+        previous: formatAmount(previous, decimals),
+        current: formatAmount(current, decimals),
+        delta: formatAmount(delta, decimals)
+      })
+    }
+
+    for (const entry of state.thresholds) {
+      const event = {
+        target,
+        threshold: entry.threshold,
+        amount: formatAmount(current, decimals)
+      }
+
+      if (entry.type === 'change') {
+        if (delta !== null && (delta < 0n ? -delta : delta) > entry.limit) {
+          this.emit('alert', { ...event, delta: formatAmount(delta, decimals) })
+        }
+        continue
+      }
+
+      const crossed = entry.type === 'below' ? current < entry.limit : current > entry.limit
+      const recovered = entry.type === 'below'
+        ? current >= entry.limit + entry.hysteresis
+        : current <= entry.limit - entry.hysteresis
+
+      if (!entry.active && crossed) {
+        entry.active = true
+        this.emit('alert', { ...event, delta: delta === null ? null : formatAmount(delta, decimals) })
+      } else if (entry.active && recovered) {
+        entry.active = false
+        this.emit('clear', event)
+      }
+    }
+  }
+}
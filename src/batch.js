@@ -0,0 +1,119 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { WdkIndexerError } from './errors.js'
+
+/** Default chunking of batch requests */
+export const DEFAULT_BATCH_OPTIONS = Object.freeze({
+  chunkSize: 100,
+  concurrency: 4
+})
+
+/**
+ * Resolve the batch options from the client configuration
+ * @param {object} [batch] - The `batch` option of the client configuration
+ * @returns {typeof DEFAULT_BATCH_OPTIONS}
+ */
+export function resolveBatchOptions (batch) {
+  const options = { ...DEFAULT_BATCH_OPTIONS, ...batch }
+
+  if (!Number.isInteger(options.chunkSize) || options.chunkSize < 1) {
+    throw new WdkIndexerError('batch.chunkSize must be a positive integer')
+  }
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new WdkIndexerError('batch.concurrency must be a positive integer')
+  }
+
+  return options
+}
+
+/**
+ * Split an array into chunks of at most `size` items
+ * @template T
+ * @param {T[]} items
+ * @param {number} size
+ * @returns {T[][]}
+ */
+export function chunk (items, size) {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+/**
+ * Map over items with at most `concurrency` calls in flight
+ *
+ * Rejects with the first error; items that were not started yet are skipped.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>} The results, in input order
+ */
+export async function mapWithConcurrency (items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  let failed = false
+
+  async function worker () {
+    while (!failed && next < items.length) {
+      const index = next++
+      try {
+        results[index] = await fn(items[index], index)
+      } catch (error) {
+        failed = true
+        throw error
+      }
+    }
+  }
+
+  const workers = []
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(worker())
+  }
+  await Promise.all(workers)
+
+  return results
+}
+
+/**
+ * Send a batch request in chunks and merge the results in input order
+ *
+ * Per-item errors returned by the API keep the index of the request they
+ * belong to.
+ *
+ * @param {object[]} requests - The batch request items
+ * @param {typeof DEFAULT_BATCH_OPTIONS} options
+ * @param {(chunk: object[]) => Promise<unknown>} send - Sends one chunk
+ * @returns {Promise<object[]>}
+ */
+export async function runChunkedBatch (requests, options, send) {
+  const chunks = chunk(requests, options.chunkSize)
+
+  const responses = await mapWithConcurrency(chunks, options.concurrency, async (items) => {
+    const response = await send(items)
+    if (!Array.isArray(response) || response.length !== items.length) {
+      throw new WdkIndexerError(
+        `Batch response has ${Array.isArray(response) ? response.length : 'no'} items, expected ${items.length}`
+      )
+    }
+    return response
+  })
+
+  return responses.flat()
+}
@@ -0,0 +1,237 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { EVM_BLOCKCHAINS } from './constants.js'
+import { WdkIndexerError } from './errors.js'
+
+/** Default time-to-live of cached responses per client method, in milliseconds */
+export const DEFAULT_CACHE_TTL = Object.freeze({
+  health: 0,
+  getTokenBalance: 10000,
+  getTokenTransfers: 10000
+})
+
+/**
+ * Storage backend of the response cache
+ *
+ * Every method may return a promise, so the cache can be backed by an
+ * external store like Redis.
+ *
+ * @typedef {object} CacheStore
+ * @property {(key: string) => unknown} get - Return the stored value, or undefined if missing or expired
+ * @property {(key: string, value: unknown, ttl: number) => unknown} set - Store a value for `ttl` milliseconds
+ * @property {(key: string) => unknown} delete - Remove a value
+ * @property {(prefix: string) => unknown} deleteByPrefix - Remove all values whose key starts with `prefix`
+ * @property {() => unknown} clear - Remove all values
+ */
+
+/**
+ * In-memory cache store with TTL expiry and LRU eviction
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=1000] - Maximum number of stored values
+   */
+  constructor (options) {
+    this.maxEntries = options?.maxEntries ?? 1000
+    this._entries = new Map()
+  }
+
+  /** Number of stored values, including expired ones not yet evicted */
+  get size () {
+    return this._entries.size
+  }
+
+  get (key) {
+    const entry = this._entries.get(key)
+    if (!entry) {
+      return undefined
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this._entries.delete(key)
+      return undefined
+    }
+
+    // Move to the most recently used position
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+    return entry.value
+  }
+
+  set (key, value, ttl) {
+    this._entries.delete(key)
+    this._entries.set(key, { value, expiresAt: Date.now() + ttl })
+
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value)
+    }
+  }
+
+  delete (key) {
+    this._entries.delete(key)
+  }
+
+  deleteByPrefix (prefix) {
+    for (const key of this._entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this._entries.delete(key)
+      }
+    }
+  }
+
+  clear () {
+    this._entries.clear()
+  }
+}
+
+/**
+ * Build the key prefix shared by all cached responses of an address
+ * @param {string} blockchain
+ * @param {string} token
+ * @param {string} address
+ * @returns {string}
+ */
+export function getAddressCacheKey (blockchain, token, address) {
+  // EVM addresses are case-insensitive
+  const normalized = EVM_BLOCKCHAINS.includes(blockchain) ? address.toLowerCase() : address
+  return `${blockchain}:${token}:${normalized}:`
+}
+
+/**
+ * Response cache with per-method TTLs and single-flight request coalescing
+ *
+ * Concurrent calls with the same key share one in-flight request, whether or
+ * not the method's responses are cached.
+ */
+export class ResponseCache {
+  /**
+   * @param {object} [options]
+   * @param {Partial<typeof DEFAULT_CACHE_TTL>} [options.ttl] - Time-to-live per client method in milliseconds, 0 disables caching
+   * @param {number} [options.maxEntries=1000] - Size bound of the default in-memory store
+   * @param {CacheStore} [options.store] - Custom storage backend
+   */
+  constructor (options) {
+    this.ttl = { ...DEFAULT_CACHE_TTL, ...options?.ttl }
+    this.store = options?.store ?? new MemoryCacheStore({ maxEntries: options?.maxEntries })
+
+    for (const method of ['get', 'set', 'delete', 'deleteByPrefix', 'clear']) {
+      if (typeof this.store[method] !== 'function') {
+        throw new WdkIndexerError(`cache.store must implement ${method}()`)
+      }
+    }
+
+    this._inFlight = new Map()
+    this._generation = 0
+  }
+
+  /**
+   * Return the cached response for a key, or load and cache it
+   * @template T
+   * @param {string} method - The client method, used to look up the TTL
+   * @param {string} key
+   * @param {() => Promise<T>} load
+   * @param {object} [options]
+   * @param {boolean} [options.coalesce=true] - Share the in-flight request with concurrent identical calls
+   * @returns {Promise<T>}
+   */
+  async wrap (method, key, load, options) {
+    const ttl = this.ttl[method] ?? 0
+    const coalesce = options?.coalesce ?? true
+
+    if (ttl > 0) {
+      const cached = await this.store.get(key)
+      if (cached !== undefined) {
+        return cached
+      }
+    }
+
+    const pending = this._inFlight.get(key)
+    if (pending && coalesce) {
+      return pending
+    }
+
+    const generation = this._generation
+    if (!coalesce) {
+      const value = await load()
+      if (ttl > 0 && generation === this._generation) {
+        await this.store.set(key, value, ttl)
+      }
+      return value
+    }
+
+    const flight = (async () => {
+      try {
+        // Start loading asynchronously, once the flight is registered
+        const value = await Promise.resolve().then(load)
+        // Don't store responses that were in flight during an invalidation
+        if (ttl > 0 && generation === this._generation) {
+          await this.store.set(key, value, ttl)
+        }
+        return value
+      } finally {
+        if (this._inFlight.get(key) === flight) {
+          this._inFlight.delete(key)
+        }
+      }
+    })()
+
+    this._inFlight.set(key, flight)
+    return flight
+  }
+
+  /**
+   * Drop cached responses
+   *
+   * Without arguments the whole cache is cleared. With a blockchain, or a
+   * blockchain and token, the responses of every matching address are
+   * dropped.
+   *
+   * @param {string} [blockchain]
+   * @param {string} [token]
+   * @param {string} [address]
+   * @returns {Promise<void>}
+   * @throws {WdkIndexerError} If a token is given without a blockchain, or an address without a token
+   *
+   * @example
+   * ```javascript
+   * await client.cache.invalidate('ethereum', 'usdt', '0x1234...');
+   * await client.cache.invalidate('ethereum');
+   * ```
+   */
+  async invalidate (blockchain, token, address) {
+    if ((blockchain === undefined && token !== undefined) || (token === undefined && address !== undefined)) {
+      throw new WdkIndexerError('cache.invalidate needs a blockchain for a token, and a token for an address')
+    }
+
+    this._generation++
+
+    if (blockchain === undefined) {
+      this._inFlight.clear()
+      await this.store.clear()
+      return
+    }
+
+    const prefix = address === undefined
+      ? [blockchain, token, ''].filter((part) => part !== undefined).join(':')
+      : getAddressCacheKey(blockchain, token, address)
+    for (const key of this._inFlight.keys()) {
+      if (key.startsWith(prefix)) {
+        this._inFlight.delete(key)
+      }
+    }
+    await this.store.deleteByPrefix(prefix)
+  }
+}
@@ -0,0 +1,274 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { WdkIndexerError } from './errors.js'
+
+/** Default options of a circuit breaker, and of the client's `circuitBreaker` */
+export const DEFAULT_CIRCUIT_BREAKER_OPTIONS = Object.freeze({
+  failureThreshold: null,
+  failureRateThreshold: 0.5,
+  slowCallDuration: 10000,
+  slowCallRateThreshold: 0.5,
+  windowSize: 20,
+  minimumCalls: 10,
+  cooldown: 30000
+})
+
+/**
+ * Check that an option is a rate between 0 and 1, or null
+ * @param {string} name
+ * @param {unknown} value
+ */
+function validateRate (name, value) {
+  if (value !== null && !(value > 0 && value <= 1)) {
+    throw new WdkIndexerError(`${name} must be a number between 0 and 1, or null`)
+  }
+}
+
+/**
+ * A call let through by `CircuitBreaker#tryAcquire()`
+ * @typedef {object} CircuitPermit
+ * @property {number} generation - The state change the call was admitted after
+ * @property {boolean} probe - Whether the call is the trial call of a half-open circuit
+ */
+
+/**
+ * Circuit breaker with closed, open and half-open states
+ *
+ * The circuit opens after `failureThreshold` failures in a row, or when the
+ * share of failed or slow calls among the last `windowSize` calls reaches
+ * `failureRateThreshold` or `slowCallRateThreshold` (once at least
+ * `minimumCalls` were recorded). Once `cooldown` has passed it is half-open:
+ * one trial call at a time is let through, and its outcome closes the circuit
+ * or opens it for another cool-down.
+ *
+ * Calls report their outcome with the permit `tryAcquire()` handed out.
+ * Outcomes of calls admitted before the circuit last changed state, e.g. a
+ * slow call that started before the circuit opened, are ignored.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {object} [options] - Defaults to `DEFAULT_CIRCUIT_BREAKER_OPTIONS`
+   * @param {number | null} [options.failureThreshold=null] - Failures in a row that open the circuit, null to disable
+   * @param {number | null} [options.failureRateThreshold=0.5] - Share of failed calls in the window that opens the circuit, null to disable
+   * @param {number | null} [options.slowCallDuration=10000] - Milliseconds from which a call counts as slow, null to disable
+   * @param {number | null} [options.slowCallRateThreshold=0.5] - Share of slow calls in the window that opens the circuit, null to disable
+   * @param {number} [options.windowSize=20] - Number of recent calls the rates are computed over
+   * @param {number} [options.minimumCalls=10] - Calls needed in the window before the rates are checked
+   * @param {number} [options.cooldown=30000] - Milliseconds the circuit stays open
+   */
+  constructor (options) {
+    const option = (name) =>
+      options?.[name] === undefined ? DEFAULT_CIRCUIT_BREAKER_OPTIONS[name] : options[name]
+
+    this.failureThreshold = option('failureThreshold')
+    this.failureRateThreshold = option('failureRateThreshold')
+    this.slowCallDuration = option('slowCallDuration')
+    this.slowCallRateThreshold = option('slowCallRateThreshold')
+    this.windowSize = option('windowSize')
+    this.minimumCalls = option('minimumCalls')
+    this.cooldown = option('cooldown')
+
+    if (this.failureThreshold !== null && !(Number.isInteger(this.failureThreshold) && this.failureThreshold >= 1)) {
+      throw new WdkIndexerError('failureThreshold must be a positive integer or null')
+    }
+    validateRate('failureRateThreshold', this.failureRateThreshold)
+    validateRate('slowCallRateThreshold', this.slowCallRateThreshold)
+    if (this.slowCallDuration !== null && !(this.slowCallDuration > 0)) {
+      throw new WdkIndexerError('slowCallDuration must be a positive number or null')
+    }
+    if (!(Number.isInteger(this.windowSize) && this.windowSize >= 1)) {
+      throw new WdkIndexerError('windowSize must be a positive integer')
+    }
+    if (!(Number.isInteger(this.minimumCalls) && this.minimumCalls >= 1 && this.minimumCalls <= this.windowSize)) {
+      throw new WdkIndexerError('minimumCalls must be a positive integer up to windowSize')
+    }
+    if (!(this.cooldown >= 0)) {
+      throw new WdkIndexerError('cooldown must be a non-negative number')
+    }
+
+    this._failures = 0
+    this._openedAt = null
+    this._generation = 0
+    /** @type {CircuitPermit | null} */
+    this._probe = null
+    /** @type {Array<{failed: boolean, slow: boolean}>} */
+    this._window = []
+  }
+
+  /**
+   * The current state
+   * @type {'closed' | 'open' | 'half-open'}
+   */
+  get state () {
+    if (this._openedAt === null) {
+      return 'closed'
+    }
+    return Date.now() - this._openedAt >= this.cooldown ? 'half-open' : 'open'
+  }
+
+  /**
+   * Milliseconds until an open circuit turns half-open, 0 when it isn't open
+   * @type {number}
+   */
+  get remainingCooldown () {
+    return this._openedAt === null
+      ? 0
+      : Math.max(0, this._openedAt + this.cooldown - Date.now())
+  }
+
+  /**
+   * Check whether a call may go through, claiming the trial call of a half-open circuit
+   *
+   * Every permit handed out must be passed back to `recordSuccess()`,
+   * `recordFailure()` or `release()`.
+   *
+   * @returns {CircuitPermit | null} The permit of the call, or null when it may not go through
+   */
+  tryAcquire () {
+    const state = this.state
+    if (state === 'closed') {
+      return { generation: this._generation, probe: false }
+    }
+    if (state === 'open' || this._probe) {
+      return null
+    }
+    this._probe = { generation: this._generation, probe: true }
+    return this._probe
+  }
+
+  /**
+   * Give back a permit whose call says nothing about the service, e.g. one
+   * cancelled by the caller
+   * @param {CircuitPermit | null} [permit]
+   */
+  release (permit) {
+    if (permit && permit === this._probe) {
+      this._probe = null
+    }
+  }
+
+  /**
+   * Record a successful call, closing a half-open circuit unless it was slow
+   * @param {number} [duration] - Milliseconds the call took
+   * @param {CircuitPermit | null} [permit] - The permit of the call, applied unconditionally when omitted
+   */
+  recordSuccess (duration, permit) {
+    this._record(false, duration, permit)
+  }
+
+  /**
+   * Record a failed call, opening the circuit at the thresholds or when half-open
+   * @param {number} [duration] - Milliseconds the call took
+   * @param {CircuitPermit | null} [permit] - The permit of the call, applied unconditionally when omitted
+   */
+  recordFailure (duration, permit) {
+    this._record(true, duration, permit)
+  }
+
+  /**
+   * Current state and failure rates
+   * @returns {{state: 'closed' | 'open' | 'half-open', calls: number, failureRate: number, slowCallRate: number, remainingCooldown: number}}
+   */
+  getStats () {
+    const calls = this._window.length
+    const count = (key) => this._window.filter((call) => call[key]).length
+    return {
+      state: this.state,
+      calls,
+      failureRate: calls ? count('failed') / calls : 0,
+      slowCallRate: calls ? count('slow') / calls : 0,
+      remainingCooldown: this.remainingCooldown
+    }
+  }
+
+  /**
+   * Add a call to the window and open or close the circuit
+   * @private
+   * @param {boolean} failed
+   * @param {number} [duration]
+   * @param {CircuitPermit | null} [permit]
+   */
+  _record (failed, duration, permit) {
+    if (permit) {
+      // Calls admitted before the last state change, and released trial calls, are stale
+      const stale = permit.generation !== this._generation || (permit.probe && permit !== this._probe)
+      if (stale) {
+        return
+      }
+      if (permit.probe) {
+        this._probe = null
+      }
+    }
+
+    const slow = this.slowCallDuration !== null && duration >= this.slowCallDuration
+    this._failures = failed ? this._failures + 1 : 0
+
+    if (this._openedAt !== null) {
+      if (failed || slow) {
+        this._open()
+      } else {
+        this._close()
+      }
+      return
+    }
+
+    this._window.push({ failed, slow })
+    if (this._window.length > this.windowSize) {
+      this._window.shift()
+    }
+
+    if (this.failureThreshold !== null && this._failures >= this.failureThreshold) {
+      this._open()
+      return
+    }
+    if (this._window.length >= this.minimumCalls) {
+      const { failureRate, slowCallRate } = this.getStats()
+      if (
+        (this.failureRateThreshold !== null && failureRate >= this.failureRateThreshold) ||
+        (this.slowCallRateThreshold !== null && slowCallRate >= this.slowCallRateThreshold)
+      ) {
+        this._open()
+      }
+    }
+  }
+
+  /**
+   * Open the circuit, or start another cool-down
+   * @private
+   */
+  _open () {
+    this._openedAt = Date.now()
+    this._transition()
+  }
+
+  /**
+   * @private
+   */
+  _close () {
+    this._openedAt = null
+    this._transition()
+  }
+
+  /**
+   * Start a new generation: outstanding permits become stale
+   * @private
+   */
+  _transition () {
+    this._window = []
+    this._generation++
+    this._probe = null
+  }
+}
@@ -0,0 +1,393 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { readFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+
+import {
+  WdkIndexerClient,
+  WdkIndexerError,
+  WdkIndexerApiError,
+  WdkIndexerAuthError,
+  WdkIndexerRateLimitError,
+  WdkIndexerServerError,
+  WdkIndexerCircuitOpenError,
+  WdkIndexerQueueFullError,
+  WdkIndexerValidationError,
+  WdkIndexerTimeoutError,
+  WdkIndexerNetworkError,
+  WdkIndexerAbortError,
+  MAX_TRANSFERS_PAGE_SIZE,
+  isTokenBalanceResponse,
+  isTokenTransfersResponse
+} from '../index.js'
+import { escapeCsv } from './export.js'
+
+/** Exit codes of the CLI, per outcome */
+export const EXIT_CODES = Object.freeze({
+  ok: 0,
+  error: 1,
+  usage: 2,
+  validation: 3,
+  api: 4,
+  timeout: 5,
+  network: 6,
+  auth: 7,
+  retryLater: 8,
+  server: 9,
+  aborted: 130
+})
+
+const USAGE = `Usage: wdk-indexer <command> [options]
+
+Commands:
+  health                                  Check if the API is up
+  balance <blockchain> <token> <address>  Get the token balance of an address
+  transfers <blockchain> <token> <address>
+                                          Get the latest token transfers of an address
+  batch <balances|transfers>              Query many addresses, read from --file or stdin
+                                          as "blockchain token address" lines
+
+Options:
+  --api-key <key>     API key (default: $WDK_INDEXER_API_KEY)
+  --base-url <url>    API base URL (default: $WDK_INDEXER_BASE_URL)
+  --timeout <ms>      Request timeout in milliseconds
+  --limit <n>         Number of transfers per address (default: 10)
+  --from-ts <ts>      Oldest transfer timestamp
+  --to-ts <ts>        Newest transfer timestamp
+  -f, --file <path>   Read batch addresses from a file instead of stdin
+  --json              Print JSON
+  --csv               Print CSV
+  -h, --help          Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 validation error,
+  4 other API error, 5 timeout, 6 network error, 7 rejected credentials,
+  8 rate limited (retry later), 9 server error, 130 aborted
+  A batch with failed requests exits with the code of the first one`
+
+/** Error thrown for invalid command-line arguments */
+class UsageError extends Error {}
+
+/**
+ * Map an error to the exit code of its `WdkIndexerError` subclass
+ * @param {unknown} error
+ * @returns {number}
+ */
+export function getExitCode (error) {
+  if (error instanceof UsageError) return EXIT_CODES.usage
+  if (error instanceof WdkIndexerValidationError) return EXIT_CODES.validation
+  if (error instanceof WdkIndexerAuthError) return EXIT_CODES.auth
+  if (
+    error instanceof WdkIndexerRateLimitError ||
+    error instanceof WdkIndexerCircuitOpenError ||
+    error instanceof WdkIndexerQueueFullError
+  ) return EXIT_CODES.retryLater
+  if (error instanceof WdkIndexerServerError) return EXIT_CODES.server
+  if (error instanceof WdkIndexerApiError) return EXIT_CODES.api
+  if (error instanceof WdkIndexerTimeoutError) return EXIT_CODES.timeout
+  if (error instanceof WdkIndexerNetworkError) return EXIT_CODES.network
+  if (error instanceof WdkIndexerAbortError) return EXIT_CODES.aborted
+  return EXIT_CODES.error
+}
+
+/**
+ * Parse a non-negative integer option
+ * @param {string | undefined} value
+ * @param {string} name
+ * @returns {number | undefined}
+ */
+function parseInteger (value, name) {
+  if (value === undefined) {
+    return undefined
+  }
+  const number = Number(value)
+  if (!Number.isSafeInteger(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`)
+  }
+  return number
+}
+
+/**
+ * Parse batch input: one `blockchain token address` line per request
+ *
+ * Fields may be separated by whitespace or commas. Empty lines and lines
+ * starting with `#` are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<{blockchain: string, token: string, address: string}>}
+ */
+export function parseBatchInput (text) {
+  const requests = []
+  const lines = text.split(/\r?\n/)
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) {
+      return
+    }
+    const fields = trimmed.split(/[\s,]+/)
+    if (fields.length !== 3) {
+      throw new UsageError(`Line ${i + 1}: expected "blockchain token address"`)
+    }
+    const [blockchain, token, address] = fields
+    requests.push({ blockchain, token, address })
+  })
+
+  return requests
+}
+
+/**
+ * Render rows as CSV or an aligned text table
+ * @param {string[]} columns
+ * @param {Array<Record<string, unknown>>} rows
+ * @param {'csv' | 'table'} format
+ * @returns {string}
+ */
+function renderRows (columns, rows, format) {
+  const cells = rows.map((row) =>
+    columns.map((column) => (row[column] === undefined || row[column] === null ? '' : String(row[column])))
+  )
+
+  if (format === 'csv') {
+    return [columns, ...cells].map((line) => line.map(escapeCsv).join(',')).join('\n')
+  }
+
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((line) => line[i].length))
+  )
+  return [columns, ...cells]
+    .map((line) => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n')
+}
+
+const TRANSFER_COLUMNS = ['blockchain', 'token', 'timestamp', 'transactionHash', 'from', 'to', 'amount']
+const BALANCE_COLUMNS = ['blockchain', 'token', 'address', 'amount']
+
+function transferRow (transfer, format) {
+  return {
+    ...transfer,
+    timestamp: format === 'table'
+      ? new Date(transfer.timestamp * 1000).toISOString()
+      : transfer.timestamp
+  }
+}
+
+/**
+ * Fetch up to `limit` transfers, paging when more than a page is asked for
+ * @param {WdkIndexerClient} client
+ * @param {string[]} args
+ * @param {{limit?: number, fromTs?: number, toTs?: number, signal?: AbortSignal}} filters
+ * @returns {Promise<{transfers: object[]}>}
+ */
+async function getTransfers (client, [blockchain, token, address], filters) {
+  const { limit, fromTs, toTs, signal } = filters
+  if (!(limit > MAX_TRANSFERS_PAGE_SIZE)) {
+    return client.getTokenTransfers(blockchain, token, address, { limit, fromTs, toTs, signal })
+  }
+
+  const transfers = []
+  for await (const transfer of client.iterateTokenTransfers(blockchain, token, address, { fromTs, toTs, signal })) {
+    transfers.push(transfer)
+    if (transfers.length === limit) {
+      break
+    }
+  }
+  return { transfers }
+}
+
+/**
+ * Read the whole of a stream as text
+ * @param {AsyncIterable<Uint8Array | string>} stream
+ * @returns {Promise<string>}
+ */
+async function readText (stream) {
+  const decoder = new TextDecoder()
+  let text = ''
+  for await (const chunk of stream) {
+    text += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+  }
+  return text + decoder.decode()
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - The arguments, without the node and script paths
+ * @param {object} [io]
+ * @param {Record<string, string | undefined>} [io.env=process.env]
+ * @param {AsyncIterable<Uint8Array | string>} [io.stdin=process.stdin]
+ * @param {{write: (text: string) => unknown}} [io.stdout=process.stdout]
+ * @param {{write: (text: string) => unknown}} [io.stderr=process.stderr]
+ * @param {typeof fetch} [io.fetch] - Custom fetch implementation
+ * @param {AbortSignal} [io.signal] - Cancels the running command
+ * @returns {Promise<number>} The exit code
+ */
+export async function run (argv, io) {
+  const env = io?.env ?? process.env
+  const stdin = io?.stdin ?? process.stdin
+  const stdout = io?.stdout ?? process.stdout
+  const stderr = io?.stderr ?? process.stderr
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'api-key': { type: 'string' },
+        'base-url': { type: 'string' },
+        timeout: { type: 'string' },
+        limit: { type: 'string' },
+        'from-ts': { type: 'string' },
+        'to-ts': { type: 'string' },
+        file: { type: 'string', short: 'f' },
+        json: { type: 'boolean' },
+        csv: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    })
+    const [command, ...args] = positionals
+
+    if (values.help) {
+      stdout.write(`${USAGE}\n`)
+      return EXIT_CODES.ok
+    }
+    if (!command) {
+      throw new UsageError('Missing command')
+    }
+    if (values.json && values.csv) {
+      throw new UsageError('--json and --csv cannot be combined')
+    }
+    const format = values.json ? 'json' : values.csv ? 'csv' : 'table'
+
+    const apiKey = values['api-key'] ?? env.WDK_INDEXER_API_KEY
+    if (!apiKey) {
+      throw new UsageError('Missing API key: pass --api-key or set WDK_INDEXER_API_KEY')
+    }
+
+    const client = new WdkIndexerClient({
+      apiKey,
+      baseUrl: values['base-url'] ?? env.WDK_INDEXER_BASE_URL,
+      timeout: parseInteger(values.timeout, 'timeout'),
+      fetch: io?.fetch
+    })
+    const filters = {
+      limit: parseInteger(values.limit, 'limit'),
+      fromTs: parseInteger(values['from-ts'], 'from-ts'),
+      toTs: parseInteger(values['to-ts'], 'to-ts')
+    }
+
+    const expectArgs = (count, usage) => {
+      if (args.length !== count) {
+        throw new UsageError(`Usage: wdk-indexer ${usage}`)
+      }
+    }
+
+    let output
+    let failures = []
+
+    switch (command) {
+      case 'health': {
+        expectArgs(0, 'health')
+        const health = await client.health({ signal: io?.signal })
+        output = format === 'json'
+          ? health
+          : renderRows(['status', 'timestamp'], [health], format)
+        break
+      }
+
+      case 'balance': {
+        expectArgs(3, 'balance <blockchain> <token> <address>')
+        const balance = await client.getTokenBalance(...args, { signal: io?.signal })
+        output = format === 'json'
+          ? balance
+          : renderRows(BALANCE_COLUMNS, [{ ...balance.tokenBalance, address: args[2] }], format)
+        break
+      }
+
+      case 'transfers': {
+        expectArgs(3, 'transfers <blockchain> <token> <address>')
+        const result = await getTransfers(client, args, { ...filters, signal: io?.signal })
+        output = format === 'json'
+          ? result
+          : renderRows(TRANSFER_COLUMNS, result.transfers.map((transfer) => transferRow(transfer, format)), format)
+        break
+      }
+
+      case 'batch': {
+        expectArgs(1, 'batch <balances|transfers> [--file <path>]')
+        const [kind] = args
+        if (kind !== 'balances' && kind !== 'transfers') {
+          throw new UsageError('Usage: wdk-indexer batch <balances|transfers> [--file <path>]')
+        }
+
+        const input = values.file ? await readFile(values.file, 'utf8') : await readText(stdin)
+        const requests = parseBatchInput(input)
+        if (requests.length === 0) {
+          throw new UsageError('No addresses given to batch')
+        }
+
+        if (kind === 'balances') {
+          const results = await client.getBatchTokenBalances(requests, { signal: io?.signal })
+          failures = results.filter((result) => !isTokenBalanceResponse(result))
+          output = format === 'json'
+            ? results
+            : renderRows(
+              [...BALANCE_COLUMNS, 'error'],
+              results.map((result, i) => isTokenBalanceResponse(result)
+                ? { ...result.tokenBalance, address: requests[i].address }
+                : { ...requests[i], error: result.message }),
+              format
+            )
+        } else {
+          const results = await client.getBatchTokenTransfers(
+            requests.map((request) => ({ ...request, ...filters })),
+            { signal: io?.signal }
+          )
+          failures = results.filter((result) => !isTokenTransfersResponse(result))
+          output = format === 'json'
+            ? results
+            : renderRows(
+              ['address', ...TRANSFER_COLUMNS, 'error'],
+              results.flatMap((result, i) => isTokenTransfersResponse(result)
+                ? result.transfers.map((transfer) => ({ ...transferRow(transfer, format), address: requests[i].address }))
+                : [{ ...requests[i], error: result.message }]),
+              format
+            )
+        }
+        break
+      }
+
+      default:
+        throw new UsageError(`Unknown command "${command}"`)
+    }
+
+    stdout.write(`${format === 'json' ? JSON.stringify(output, null, 2) : output}\n`)
+
+    // Requests that failed within a batch exit with the code of the first one
+    if (failures.length > 0) {
+      stderr.write(`${failures.length} of the batch requests failed\n`)
+      return getExitCode(failures[0])
+    }
+    return EXIT_CODES.ok
+  } catch (error) {
+    if (error instanceof UsageError || error?.code?.startsWith?.('ERR_PARSE_ARGS')) {
+      stderr.write(`${error.message}\n\n${USAGE}\n`)
+      return EXIT_CODES.usage
+    }
+    stderr.write(`${error instanceof WdkIndexerError ? error.name : 'Error'}: ${error.message}\n`)
+    return getExitCode(error)
+  }
+}
@@ -0,0 +1,59 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+/** Supported blockchain networks */
+export const BLOCKCHAINS = [
+  'ethereum',
+  'sepolia',
+  'plasma',
+  'arbitrum',
+  'polygon',
+  'tron',
+  'ton',
+  'bitcoin',
+  'spark'
+]
+
+/** Supported tokens */
+export const TOKENS = ['usdt', 'xaut', 'btc']
+
+/** Tokens supported on each blockchain */
+export const SUPPORTED_TOKENS = {
+  ethereum: ['usdt', 'xaut'],
+  sepolia: ['usdt'],
+  plasma: ['usdt', 'xaut'],
+  arbitrum: ['usdt', 'xaut'],
+  polygon: ['usdt', 'xaut'],
+  tron: ['usdt', 'xaut'],
+  ton: ['usdt', 'xaut'],
+  bitcoin: ['btc'],
+  spark: ['btc']
+}
+
+/** Blockchains using EVM (0x-prefixed hex) addresses */
+export const EVM_BLOCKCHAINS = ['ethereum', 'sepolia', 'plasma', 'arbitrum', 'polygon']
+
+/** Decimals of each token, per blockchain */
+export const TOKEN_DECIMALS = {
+  ethereum: { usdt: 6, xaut: 6 },
+  sepolia: { usdt: 6 },
+  plasma: { usdt: 6, xaut: 6 },
+  arbitrum: { usdt: 6, xaut: 6 },
+  polygon: { usdt: 6, xaut: 6 },
+  tron: { usdt: 6, xaut: 6 },
+  ton: { usdt: 6, xaut: 6 },
+  bitcoin: { btc: 8 },
+  spark: { btc: 8 }
+}
@@ -0,0 +1,193 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+/**
+ * Minimal synchronous hash functions used for address checksums
+ *
+ * They are only meant for short inputs like addresses, and have no
+ * dependency on the runtime's crypto module so they work the same under
+ * Node.js, browsers and Bare.
+ */
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+function rotr (x, n) {
+  return (x >>> n) | (x << (32 - n))
+}
+
+/**
+ * Compute the SHA-256 digest of the given bytes
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 32 byte digest
+ */
+export function sha256 (data) {
+  const length = data.length
+  const padded = new Uint8Array(((length + 9 + 63) >> 6) << 6)
+  padded.set(data)
+  padded[length] = 0x80
+
+  const view = new DataView(padded.buffer)
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000))
+  view.setUint32(padded.length - 4, (length << 3) >>> 0)
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ])
+  const w = new Uint32Array(64)
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4)
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3)
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10)
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash
+    for (let i = 0; i < 64; i++) {
+      const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))
+      h = g
+      g = f
+      f = e
+      e = (d + t1) | 0
+      d = c
+      c = b
+      b = a
+      a = (t1 + t2) | 0
+    }
+
+    hash[0] += a
+    hash[1] += b
+    hash[2] += c
+    hash[3] += d
+    hash[4] += e
+    hash[5] += f
+    hash[6] += g
+    hash[7] += h
+  }
+
+  const digest = new Uint8Array(32)
+  const digestView = new DataView(digest.buffer)
+  for (let i = 0; i < 8; i++) {
+    digestView.setUint32(i * 4, hash[i])
+  }
+  return digest
+}
+
+const KECCAK_MASK = (1n << 64n) - 1n
+
+const KECCAK_ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+]
+
+// Rotation offsets indexed by x + 5 * y
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+]
+
+function rotl64 (value, n) {
+  if (n === 0) {
+    return value
+  }
+  return ((value << BigInt(n)) | (value >> BigInt(64 - n))) & KECCAK_MASK
+}
+
+function keccakF (state) {
+  const c = new Array(5)
+  const b = new Array(25)
+
+  for (let round = 0; round < 24; round++) {
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20]
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1)
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] ^= d
+      }
+    }
+
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y])
+      }
+    }
+
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = b[x + y] ^ (~b[((x + 1) % 5) + y] & KECCAK_MASK & b[((x + 2) % 5) + y])
+      }
+    }
+
+    state[0] ^= KECCAK_ROUND_CONSTANTS[round]
+  }
+}
+
+/**
+ * Compute the Keccak-256 digest (as used by Ethereum, not SHA3-256) of the given bytes
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 32 byte digest
+ */
+export function keccak256 (data) {
+  const rate = 136
+  const padded = new Uint8Array((Math.floor(data.length / rate) + 1) * rate)
+  padded.set(data)
+  padded[data.length] ^= 0x01
+  padded[padded.length - 1] ^= 0x80
+
+  const state = new Array(25).fill(0n)
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let i = 0; i < rate / 8; i++) {
+      let lane = 0n
+      for (let j = 7; j >= 0; j--) {
+        lane = (lane << 8n) | BigInt(padded[offset + i * 8 + j])
+      }
+      state[i] ^= lane
+    }
+    keccakF(state)
+  }
+
+  const digest = new Uint8Array(32)
+  for (let i = 0; i < 4; i++) {
+    let lane = state[i]
+    for (let j = 0; j < 8; j++) {
+      digest[i * 8 + j] = Number(lane & 0xffn)
+      lane >>= 8n
+    }
+  }
+  return digest
+}
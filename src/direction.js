@@ -0,0 +1,161 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { EVM_BLOCKCHAINS, TOKEN_DECIMALS } from './constants.js'
+import { base58CheckDecode, base64Decode, bytesToHex, crc16 } from './encoding.js'
+import { parseAmount, formatAmount } from './amounts.js'
+
+function normalizeTronAddress (address) {
+  const hex = /^(?:0x)?(?:41)?([0-9a-fA-F]{40})$/.exec(address)
+  if (hex) {
+    return `41${hex[1].toLowerCase()}`
+  }
+
+  const payload = base58CheckDecode(address)
+  if (payload && payload.length === 21 && payload[0] === 0x41) {
+    return bytesToHex(payload)
+  }
+  return address
+}
+
+function normalizeTonAddress (address) {
+  const raw = /^(-?\d+):([0-9a-fA-F]{64})$/.exec(address)
+  if (raw) {
+    return `${Number(raw[1])}:${raw[2].toLowerCase()}`
+  }
+
+  // User-friendly forms differ in their bounceable and testnet flags, not the account
+  const bytes = address.length === 48 ? base64Decode(address) : null
+  if (bytes && bytes.length === 36 && crc16(bytes.subarray(0, 34)) === ((bytes[34] << 8) | bytes[35])) {
+    const workchain = bytes[1] > 127 ? bytes[1] - 256 : bytes[1]
+    return `${workchain}:${bytesToHex(bytes.subarray(2, 34))}`
+  }
+  return address
+}
+
+function normalizeBech32Address (prefix) {
+  return (address) => (address.toLowerCase().startsWith(prefix) ? address.toLowerCase() : address)
+}
+
+const ADDRESS_NORMALIZERS = {
+  tron: normalizeTronAddress,
+  ton: normalizeTonAddress,
+  bitcoin: normalizeBech32Address('bc1'),
+  spark: normalizeBech32Address('sp1')
+}
+for (const blockchain of EVM_BLOCKCHAINS) {
+  ADDRESS_NORMALIZERS[blockchain] = (address) =>
+    /^0x[0-9a-fA-F]{40}$/.test(address) ? address.toLowerCase() : address
+}
+
+/**
+ * Bring an address to a canonical form, to compare addresses of a chain
+ *
+ * - EVM: lowercase, so checksummed and lowercase forms match
+ * - Tron: hex with the `41` prefix, from base58 or (0x-prefixed) hex
+ * - TON: raw `workchain:hex`, from the raw or any user-friendly form
+ * - Bitcoin and Spark: bech32 addresses in lowercase
+ *
+ * Addresses that can't be decoded are returned unchanged.
+ *
+ * @param {string} blockchain
+ * @param {string | null | undefined} address
+ * @returns {string | null} The canonical address, or null for a missing one
+ *
+ * @example
+ * ```javascript
+ * normalizeAddress('tron', 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'); // "41a614f803b6fd780986a42c78ec9c7f77e6ded13c"
+ * ```
+ */
+export function normalizeAddress (blockchain, address) {
+  if (address === null || address === undefined || address === '') {
+    return null
+  }
+  const normalize = ADDRESS_NORMALIZERS[blockchain]
+  return normalize ? normalize(address) : address
+}
+
+/**
+ * Check whether two addresses are the same account on a chain
+ * @param {string} blockchain
+ * @param {string | null | undefined} a
+ * @param {string | null | undefined} b
+ * @returns {boolean}
+ */
+export function isSameAddress (blockchain, a, b) {
+  const left = normalizeAddress(blockchain, a)
+  return left !== null && left === normalizeAddress(blockchain, b)
+}
+
+/**
+ * Classify a transfer relative to an address
+ *
+ * - `incoming`: sent to the address; `counterparty` is the sender, null for mints
+ * - `outgoing`: sent by the address; `counterparty` is the recipient, null for burns
+ * - `self`: sent by the address to itself
+ * - `unrelated`: the address is neither the sender nor the recipient
+ *
+ * `signedAmount` is the change to the address's balance: positive for
+ * incoming, negative for outgoing and zero otherwise.
+ *
+ * @param {{blockchain: string, token: string, amount: string, from?: string | null, to?: string | null, amountBaseUnits?: bigint}} transfer
+ * @param {string} address - The queried address
+ * @returns {{direction: 'incoming' | 'outgoing' | 'self' | 'unrelated', counterparty: string | null, signedAmount: string, signedAmountBaseUnits?: bigint}}
+ */
+export function classifyTransfer (transfer, address) {
+  const incoming = isSameAddress(transfer.blockchain, transfer.to, address)
+  const outgoing = isSameAddress(transfer.blockchain, transfer.from, address)
+
+  const direction = incoming && outgoing
+    ? 'self'
+    : incoming ? 'incoming' : outgoing ? 'outgoing' : 'unrelated'
+  const counterparty = {
+    incoming: transfer.from ?? null,
+    outgoing: transfer.to ?? null,
+    self: transfer.to,
+    unrelated: null
+  }[direction]
+  const sign = { incoming: 1n, outgoing: -1n, self: 0n, unrelated: 0n }[direction]
+
+  const decimals = TOKEN_DECIMALS[transfer.blockchain]?.[transfer.token]
+  let signedAmount
+  if (decimals !== undefined) {
+    signedAmount = formatAmount(sign * parseAmount(transfer.amount, decimals), decimals)
+  } else {
+    signedAmount = sign === 0n ? '0' : sign < 0n ? `-${transfer.amount}` : transfer.amount
+  }
+
+  const result = { direction, counterparty, signedAmount }
+  if (typeof transfer.amountBaseUnits === 'bigint') {
+    result.signedAmountBaseUnits = sign * transfer.amountBaseUnits
+  }
+  return result
+}
+
+/**
+ * Add `direction`, `counterparty` and `signedAmount` to the transfers of a response
+ * @param {{transfers: Array<object>}} response
+ * @param {string} address - The queried address
+ * @returns {object}
+ */
+export function classifyTokenTransfersResponse (response, address) {
+  return {
+    ...response,
+    transfers: response.transfers.map((transfer) => ({
+      ...transfer,
+      ...classifyTransfer(transfer, address)
+    }))
+  }
+}
@@ -0,0 +1,252 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { sha256 } from './crypto.js'
+
+/**
+ * Binary-to-text decoders used by the address validators
+ *
+ * Decoders return null instead of throwing when the input is malformed.
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+const BECH32M_CONST = 0x2bc830a3
+
+/**
+ * Encode bytes as a lowercase hex string
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToHex (bytes) {
+  let hex = ''
+  for (const byte of bytes) {
+    hex += byte.toString(16).padStart(2, '0')
+  }
+  return hex
+}
+
+/**
+ * Encode an ASCII string as bytes
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+export function asciiToBytes (value) {
+  const bytes = new Uint8Array(value.length)
+  for (let i = 0; i < value.length; i++) {
+    bytes[i] = value.charCodeAt(i)
+  }
+  return bytes
+}
+
+/**
+ * Decode a base58 string
+ * @param {string} value
+ * @returns {Uint8Array | null}
+ */
+export function base58Decode (value) {
+  const bytes = []
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char)
+    if (carry === -1) {
+      return null
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58
+      bytes[i] = carry & 0xff
+      carry >>= 8
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff)
+      carry >>= 8
+    }
+  }
+
+  // Each leading '1' encodes a leading zero byte
+  for (let i = 0; i < value.length && value[i] === '1'; i++) {
+    bytes.push(0)
+  }
+
+  return Uint8Array.from(bytes.reverse())
+}
+
+/**
+ * Decode a base58check string and verify its double SHA-256 checksum
+ * @param {string} value
+ * @returns {Uint8Array | null} The payload without checksum
+ */
+export function base58CheckDecode (value) {
+  const bytes = base58Decode(value)
+  if (!bytes || bytes.length < 5) {
+    return null
+  }
+
+  const payload = bytes.subarray(0, -4)
+  const checksum = sha256(sha256(payload))
+  for (let i = 0; i < 4; i++) {
+    if (checksum[i] !== bytes[payload.length + i]) {
+      return null
+    }
+  }
+  return payload
+}
+
+function bech32Polymod (values) {
+  let checksum = 1
+  for (const value of values) {
+    const top = checksum >> 25
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) {
+        checksum ^= BECH32_GENERATORS[i]
+      }
+    }
+  }
+  return checksum
+}
+
+function bech32HrpExpand (hrp) {
+  const values = []
+  for (let i = 0; i < hrp.length; i++) {
+    values.push(hrp.charCodeAt(i) >> 5)
+  }
+  values.push(0)
+  for (let i = 0; i < hrp.length; i++) {
+    values.push(hrp.charCodeAt(i) & 31)
+  }
+  return values
+}
+
+/**
+ * Decode a bech32 or bech32m string and verify its checksum
+ * @param {string} value
+ * @param {number} [maxLength=90] - Maximum length of the string
+ * @returns {{hrp: string, words: number[], encoding: 'bech32' | 'bech32m'} | null}
+ */
+export function bech32Decode (value, maxLength = 90) {
+  if (value.length > maxLength || (value !== value.toLowerCase() && value !== value.toUpperCase())) {
+    return null
+  }
+
+  const lower = value.toLowerCase()
+  const separator = lower.lastIndexOf('1')
+  if (separator < 1 || separator + 7 > lower.length) {
+    return null
+  }
+
+  const hrp = lower.slice(0, separator)
+  for (let i = 0; i < hrp.length; i++) {
+    const code = hrp.charCodeAt(i)
+    if (code < 33 || code > 126) {
+      return null
+    }
+  }
+
+  const words = []
+  for (const char of lower.slice(separator + 1)) {
+    const word = BECH32_CHARSET.indexOf(char)
+    if (word === -1) {
+      return null
+    }
+    words.push(word)
+  }
+
+  const checksum = bech32Polymod(bech32HrpExpand(hrp).concat(words))
+  const encoding = checksum === 1 ? 'bech32' : checksum === BECH32M_CONST ? 'bech32m' : null
+  if (!encoding) {
+    return null
+  }
+
+  return { hrp, words: words.slice(0, -6), encoding }
+}
+
+/**
+ * Regroup bits, e.g. from bech32 5-bit words to bytes
+ * @param {number[]} data
+ * @param {number} fromBits
+ * @param {number} toBits
+ * @param {boolean} pad - Pad the last group with zeros
+ * @returns {number[] | null}
+ */
+export function convertBits (data, fromBits, toBits, pad) {
+  let accumulator = 0
+  let bits = 0
+  const result = []
+  const maxValue = (1 << toBits) - 1
+
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value
+    bits += fromBits
+    while (bits >= toBits) {
+      bits -= toBits
+      result.push((accumulator >> bits) & maxValue)
+    }
+    accumulator &= (1 << bits) - 1
+  }
+
+  if (pad) {
+    if (bits > 0) {
+      result.push((accumulator << (toBits - bits)) & maxValue)
+    }
+  } else if (bits >= fromBits || ((accumulator << (toBits - bits)) & maxValue)) {
+    return null
+  }
+
+  return result
+}
+
+/**
+ * Decode a standard or URL-safe base64 string
+ * @param {string} value
+ * @returns {Uint8Array | null}
+ */
+export function base64Decode (value) {
+  const normalized = value.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '')
+  if (!/^[A-Za-z0-9+/]*$/.test(normalized) || normalized.length % 4 === 1) {
+    return null
+  }
+
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+  const bytes = []
+  let accumulator = 0
+  let bits = 0
+  for (const char of normalized) {
+    accumulator = (accumulator << 6) | alphabet.indexOf(char)
+    bits += 6
+    if (bits >= 8) {
+      bits -= 8
+      bytes.push((accumulator >> bits) & 0xff)
+      accumulator &= (1 << bits) - 1
+    }
+  }
+  return Uint8Array.from(bytes)
+}
+
+/**
+ * Compute the CRC-16/XMODEM checksum of the given bytes
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+export function crc16 (data) {
+  let crc = 0
+  for (const byte of data) {
+    crc ^= byte << 8
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff
+    }
+  }
+  return crc
+}
@@ -0,0 +1,212 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import {
+  WdkIndexerError,
+  WdkIndexerTimeoutError,
+  WdkIndexerNetworkError
+} from './errors.js'
+import { CircuitBreaker } from './circuit-breaker.js'
+
+/** Default base URL of the API */
+export const DEFAULT_BASE_URL = 'https://wdk-api.tether.io'
+
+/** Default failover options, used when several endpoints are configured */
+export const DEFAULT_FAILOVER_OPTIONS = Object.freeze({
+  routing: 'priority',
+  healthCheckInterval: 30000,
+  failureThreshold: 3,
+  cooldown: 30000
+})
+
+/** Weight of the latest health check in the latency average */
+const LATENCY_WEIGHT = 0.3
+
+/**
+ * Check whether an error means the endpoint itself is failing
+ *
+ * Network errors, timeouts and 5xx responses count; client errors and
+ * aborted calls don't.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isEndpointFailure (error) {
+  return (
+    error instanceof WdkIndexerNetworkError ||
+    error instanceof WdkIndexerTimeoutError ||
+    (typeof error?.status === 'number' && error.status >= 500)
+  )
+}
+
+/**
+ * An API endpoint and its health
+ * @typedef {object} Endpoint
+ * @property {string} url - The base URL, without a trailing slash
+ * @property {CircuitBreaker} breaker - Opens after repeated failures
+ * @property {number | null} latency - Average health check latency in milliseconds, null until checked
+ */
+
+/**
+ * An ordered list of API endpoints with health-based routing
+ *
+ * Every endpoint has a circuit breaker fed by the outcome of requests and
+ * health checks. Requests go to the endpoints whose circuit isn't open: in
+ * list order with `priority` routing, so traffic fails back to the primary
+ * once it recovers, or fastest first with `latency` routing. A half-open
+ * endpoint only takes one trial call at a time. When every circuit is open,
+ * all endpoints are candidates, in list order.
+ */
+export class EndpointPool {
+  /**
+   * @param {string | string[]} [urls] - One or more base URLs, the primary first
+   * @param {object} [options]
+   * @param {'priority' | 'latency'} [options.routing='priority'] - Prefer endpoints by list order or by health check latency
+   * @param {number} [options.healthCheckInterval=30000] - Milliseconds between health checks of all endpoints, 0 disables them
+   * @param {number} [options.failureThreshold=3] - Failures in a row that take an endpoint out of rotation
+   * @param {number} [options.cooldown=30000] - Milliseconds before a failed endpoint gets traffic again
+   * @param {(change: {previous: string, current: string, reason: string}) => void} [onChange] - Called when the preferred endpoint changes
+   */
+  constructor (urls, options, onChange) {
+    const list = [urls ?? DEFAULT_BASE_URL].flat()
+    if (list.length === 0 || list.some((url) => typeof url !== 'string' || url === '')) {
+      throw new WdkIndexerError('baseUrl must be a URL or a non-empty array of URLs')
+    }
+
+    this.options = { ...DEFAULT_FAILOVER_OPTIONS, ...options }
+    if (!['priority', 'latency'].includes(this.options.routing)) {
+      throw new WdkIndexerError('failover.routing must be "priority" or "latency"')
+    }
+
+    /** @type {Endpoint[]} */
+    this.endpoints = list.map((url) => ({
+      url: url.replace(/\/$/, ''),
+      breaker: new CircuitBreaker({
+        failureThreshold: this.options.failureThreshold,
+        failureRateThreshold: null,
+        slowCallRateThreshold: null,
+        cooldown: this.options.cooldown
+      }),
+      latency: null
+    }))
+    this._onChange = onChange
+    this._current = this.endpoints[0]
+  }
+
+  /**
+   * The preferred endpoint
+   * @type {Endpoint}
+   */
+  get current () {
+    this._update('recovery')
+    return this._current
+  }
+
+  /**
+   * The endpoints to try for a request, in order
+   * @returns {Endpoint[]}
+   */
+  getCandidates () {
+    this._update('recovery')
+    return this._rank()
+  }
+
+  /**
+   * Record a request or health check that reached the endpoint
+   * @param {Endpoint} endpoint
+   * @param {import('./circuit-breaker.js').CircuitPermit} [permit] - The permit the call got from the endpoint's breaker
+   */
+  recordSuccess (endpoint, permit) {
+    endpoint.breaker.recordSuccess(undefined, permit)
+    this._update('recovery')
+  }
+
+  /**
+   * Record a request or health check that failed because of the endpoint
+   * @param {Endpoint} endpoint
+   * @param {import('./circuit-breaker.js').CircuitPermit} [permit] - The permit the call got from the endpoint's breaker
+   */
+  recordFailure (endpoint, permit) {
+    endpoint.breaker.recordFailure(undefined, permit)
+    this._update('failure')
+  }
+
+  /**
+   * Give back the permit of a call without an outcome, e.g. an aborted one
+   * @param {Endpoint} endpoint
+   * @param {import('./circuit-breaker.js').CircuitPermit} permit
+   */
+  release (endpoint, permit) {
+    endpoint.breaker.release(permit)
+  }
+
+  /**
+   * Record the latency of a successful health check
+   * @param {Endpoint} endpoint
+   * @param {number} latency - Milliseconds
+   */
+  recordLatency (endpoint, latency) {
+    endpoint.latency = endpoint.latency === null
+      ? latency
+      : endpoint.latency + LATENCY_WEIGHT * (latency - endpoint.latency)
+    this._update('latency')
+  }
+
+  /**
+   * Get the state of every endpoint, in list order
+   * @returns {Array<{url: string, state: 'closed' | 'open' | 'half-open', latency: number | null, current: boolean}>}
+   */
+  getStates () {
+    const current = this.current
+    return this.endpoints.map((endpoint) => ({
+      url: endpoint.url,
+      state: endpoint.breaker.state,
+      latency: endpoint.latency,
+      current: endpoint === current
+    }))
+  }
+
+  /**
+   * Order the endpoints for routing: available ones first
+   * @private
+   * @returns {Endpoint[]}
+   */
+  _rank () {
+    const available = this.endpoints.filter((endpoint) => endpoint.breaker.state !== 'open')
+    if (available.length === 0) {
+      return [...this.endpoints]
+    }
+
+    if (this.options.routing === 'latency') {
+      // Stable sort: unchecked endpoints and ties keep their list order
+      available.sort((a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity))
+    }
+    return available
+  }
+
+  /**
+   * Notify when the preferred endpoint changes
+   * @private
+   * @param {string} reason
+   */
+  _update (reason) {
+    const next = this._rank()[0]
+    if (next !== this._current) {
+      const previous = this._current
+      this._current = next
+      this._onChange?.({ previous: previous.url, current: next.url, reason })
+    }
+  }
+}
@@ -0,0 +1,241 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+/** Statuses of API errors that may succeed when retried, also the default `retry.retryOnStatus` */
+export const RETRYABLE_STATUS_CODES = Object.freeze([429, 502, 503, 504])
+
+/**
+ * Base error class for SDK errors
+ */
+export class WdkIndexerError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'WdkIndexerError'
+  }
+}
+
+/**
+ * Error thrown when the API returns an error response
+ *
+ * Also used for the per-item errors of batch responses. Like the API error
+ * body, it has `error`, `message` and `status`, and serializes to them.
+ */
+export class WdkIndexerApiError extends WdkIndexerError {
+  /**
+   * @param {{error: string, message: string, status: number}} apiError - The API error body
+   * @param {object} [options]
+   * @param {number} [options.retryAfter] - Delay requested by the server's Retry-After header, in milliseconds
+   * @param {string} [options.statusText] - The HTTP status text
+   * @param {Headers} [options.headers] - The response headers
+   * @param {string} [options.body] - The start of the raw response body
+   * @param {string} [options.method] - The HTTP method of the request
+   * @param {string} [options.path] - The path of the request, without the query
+   * @param {string} [options.requestId] - The ID of the request, from the `x-request-id` header
+   */
+  constructor (apiError, options) {
+    super(apiError.message)
+    this.name = 'WdkIndexerApiError'
+    this.status = apiError.status
+    this.error = apiError.error
+    this.errorType = apiError.error
+    this.retryAfter = options?.retryAfter
+    this.statusText = options?.statusText
+    this.headers = options?.headers
+    this.body = options?.body
+    this.method = options?.method
+    this.path = options?.path
+    this.requestId = options?.requestId
+    this.isRetryable = RETRYABLE_STATUS_CODES.includes(apiError.status)
+  }
+
+  /**
+   * Serialize as the API error body
+   * @returns {{error: string, message: string, status: number}}
+   */
+  toJSON () {
+    return { error: this.error, message: this.message, status: this.status }
+  }
+}
+
+/**
+ * Error thrown when the API rejects the credentials (401 or 403)
+ */
+export class WdkIndexerAuthError extends WdkIndexerApiError {
+  constructor (apiError, options) {
+    super(apiError, options)
+    this.name = 'WdkIndexerAuthError'
+  }
+}
+
+/**
+ * Error thrown when the API rate limit is exceeded (429)
+ */
+export class WdkIndexerRateLimitError extends WdkIndexerApiError {
+  constructor (apiError, options) {
+    super(apiError, options)
+    this.name = 'WdkIndexerRateLimitError'
+  }
+}
+
+/**
+ * Error thrown when the requested resource doesn't exist (404)
+ */
+export class WdkIndexerNotFoundError extends WdkIndexerApiError {
+  constructor (apiError, options) {
+    super(apiError, options)
+    this.name = 'WdkIndexerNotFoundError'
+  }
+}
+
+/**
+ * Error thrown when the API rejects the request parameters (400 or 422)
+ */
+export class WdkIndexerBadRequestError extends WdkIndexerApiError {
+  constructor (apiError, options) {
+    super(apiError, options)
+    this.name = 'WdkIndexerBadRequestError'
+  }
+}
+
+/**
+ * Error thrown when the API or a gateway in front of it fails (5xx)
+ */
+export class WdkIndexerServerError extends WdkIndexerApiError {
+  constructor (apiError, options) {
+    super(apiError, options)
+    this.name = 'WdkIndexerServerError'
+  }
+}
+
+/**
+ * Create the API error subclass matching the status of an API error body
+ *
+ * Used for failed responses and for the per-item errors of batch responses.
+ *
+ * @param {{error: string, message: string, status: number}} apiError - The API error body
+ * @param {object} [options] - The options of `WdkIndexerApiError`
+ * @returns {WdkIndexerApiError}
+ *
+ * @example
+ * ```javascript
+ * const error = createApiError({ error: 'NotFound', message: 'Address not found', status: 404 });
+ * error instanceof WdkIndexerNotFoundError; // true
+ * ```
+ */
+export function createApiError (apiError, options) {
+  const status = apiError.status
+  if (status === 401 || status === 403) {
+    return new WdkIndexerAuthError(apiError, options)
+  }
+  if (status === 429) {
+    return new WdkIndexerRateLimitError(apiError, options)
+  }
+  if (status === 404) {
+    return new WdkIndexerNotFoundError(apiError, options)
+  }
+  if (status === 400 || status === 422) {
+    return new WdkIndexerBadRequestError(apiError, options)
+  }
+  if (status >= 500 && status <= 599) {
+    return new WdkIndexerServerError(apiError, options)
+  }
+  return new WdkIndexerApiError(apiError, options)
+}
+
+/**
+ * Error thrown when a request times out
+ */
+export class WdkIndexerTimeoutError extends WdkIndexerError {
+  constructor (timeout) {
+    super(`Request timed out after ${timeout}ms`)
+    this.name = 'WdkIndexerTimeoutError'
+  }
+}
+
+/**
+ * Error thrown when a request is cancelled through its AbortSignal
+ */
+export class WdkIndexerAbortError extends WdkIndexerError {
+  constructor (reason) {
+    super('Request was aborted')
+    this.name = 'WdkIndexerAbortError'
+    this.cause = reason
+  }
+}
+
+/**
+ * Error thrown when there's a network error
+ */
+export class WdkIndexerNetworkError extends WdkIndexerError {
+  constructor (message, cause) {
+    super(message)
+    this.name = 'WdkIndexerNetworkError'
+    this.cause = cause
+  }
+}
+
+/**
+ * Error thrown when a request parameter fails client-side validation
+ */
+export class WdkIndexerValidationError extends WdkIndexerError {
+  constructor (message, field) {
+    super(message)
+    this.name = 'WdkIndexerValidationError'
+    this.field = field
+  }
+}
+
+/**
+ * Error thrown when a response body doesn't match the expected schema
+ */
+export class WdkIndexerSchemaError extends WdkIndexerError {
+  /**
+   * @param {string} path - Path of the offending field, like `$.transfers[3].amount`
+   * @param {string} expected - The expected type
+   * @param {string} received - The type that was received
+   */
+  constructor (path, expected, received) {
+    super(`Invalid response at ${path}: expected ${expected}, received ${received}`)
+    this.name = 'WdkIndexerSchemaError'
+    this.path = path
+    this.expected = expected
+    this.received = received
+  }
+}
+
+/**
+ * Error thrown when the client-side rate limiter's queue is full
+ */
+export class WdkIndexerQueueFullError extends WdkIndexerError {
+  constructor (maxQueueLength) {
+    super(`Rate limiter queue is full (${maxQueueLength} requests waiting)`)
+    this.name = 'WdkIndexerQueueFullError'
+    this.maxQueueLength = maxQueueLength
+  }
+}
+
+/**
+ * Error thrown without sending the request while the circuit breaker is open
+ */
+export class WdkIndexerCircuitOpenError extends WdkIndexerError {
+  /**
+   * @param {number} retryAfter - Milliseconds until the circuit lets a request through again
+   */
+  constructor (retryAfter) {
+    super(`Circuit breaker is open, retry in ${retryAfter}ms`)
+    this.name = 'WdkIndexerCircuitOpenError'
+    this.retryAfter = retryAfter
+  }
+}
@@ -0,0 +1,189 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { TOKEN_DECIMALS } from './constants.js'
+import { WdkIndexerError } from './errors.js'
+import { parseAmount, formatAmount } from './amounts.js'
+import { classifyTransfer } from './direction.js'
+
+/** Default columns of each export format */
+export const DEFAULT_EXPORT_COLUMNS = Object.freeze({
+  csv: Object.freeze(['timestamp', 'blockchain', 'token', 'transactionHash', 'from', 'to', 'amount']),
+  ndjson: Object.freeze(['timestamp', 'blockchain', 'token', 'transactionHash', 'from', 'to', 'amount']),
+  ledger: Object.freeze(['timestamp', 'blockchain', 'token', 'transactionHash', 'counterparty', 'debit', 'credit'])
+})
+
+/**
+ * Escape a CSV field
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function escapeCsv (value) {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build the exported fields of a transfer
+ *
+ * Timestamps become ISO strings and amounts are normalized for the token's
+ * decimals. With an `address`, the ledger fields are filled in relative to it.
+ *
+ * @param {object} transfer
+ * @param {string} [address]
+ * @returns {Record<string, unknown>}
+ */
+function toExportRecord (transfer, address) {
+  const decimals = TOKEN_DECIMALS[transfer.blockchain]?.[transfer.token]
+  const amount = decimals === undefined
+    ? transfer.amount
+    : formatAmount(parseAmount(transfer.amount, decimals), decimals)
+
+  const record = {
+    ...transfer,
+    timestamp: new Date(transfer.timestamp * 1000).toISOString(),
+    amount
+  }
+
+  if (address !== undefined) {
+    const { direction, counterparty, signedAmount } = classifyTransfer(transfer, address)
+    // As on an asset account: incoming transfers are debits, outgoing ones credits
+    record.direction = direction
+    record.counterparty = counterparty
+    record.signedAmount = signedAmount
+    record.debit = direction === 'incoming' || direction === 'self' ? amount : ''
+    record.credit = direction === 'outgoing' || direction === 'self' ? amount : ''
+  }
+
+  return record
+}
+
+/**
+ * Convert a field to a JSON-compatible value
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function toJsonValue (value) {
+  return typeof value === 'bigint' ? value.toString() : value ?? null
+}
+
+/**
+ * Export transfers as lines of text
+ *
+ * Works on any iterable or async iterable of transfers, such as
+ * `client.iterateTokenTransfers(...)`, and only holds one transfer at a time.
+ * Every yielded chunk is one line, ending with a newline. Pass the generator
+ * to Node's `Readable.from` to get a Node stream.
+ *
+ * Formats:
+ * - `csv`: a header row, then one row per transfer
+ * - `ndjson`: one JSON object per transfer
+ * - `ledger`: CSV with `debit` (incoming) and `credit` (outgoing) amounts
+ *   and the `counterparty`, relative to `address`
+ *
+ * @param {Iterable<object> | AsyncIterable<object>} transfers
+ * @param {object} [options]
+ * @param {'csv' | 'ndjson' | 'ledger'} [options.format='csv']
+ * @param {string[]} [options.columns] - Fields to export, in order (default: `DEFAULT_EXPORT_COLUMNS[format]`)
+ * @param {string} [options.address] - The queried address, required by the ledger format
+ * @param {boolean} [options.header=true] - Start CSV and ledger exports with a header row
+ * @returns {AsyncGenerator<string>}
+ * @throws {WdkIndexerError} If the format is unknown, or a ledger export has no address
+ *
+ * @example
+ * ```javascript
+ * import { createWriteStream } from 'node:fs'
+ * import { Readable } from 'node:stream'
+ *
+ * Readable.from(exportTransfers(client.iterateTokenTransfers('tron', 'usdt', 'T1234...')))
+ *   .pipe(createWriteStream('transfers.csv'))
+ * ```
+ */
+export function exportTransfers (transfers, options) {
+  const format = options?.format ?? 'csv'
+  if (!Object.hasOwn(DEFAULT_EXPORT_COLUMNS, format)) {
+    throw new WdkIndexerError(
+      `Export format must be one of: ${Object.keys(DEFAULT_EXPORT_COLUMNS).join(', ')}`
+    )
+  }
+  if (format === 'ledger' && !options?.address) {
+    throw new WdkIndexerError('The ledger export format needs the queried address')
+  }
+
+  return generateLines(transfers, {
+    format,
+    columns: options?.columns ?? DEFAULT_EXPORT_COLUMNS[format],
+    address: options?.address,
+    header: options?.header ?? true
+  })
+}
+
+/**
+ * Yield the lines of an export, with resolved options
+ * @param {Iterable<object> | AsyncIterable<object>} transfers
+ * @param {{format: string, columns: string[], address?: string, header: boolean}} options
+ * @returns {AsyncGenerator<string>}
+ */
+async function * generateLines (transfers, { format, columns, address, header }) {
+  if (format !== 'ndjson' && header) {
+    yield `${columns.map(escapeCsv).join(',')}\n`
+  }
+
+  for await (const transfer of transfers) {
+    const record = toExportRecord(transfer, address)
+
+    if (format === 'ndjson') {
+      const line = {}
+      for (const column of columns) {
+        line[column] = toJsonValue(record[column])
+      }
+      yield `${JSON.stringify(line)}\n`
+    } else {
+      yield `${columns.map((column) => escapeCsv(record[column])).join(',')}\n`
+    }
+  }
+}
+
+/**
+ * Export transfers as a web `ReadableStream` of text lines
+ *
+ * Transfers are only pulled from the source as the stream is read, and
+ * cancelling the stream stops the source. Use `Readable.fromWeb` for a Node stream.
+ *
+ * @param {Iterable<object> | AsyncIterable<object>} transfers
+ * @param {object} [options] - The options of `exportTransfers`
+ * @returns {ReadableStream<string>}
+ */
+export function createTransferExportStream (transfers, options) {
+  const lines = exportTransfers(transfers, options)
+
+  return new ReadableStream({
+    async pull (controller) {
+      try {
+        const { value, done } = await lines.next()
+        if (done) {
+          controller.close()
+        } else {
+          controller.enqueue(value)
+        }
+      } catch (error) {
+        controller.error(error)
+      }
+    },
+    async cancel () {
+      await lines.return()
+    }
+  }, { highWaterMark: 0 })
+}
@@ -0,0 +1,525 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { SUPPORTED_TOKENS } from './constants.js'
+import { WdkIndexerError } from './errors.js'
+import { isSameAddress } from './direction.js'
+
+/** Routes of the fake indexer, used to target injected errors */
+export const FAKE_INDEXER_ROUTES = Object.freeze([
+  'health',
+  'tokenBalance',
+  'tokenTransfers',
+  'batchTokenBalances',
+  'batchTokenTransfers'
+])
+
+/** Error types of injected API errors, by status */
+const ERROR_TYPES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  429: 'TooManyRequests',
+  500: 'InternalServerError',
+  502: 'BadGateway',
+  503: 'ServiceUnavailable',
+  504: 'GatewayTimeout'
+}
+
+/** Default and maximum `limit` of the token transfers route, as on the API */
+const DEFAULT_TRANSFERS_LIMIT = 10
+const MAX_TRANSFERS_LIMIT = 1000
+
+/**
+ * Build an API error response
+ * @param {number} status
+ * @param {string} error
+ * @param {string} message
+ * @returns {{status: number, headers: Record<string, string>, body: string}}
+ */
+function errorResponse (status, error, message) {
+  return jsonResponse(status, { error, message, status })
+}
+
+/**
+ * @param {number} status
+ * @param {unknown} data
+ * @returns {{status: number, headers: Record<string, string>, body: string}}
+ */
+function jsonResponse (status, data) {
+  return {
+    status,
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(data)
+  }
+}
+
+/**
+ * Parse a request body for the request log
+ * @param {string | undefined} body
+ * @returns {unknown} The parsed JSON, or the raw body if it isn't JSON
+ */
+function parseBody (body) {
+  if (!body) {
+    return undefined
+  }
+  try {
+    return JSON.parse(body)
+  } catch {
+    return body
+  }
+}
+
+/**
+ * Find the route of a request
+ * @param {string} method
+ * @param {string} path
+ * @returns {{route: string, params?: {blockchain: string, token: string, address: string}} | null}
+ */
+function matchRoute (method, path) {
+  if (method === 'GET' && path === '/api/v1/health') {
+    return { route: 'health' }
+  }
+  if (method === 'POST' && path === '/api/v1/batch/token-balances') {
+    return { route: 'batchTokenBalances' }
+  }
+  if (method === 'POST' && path === '/api/v1/batch/token-transfers') {
+    return { route: 'batchTokenTransfers' }
+  }
+
+  const match = /^\/api\/v1\/([^/]+)\/([^/]+)\/([^/]+)\/(token-balances|token-transfers)$/.exec(path)
+  if (method === 'GET' && match) {
+    const [, blockchain, token, address, resource] = match
+    return {
+      route: resource === 'token-balances' ? 'tokenBalance' : 'tokenTransfers',
+      params: { blockchain, token, address: decodeURIComponent(address) }
+    }
+  }
+  return null
+}
+
+/**
+ * An in-memory fake of the WDK Indexer API, for tests
+ *
+ * Serves the health, token balance, token transfer and batch routes from
+ * fixtures, through a `fetch` replacement or a local HTTP server. Errors can
+ * be injected to test retries, timeouts and error handling.
+ *
+ * Balances of addresses without a fixture are zero. The transfers of an
+ * address are the fixtures sent from or to it, newest first.
+ *
+ * @example
+ * ```javascript
+ * import { FakeIndexer } from '@tetherto/wdk-indexer-http/testing'
+ *
+ * const indexer = new FakeIndexer({
+ *   balances: [{ blockchain: 'tron', token: 'usdt', address: 'T1234...', amount: '100' }]
+ * });
+ * const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: indexer.fetch });
+ * ```
+ */
+export class FakeIndexer {
+  /**
+   * @param {object} [options]
+   * @param {Array<{blockchain: string, token: string, address: string, amount: string}>} [options.balances] - Balance fixtures
+   * @param {Array<object>} [options.transfers] - Transfer fixtures, with `blockchain`, `token`, `from`, `to` and `timestamp`
+   * @param {string} [options.apiKey] - Reject requests without this `x-api-key` with 401 (default: any key is accepted)
+   */
+  constructor (options) {
+    this.apiKey = options?.apiKey
+    /** Every request received, oldest first */
+    this.requests = []
+
+    this._balances = []
+    this._transfers = []
+    this._errors = []
+    this._server = null
+
+    for (const balance of options?.balances ?? []) {
+      this.setBalance(balance.blockchain, balance.token, balance.address, balance.amount)
+    }
+    for (const transfer of options?.transfers ?? []) {
+      this.addTransfer(transfer)
+    }
+
+    this.fetch = this.fetch.bind(this)
+  }
+
+  /**
+   * Set the balance of an address
+   * @param {string} blockchain
+   * @param {string} token
+   * @param {string} address
+   * @param {string} amount
+   */
+  setBalance (blockchain, token, address, amount) {
+    const balance = this._findBalance(blockchain, token, address)
+    if (balance) {
+      balance.amount = amount
+    } else {
+      this._balances.push({ blockchain, token, address, amount })
+    }
+  }
+
+  /**
+   * Add a transfer, filling in the identity fields it lacks
+   * @param {object} transfer
+   * @returns {object} The stored transfer
+   */
+  addTransfer (transfer) {
+    const index = this._transfers.length
+    const stored = {
+      blockNumber: index + 1,
+      transactionHash: `0x${(index + 1).toString(16).padStart(64, '0')}`,
+      transferIndex: 0,
+      ...transfer
+    }
+    this._transfers.push(stored)
+    return stored
+  }
+
+  /**
+   * Make the next matching requests fail
+   *
+   * @param {object} error
+   * @param {number} [error.status] - Respond with this status and an API error body
+   * @param {number} [error.retryAfter] - `Retry-After` header in seconds, with `status`
+   * @param {boolean} [error.timeout] - Never respond, until the request is aborted
+   * @param {boolean} [error.malformed] - Respond with 200 and a truncated JSON body
+   * @param {string} [error.body] - Respond with this raw body, with `status` (default 502) and `contentType`
+   * @param {string} [error.contentType='text/html'] - Content type of a raw `body`
+   * @param {string} [error.route] - Only fail requests to this route (see `FAKE_INDEXER_ROUTES`)
+   * @param {number} [error.times=1] - Number of requests to fail, `Infinity` for all
+   * @throws {WdkIndexerError} If the error has no kind, or the route is unknown
+   */
+  injectError (error) {
+    if (!error.status && !error.timeout && !error.malformed && error.body === undefined) {
+      throw new WdkIndexerError('An injected error needs a status, timeout, malformed or body')
+    }
+    if (error.route !== undefined && !FAKE_INDEXER_ROUTES.includes(error.route)) {
+      throw new WdkIndexerError(`Route must be one of: ${FAKE_INDEXER_ROUTES.join(', ')}`)
+    }
+    this._errors.push({ ...error, times: error.times ?? 1 })
+  }
+
+  /**
+   * Remove the fixtures, injected errors and recorded requests
+   */
+  reset () {
+    this._balances = []
+    this._transfers = []
+    this._errors = []
+    this.requests = []
+  }
+
+  /**
+   * Serve a request like `fetch`
+   * @param {string | URL} input
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch (input, init) {
+    const result = await this._handle({
+      method: init?.method ?? 'GET',
+      url: new URL(input),
+      headers: new Headers(init?.headers),
+      body: init?.body,
+      signal: init?.signal
+    })
+    return new Response(result.body === '' ? null : result.body, {
+      status: result.status,
+      headers: result.headers
+    })
+  }
+
+  /**
+   * Serve the fake indexer over HTTP on localhost
+   * @param {number} [port=0] - The port, 0 for a free one
+   * @returns {Promise<string>} The base URL to pass to the client
+   */
+  async listen (port = 0) {
+    if (this._server) {
+      throw new WdkIndexerError('The fake indexer is already listening')
+    }
+    const { createServer } = await import('node:http')
+
+    this._server = createServer(async (req, res) => {
+      let body = ''
+      for await (const chunk of req) {
+        body += chunk
+      }
+
+      const controller = new AbortController()
+      res.on('close', () => controller.abort())
+
+      try {
+        const result = await this._handle({
+          method: req.method,
+          url: new URL(req.url, 'http://localhost'),
+          headers: new Headers(req.headers),
+          body,
+          signal: controller.signal
+        })
+        res.writeHead(result.status, result.headers).end(result.body)
+      } catch {
+        res.destroy()
+      }
+    })
+
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject)
+      this._server.listen(port, '127.0.0.1', resolve)
+    })
+    return `http://127.0.0.1:${this._server.address().port}`
+  }
+
+  /**
+   * Stop the HTTP server, dropping open connections
+   * @returns {Promise<void>}
+   */
+  async close () {
+    const server = this._server
+    if (!server) {
+      return
+    }
+    this._server = null
+    await new Promise((resolve) => {
+      server.close(() => resolve())
+      server.closeAllConnections()
+    })
+  }
+
+  /**
+   * Handle a request
+   * @private
+   * @param {{method: string, url: URL, headers: Headers, body?: string, signal?: AbortSignal}} request
+   * @returns {Promise<{status: number, headers: Record<string, string>, body: string}>}
+   */
+  async _handle ({ method, url, headers, body, signal }) {
+    const match = matchRoute(method, url.pathname)
+    this.requests.push({
+      method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: Object.fromEntries(headers),
+      body: parseBody(body)
+    })
+
+    const error = this._takeError(match?.route)
+    if (error) {
+      return this._fail(error, signal)
+    }
+
+    if (this.apiKey !== undefined && headers.get('x-api-key') !== this.apiKey) {
+      return errorResponse(401, 'Unauthorized', 'Invalid API key')
+    }
+    if (!match) {
+      return errorResponse(404, 'NotFound', `Cannot ${method} ${url.pathname}`)
+    }
+
+    switch (match.route) {
+      case 'health':
+        return jsonResponse(200, { status: 'ok', timestamp: new Date().toISOString() })
+      case 'tokenBalance':
+        return this._respond(this._getBalance(match.params))
+      case 'tokenTransfers':
+        return this._respond(this._getTransfers({
+          ...match.params,
+          limit: url.searchParams.get('limit') ?? undefined,
+          fromTs: url.searchParams.get('fromTs') ?? undefined,
+          toTs: url.searchParams.get('toTs') ?? undefined
+        }))
+      default:
+        return this._batch(match.route, body)
+    }
+  }
+
+  /**
+   * Turn a route result into a response
+   * @private
+   * @param {object} result - A success body, or an API error body
+   * @returns {{status: number, headers: Record<string, string>, body: string}}
+   */
+  _respond (result) {
+    return jsonResponse('error' in result ? result.status : 200, result)
+  }
+
+  /**
+   * Serve a batch route
+   * @private
+   * @param {string} route
+   * @param {string} [body]
+   * @returns {{status: number, headers: Record<string, string>, body: string}}
+   */
+  _batch (route, body) {
+    let items
+    try {
+      items = JSON.parse(body)
+    } catch {
+      return errorResponse(400, 'BadRequest', 'Body must be JSON')
+    }
+    if (!Array.isArray(items)) {
+      return errorResponse(400, 'BadRequest', 'Body must be an array')
+    }
+
+    return jsonResponse(200, items.map((item) =>
+      route === 'batchTokenBalances'
+        ? this._getBalance(item)
+        : this._getTransfers({ ...item, limit: item.limit ?? undefined })
+    ))
+  }
+
+  /**
+   * @private
+   * @param {{blockchain: string, token: string, address: string}} params
+   * @returns {object}
+   */
+  _getBalance ({ blockchain, token, address }) {
+    const invalid = this._checkParams({ blockchain, token, address })
+    if (invalid) {
+      return invalid
+    }
+
+    const amount = this._findBalance(blockchain, token, address)?.amount ?? '0'
+    return { tokenBalance: { blockchain, token, amount } }
+  }
+
+  /**
+   * @private
+   * @param {string} blockchain
+   * @param {string} token
+   * @param {string} address
+   * @returns {{blockchain: string, token: string, address: string, amount: string} | undefined}
+   */
+  _findBalance (blockchain, token, address) {
+    return this._balances.find((balance) =>
+      balance.blockchain === blockchain &&
+      balance.token === token &&
+      isSameAddress(blockchain, balance.address, address)
+    )
+  }
+
+  /**
+   * @private
+   * @param {{blockchain: string, token: string, address: string, limit?: number | string, fromTs?: number | string, toTs?: number | string}} params
+   * @returns {object}
+   */
+  _getTransfers ({ blockchain, token, address, limit, fromTs, toTs }) {
+    const invalid = this._checkParams({ blockchain, token, address })
+    if (invalid) {
+      return invalid
+    }
+
+    const count = limit === undefined ? DEFAULT_TRANSFERS_LIMIT : Number(limit)
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TRANSFERS_LIMIT) {
+      return { error: 'BadRequest', message: `limit must be between 1 and ${MAX_TRANSFERS_LIMIT}`, status: 400 }
+    }
+
+    const transfers = this._transfers
+      .filter((transfer) =>
+        transfer.blockchain === blockchain &&
+        transfer.token === token &&
+        (isSameAddress(blockchain, transfer.from, address) || isSameAddress(blockchain, transfer.to, address)) &&
+        (fromTs === undefined || transfer.timestamp >= Number(fromTs)) &&
+        (toTs === undefined || transfer.timestamp <= Number(toTs))
+      )
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, count)
+
+    return { transfers }
+  }
+
+  /**
+   * @private
+   * @param {{blockchain: string, token: string, address: string}} params
+   * @returns {object | null} An API error body, or null if the parameters are supported
+   */
+  _checkParams ({ blockchain, token, address }) {
+    if (!SUPPORTED_TOKENS[blockchain]?.includes(token)) {
+      return { error: 'BadRequest', message: `Unsupported token ${token} on ${blockchain}`, status: 400 }
+    }
+    if (!address) {
+      return { error: 'BadRequest', message: 'Address is required', status: 400 }
+    }
+    return null
+  }
+
+  /**
+   * Take the next injected error matching a route
+   * @private
+   * @param {string | undefined} route
+   * @returns {object | undefined}
+   */
+  _takeError (route) {
+    const index = this._errors.findIndex((error) => error.route === undefined || error.route === route)
+    if (index === -1) {
+      return undefined
+    }
+    const error = this._errors[index]
+    if (--error.times <= 0) {
+      this._errors.splice(index, 1)
+    }
+    return error
+  }
+
+  /**
+   * Respond with an injected error
+   * @private
+   * @param {object} error
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{status: number, headers: Record<string, string>, body: string}>}
+   */
+  _fail (error, signal) {
+    if (error.timeout) {
+      return new Promise((resolve, reject) => {
+        signal?.addEventListener('abort', () => reject(signal.reason), { once: true })
+      })
+    }
+    if (error.malformed) {
+      return Promise.resolve({
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        body: '{"transfers":[{"blockchain":'
+      })
+    }
+    if (error.body !== undefined) {
+      return Promise.resolve({
+        status: error.status ?? 502,
+        headers: { 'content-type': error.contentType ?? 'text/html' },
+        body: error.body
+      })
+    }
+
+    const response = errorResponse(
+      error.status,
+      ERROR_TYPES[error.status] ?? 'UnknownError',
+      `Injected ${error.status} error`
+    )
+    if (error.retryAfter !== undefined) {
+      response.headers['retry-after'] = String(error.retryAfter)
+    }
+    return Promise.resolve(response)
+  }
+}
+
+/**
+ * Create a new FakeIndexer instance
+ * @param {object} [options] - The options of `FakeIndexer`
+ * @returns {FakeIndexer}
+ */
+export function createFakeIndexer (options) {
+  return new FakeIndexer(options)
+}
@@ -0,0 +1,192 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { WdkIndexerValidationError } from './errors.js'
+import { getTokenDecimals, parseAmount, formatAmount } from './amounts.js'
+import { classifyTransfer } from './direction.js'
+import { validateRequest } from './validation.js'
+
+/** Bucket sizes of balance histories, in seconds */
+export const BALANCE_HISTORY_INTERVALS = Object.freeze({
+  hour: 3600,
+  day: 86400
+})
+
+/**
+ * Check that a value is a timestamp in seconds
+ * @param {unknown} value
+ * @param {string} field
+ * @throws {WdkIndexerValidationError}
+ */
+function validateTimestamp (value, field) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new WdkIndexerValidationError(
+      `${field} must be a non-negative integer timestamp in seconds`,
+      field
+    )
+  }
+}
+
+/**
+ * Reconstruct the balance of an address at several points in time
+ *
+ * Starts from the current balance and walks the transfer history backwards,
+ * undoing every transfer newer than each point. Transfers at or before the
+ * oldest point are never fetched.
+ *
+ * @param {import('../index.js').WdkIndexerClient} client
+ * @param {string} blockchain
+ * @param {string} token
+ * @param {string} address
+ * @param {number[]} timestamps - The points in time, newest first
+ * @param {object} [options]
+ * @returns {Promise<bigint[]>} The balance in base units at each point, in the same order
+ */
+async function replayBalances (client, blockchain, token, address, timestamps, options) {
+  const decimals = getTokenDecimals(blockchain, token)
+  const requestOptions = {
+    signal: options?.signal,
+    timeout: options?.timeout,
+    headers: options?.headers
+  }
+
+  const { tokenBalance } = await client.getTokenBalance(blockchain, token, address, requestOptions)
+  let balance = parseAmount(tokenBalance.amount, decimals)
+
+  const transfers = client.iterateTokenTransfers(blockchain, token, address, {
+    ...requestOptions,
+    pageSize: options?.pageSize,
+    fromTs: timestamps[timestamps.length - 1] + 1
+  })
+
+  const balances = []
+  for await (const transfer of transfers) {
+    while (balances.length < timestamps.length && transfer.timestamp <= timestamps[balances.length]) {
+      balances.push(balance)
+    }
+    if (balances.length === timestamps.length) {
+      break
+    }
+    balance -= parseAmount(classifyTransfer(transfer, address).signedAmount, decimals)
+  }
+  while (balances.length < timestamps.length) {
+    balances.push(balance)
+  }
+
+  return balances
+}
+
+/**
+ * Reconstruct the balance of an address at a point in time
+ *
+ * @param {import('../index.js').WdkIndexerClient} client
+ * @param {string} blockchain - The blockchain network
+ * @param {string} token - The token type
+ * @param {string} address - The wallet address
+ * @param {number} atTs - The point in time, as a timestamp in seconds (inclusive)
+ * @param {object} [options]
+ * @param {number} [options.pageSize=1000] - Number of transfers requested per page
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @param {number} [options.timeout] - Timeout in milliseconds for each request
+ * @param {Record<string, string>} [options.headers] - Extra headers for each request
+ * @returns {Promise<object>} The balance, see `WdkIndexerClient#getHistoricalBalance`
+ * @throws {WdkIndexerValidationError} If `atTs` is not a timestamp, or the token has no registered decimals
+ */
+export async function getHistoricalBalance (client, blockchain, token, address, atTs, options) {
+  if (client.validate) {
+    validateRequest({ blockchain, token, address })
+  }
+  validateTimestamp(atTs, 'atTs')
+
+  const [balance] = await replayBalances(client, blockchain, token, address, [atTs], options)
+
+  return {
+    blockchain,
+    token,
+    address,
+    timestamp: atTs,
+    amount: formatAmount(balance, getTokenDecimals(blockchain, token))
+  }
+}
+
+/**
+ * Reconstruct the balance of an address at the end of every hour or day of a period
+ *
+ * Buckets are aligned to UTC hours or days. Every snapshot holds the bucket's
+ * start and the balance at its end, so the last bucket holds the current
+ * balance when `toTs` is now.
+ *
+ * @param {import('../index.js').WdkIndexerClient} client
+ * @param {string} blockchain - The blockchain network
+ * @param {string} token - The token type
+ * @param {string} address - The wallet address
+ * @param {object} options
+ * @param {number} options.fromTs - Start of the period, as a timestamp in seconds
+ * @param {number} [options.toTs=now] - End of the period, as a timestamp in seconds
+ * @param {'hour' | 'day'} [options.interval='day'] - The bucket size
+ * @param {number} [options.pageSize=1000] - Number of transfers requested per page
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @param {number} [options.timeout] - Timeout in milliseconds for each request
+ * @param {Record<string, string>} [options.headers] - Extra headers for each request
+ * @returns {Promise<object>} The snapshots, see `WdkIndexerClient#getBalanceHistory`
+ * @throws {WdkIndexerValidationError} If the period or interval is invalid, or the token has no registered decimals
+ */
+export async function getBalanceHistory (client, blockchain, token, address, options) {
+  if (client.validate) {
+    validateRequest({ blockchain, token, address })
+  }
+
+  const interval = options?.interval ?? 'day'
+  if (!Object.hasOwn(BALANCE_HISTORY_INTERVALS, interval)) {
+    throw new WdkIndexerValidationError(
+      `Interval must be one of: ${Object.keys(BALANCE_HISTORY_INTERVALS).join(', ')}`,
+      'interval'
+    )
+  }
+
+  const fromTs = options?.fromTs
+  const toTs = options?.toTs ?? Math.floor(Date.now() / 1000)
+  validateTimestamp(fromTs, 'fromTs')
+  validateTimestamp(toTs, 'toTs')
+  if (fromTs > toTs) {
+    throw new WdkIndexerValidationError('fromTs must not be after toTs', 'fromTs')
+  }
+
+  const size = BALANCE_HISTORY_INTERVALS[interval]
+  const starts = []
+  for (let start = toTs - (toTs % size); start >= fromTs - (fromTs % size); start -= size) {
+    starts.push(start)
+  }
+
+  const balances = await replayBalances(
+    client,
+    blockchain,
+    token,
+    address,
+    starts.map((start) => start + size - 1),
+    options
+  )
+
+  const decimals = getTokenDecimals(blockchain, token)
+  return {
+    blockchain,
+    token,
+    address,
+    interval,
+    snapshots: starts
+      .map((timestamp, i) => ({ timestamp, amount: formatAmount(balances[i], decimals) }))
+      .reverse()
+  }
+}
@@ -0,0 +1,176 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+/**
+ * Request/response middleware
+ *
+ * A middleware is an object with any of these optional, possibly async, hooks:
+ *
+ * - `onRequest(request)` runs before each HTTP attempt and may change the
+ *   request's `method`, `url`, `headers` or `body` (before JSON encoding).
+ * - `onResponse(response)` runs after each successful attempt and may change
+ *   the parsed `data` returned to the caller.
+ * - `onError(error, context)` runs after each failed attempt and may return
+ *   a different error to throw.
+ *
+ * Each hook may either mutate its argument or return a replacement.
+ * `onRequest` hooks run in order, `onResponse` and `onError` in reverse order.
+ *
+ * @typedef {object} MiddlewareRequest
+ * @property {string} method
+ * @property {string} url
+ * @property {Record<string, string>} headers
+ * @property {unknown} [body]
+ *
+ * @typedef {object} MiddlewareResponse
+ * @property {MiddlewareRequest} request
+ * @property {number} status
+ * @property {Headers} [headers]
+ * @property {unknown} data - The parsed response body
+ * @property {number} duration - Time spent on the request, in milliseconds
+ *
+ * @typedef {object} Middleware
+ * @property {(request: MiddlewareRequest) => MiddlewareRequest | void | Promise<MiddlewareRequest | void>} [onRequest]
+ * @property {(response: MiddlewareResponse) => MiddlewareResponse | void | Promise<MiddlewareResponse | void>} [onResponse]
+ * @property {(error: Error, context: {request: MiddlewareRequest, duration: number}) => Error | void | Promise<Error | void>} [onError]
+ */
+
+/**
+ * Run the `onRequest` hooks
+ * @param {Middleware[]} middleware
+ * @param {MiddlewareRequest} request
+ * @returns {Promise<MiddlewareRequest>}
+ */
+export async function runRequestHooks (middleware, request) {
+  for (const { onRequest } of middleware) {
+    if (onRequest) {
+      request = (await onRequest(request)) ?? request
+    }
+  }
+  return request
+}
+
+/**
+ * Run the `onResponse` hooks
+ * @param {Middleware[]} middleware
+ * @param {MiddlewareResponse} response
+ * @returns {Promise<MiddlewareResponse>}
+ */
+export async function runResponseHooks (middleware, response) {
+  for (let i = middleware.length - 1; i >= 0; i--) {
+    const { onResponse } = middleware[i]
+    if (onResponse) {
+      response = (await onResponse(response)) ?? response
+    }
+  }
+  return response
+}
+
+/**
+ * Run the `onError` hooks
+ * @param {Middleware[]} middleware
+ * @param {Error} error
+ * @param {{request: MiddlewareRequest, duration: number}} context
+ * @returns {Promise<Error>} The error to throw
+ */
+export async function runErrorHooks (middleware, error, context) {
+  for (let i = middleware.length - 1; i >= 0; i--) {
+    const { onError } = middleware[i]
+    if (onError) {
+      error = (await onError(error, context)) ?? error
+    }
+  }
+  return error
+}
+
+/**
+ * Create a middleware that logs every request with its outcome and latency
+ *
+ * Sensitive headers are redacted from the logged request.
+ *
+ * @param {object} [options]
+ * @param {(entry: object) => void} [options.logger=console.log] - Receives one entry per request
+ * @param {string[]} [options.redactHeaders=['x-api-key', 'authorization']] - Headers whose value is replaced by `[REDACTED]`
+ * @returns {Middleware}
+ *
+ * @example
+ * ```javascript
+ * const client = new WdkIndexerClient({
+ *   apiKey: 'your-api-key',
+ *   middleware: [createLoggingMiddleware({ logger: (entry) => log.info(entry) })]
+ * });
+ * ```
+ */
+export function createLoggingMiddleware (options) {
+  const logger = options?.logger ?? console.log
+  const redact = (options?.redactHeaders ?? ['x-api-key', 'authorization']).map((name) =>
+    name.toLowerCase()
+  )
+
+  const describe = (request) => ({
+    method: request.method,
+    url: request.url,
+    headers: Object.fromEntries(
+      Object.entries(request.headers).map(([name, value]) => [
+        name,
+        redact.includes(name.toLowerCase()) ? '[REDACTED]' : value
+      ])
+    )
+  })
+
+  return {
+    onResponse (response) {
+      logger({
+        ...describe(response.request),
+        status: response.status,
+        duration: response.duration
+      })
+    },
+    onError (error, { request, duration }) {
+      logger({
+        ...describe(request),
+        status: error.status,
+        error: error.name,
+        message: error.message,
+        duration
+      })
+    }
+  }
+}
+
+function generateRequestId () {
+  if (typeof globalThis.crypto?.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID()
+  }
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`
+}
+
+/**
+ * Create a middleware that adds a unique request ID header to every request
+ * @param {object} [options]
+ * @param {string} [options.header='x-request-id'] - Name of the header
+ * @param {() => string} [options.generate] - ID generator (default: random UUID)
+ * @returns {Middleware}
+ */
+export function createRequestIdMiddleware (options) {
+  const header = options?.header ?? 'x-request-id'
+  const generate = options?.generate ?? generateRequestId
+
+  return {
+    onRequest (request) {
+      request.headers[header] = generate()
+    }
+  }
+}
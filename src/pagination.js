@@ -0,0 +1,99 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { getTransferId } from './transfers.js'
+
+/** Maximum number of transfers the API returns per request */
+export const MAX_TRANSFERS_PAGE_SIZE = 1000
+
+/**
+ * Page backwards through the full transfer history of an address
+ *
+ * Each page is requested with `toTs` set to the oldest timestamp of the
+ * previous page. Since `toTs` is inclusive, transfers sharing that timestamp
+ * come back on the next page and are skipped. If a full page consists only of
+ * already seen transfers (more than `pageSize` transfers with the same
+ * timestamp), the cursor steps past that timestamp.
+ *
+ * @param {import('../index.js').WdkIndexerClient} client
+ * @param {string} blockchain - The blockchain network
+ * @param {string} token - The token type
+ * @param {string} address - The wallet address
+ * @param {object} [options]
+ * @param {number} [options.pageSize=1000] - Number of transfers requested per page
+ * @param {number} [options.fromTs] - Stop at this timestamp (inclusive)
+ * @param {number} [options.toTs] - Start from this timestamp (inclusive, default: latest)
+ * @param {AbortSignal} [options.signal] - Forwarded to every page request
+ * @param {number} [options.timeout] - Forwarded to every page request
+ * @param {Record<string, string>} [options.headers] - Forwarded to every page request
+ * @returns {AsyncGenerator<object>} The transfers, newest first
+ */
+export async function * paginateTokenTransfers (client, blockchain, token, address, options) {
+  const pageSize = options?.pageSize ?? MAX_TRANSFERS_PAGE_SIZE
+  const fromTs = options?.fromTs
+  let toTs = options?.toTs
+  let seen = new Set()
+
+  while (true) {
+    const { transfers } = await client.getTokenTransfers(blockchain, token, address, {
+      limit: pageSize,
+      fromTs,
+      toTs,
+      signal: options?.signal,
+      timeout: options?.timeout,
+      headers: options?.headers
+    })
+
+    let oldest = Infinity
+    for (const transfer of transfers) {
+      oldest = Math.min(oldest, transfer.timestamp)
+    }
+    if (!Number.isFinite(oldest)) {
+      return
+    }
+
+    // Keys of transfers at the oldest timestamp, which the next page repeats
+    const boundary = oldest === toTs ? seen : new Set()
+    let yielded = 0
+
+    for (const transfer of transfers) {
+      const key = getTransferId(transfer)
+      if (seen.has(key)) {
+        continue
+      }
+      if (transfer.timestamp === oldest) {
+        boundary.add(key)
+      }
+      yielded++
+      yield transfer
+    }
+
+    if (transfers.length < pageSize) {
+      return
+    }
+
+    if (yielded === 0) {
+      toTs = oldest - 1
+      seen = new Set()
+    } else {
+      toTs = oldest
+      seen = boundary
+    }
+
+    if (fromTs !== undefined && toTs < fromTs) {
+      return
+    }
+  }
+}
@@ -0,0 +1,114 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { EventEmitter } from 'events'
+
+import { WdkIndexerError, WdkIndexerAbortError } from './errors.js'
+
+/** Default polling interval of watchers and monitors, in milliseconds */
+export const DEFAULT_POLL_INTERVAL = 15000
+
+/**
+ * Build the key of a polled address, as used in checkpoints and snapshots
+ * @param {{blockchain: string, token: string, address: string}} target
+ * @returns {string}
+ */
+export function getTargetKey (target) {
+  return `${target.blockchain}:${target.token}:${target.address}`
+}
+
+/**
+ * Base class of the event emitters that poll the API on an interval
+ *
+ * Ticks never overlap: the next one is scheduled once the previous one has
+ * finished. Subclasses implement `_tick(signal)` and call `_start()` once
+ * they are set up. Errors thrown by a tick are emitted as `error` events,
+ * only when there are listeners, and polling goes on.
+ */
+export class Poller extends EventEmitter {
+  /**
+   * @param {string} name - The client method name, used in error messages
+   * @param {number} [interval=15000] - Milliseconds between ticks
+   */
+  constructor (name, interval) {
+    super()
+
+    this.interval = interval ?? DEFAULT_POLL_INTERVAL
+    if (!(this.interval > 0)) {
+      throw new WdkIndexerError(`${name}.interval must be a positive number`)
+    }
+
+    this._controller = new AbortController()
+    this._timer = null
+    this._stopped = false
+  }
+
+  /**
+   * Whether the poller is still running
+   * @type {boolean}
+   */
+  get running () {
+    return !this._stopped
+  }
+
+  /**
+   * Stop polling, cancelling the requests in flight
+   */
+  stop () {
+    if (this._stopped) {
+      return
+    }
+
+    this._stopped = true
+    clearTimeout(this._timer)
+    this._timer = null
+    this._controller.abort()
+    this.emit('close')
+  }
+
+  /**
+   * Run one tick
+   * @protected
+   * @param {AbortSignal} signal - Aborted when the poller stops
+   * @returns {Promise<void>}
+   */
+  async _tick (signal) {}
+
+  _start () {
+    this._schedule(0)
+  }
+
+  _schedule (delay) {
+    this._timer = setTimeout(async () => {
+      this._timer = null
+      try {
+        await this._tick(this._controller.signal)
+      } catch (error) {
+        if (!(error instanceof WdkIndexerAbortError)) {
+          this._fail(error)
+        }
+      }
+      if (!this._stopped) {
+        this._schedule(this.interval)
+      }
+    }, delay)
+  }
+
+  _fail (error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error)
+    }
+  }
+}
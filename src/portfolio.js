@@ -0,0 +1,167 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { SUPPORTED_TOKENS } from './constants.js'
+import {
+  WdkIndexerError,
+  WdkIndexerAbortError,
+  WdkIndexerValidationError
+} from './errors.js'
+import { getTokenDecimals, parseAmount, formatAmount } from './amounts.js'
+import { validateBlockchain, validateRequest } from './validation.js'
+
+/**
+ * Build the balance requests of a portfolio, one per chain, token and address
+ * @param {Record<string, string | string[]>} addressesByChain
+ * @param {string[]} [tokens] - Only include these tokens
+ * @param {boolean} validate - Check the blockchain of every chain
+ * @returns {Array<{blockchain: string, token: string, address: string}>}
+ */
+function getPortfolioLegs (addressesByChain, tokens, validate) {
+  const legs = []
+
+  for (const [blockchain, addresses] of Object.entries(addressesByChain)) {
+    if (validate) {
+      validateBlockchain(blockchain, 'addressesByChain')
+    }
+
+    const chainTokens = (SUPPORTED_TOKENS[blockchain] ?? tokens ?? []).filter(
+      (token) => !tokens || tokens.includes(token)
+    )
+    for (const address of [addresses].flat()) {
+      for (const token of chainTokens) {
+        legs.push({ blockchain, token, address })
+      }
+    }
+  }
+
+  return legs
+}
+
+/**
+ * Sum the balances of a portfolio exactly, per chain and per token
+ *
+ * Totals of a token held on chains with different decimals are summed at
+ * the highest precision.
+ *
+ * @param {Array<{blockchain: string, token: string, amount: string, decimals: number}>} balances
+ * @returns {{chains: Record<string, Record<string, string>>, totals: Record<string, string>}}
+ */
+function sumPortfolio (balances) {
+  const decimalsByToken = {}
+  for (const { token, decimals } of balances) {
+    decimalsByToken[token] = Math.max(decimalsByToken[token] ?? 0, decimals)
+  }
+
+  const chains = {}
+  const totals = {}
+  for (const { blockchain, token, amount } of balances) {
+    const decimals = decimalsByToken[token]
+    const units = parseAmount(amount, decimals)
+
+    chains[blockchain] ??= {}
+    chains[blockchain][token] = (chains[blockchain][token] ?? 0n) + units
+    totals[token] = (totals[token] ?? 0n) + units
+  }
+
+  const format = (sums) => Object.fromEntries(
+    Object.entries(sums).map(([token, units]) => [token, formatAmount(units, decimalsByToken[token])])
+  )
+
+  return {
+    chains: Object.fromEntries(
+      Object.entries(chains).map(([blockchain, sums]) => [blockchain, format(sums)])
+    ),
+    totals: format(totals)
+  }
+}
+
+/**
+ * Fetch the balances of addresses across chains and sum them per chain and token
+ *
+ * The legs of each chain are fetched with one `getBatchTokenBalances` call,
+ * all chains at once. Legs that fail, including addresses that don't fit the
+ * format of their chain and every leg of a chain whose request failed, are
+ * reported in `failed` instead of failing the whole portfolio. Only a
+ * cancelled call rejects.
+ *
+ * @param {import('../index.js').WdkIndexerClient} client
+ * @param {Record<string, string | string[]>} addressesByChain - One or more addresses per blockchain
+ * @param {object} [options]
+ * @param {string[]} [options.tokens] - Tokens to include (default: every token supported on each chain)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {number} [options.timeout] - Timeout in milliseconds for this call
+ * @param {Record<string, string>} [options.headers] - Extra headers for this call
+ * @returns {Promise<object>} The portfolio, see `WdkIndexerClient#getPortfolio`
+ */
+export async function getPortfolio (client, addressesByChain, options) {
+  const legs = getPortfolioLegs(addressesByChain, options?.tokens, client.validate)
+
+  const failed = []
+  const pending = []
+  for (const leg of legs) {
+    try {
+      if (client.validate) {
+        validateRequest(leg)
+      }
+      pending.push(leg)
+    } catch (error) {
+      if (!(error instanceof WdkIndexerValidationError)) {
+        throw error
+      }
+      failed.push({ ...leg, error })
+    }
+  }
+
+  const legsByChain = new Map()
+  for (const leg of pending) {
+    legsByChain.set(leg.blockchain, [...(legsByChain.get(leg.blockchain) ?? []), leg])
+  }
+  const chains = [...legsByChain.values()]
+
+  const settled = await Promise.allSettled(
+    chains.map((chainLegs) =>
+      client.getBatchTokenBalances(chainLegs, {
+        signal: options?.signal,
+        timeout: options?.timeout,
+        headers: options?.headers
+      })
+    )
+  )
+
+  // The result of every leg, or the error of its chain's request
+  const results = new Map()
+  chains.forEach((chainLegs, i) => {
+    const { status, value, reason } = settled[i]
+    if (status === 'rejected' && (reason instanceof WdkIndexerAbortError || !(reason instanceof WdkIndexerError))) {
+      throw reason
+    }
+    chainLegs.forEach((leg, j) => results.set(leg, status === 'fulfilled' ? value[j] : reason))
+  })
+
+  const balances = []
+  for (const leg of pending) {
+    const result = results.get(leg)
+    if (result instanceof Error) {
+      failed.push({ ...leg, error: result })
+      continue
+    }
+    const decimals = getTokenDecimals(leg.blockchain, leg.token)
+    const amount = formatAmount(parseAmount(result.tokenBalance.amount, decimals), decimals)
+    balances.push({ ...leg, amount, decimals })
+  }
+
+  return { balances, ...sumPortfolio(balances), failed }
+}
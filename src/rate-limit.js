@@ -0,0 +1,224 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import {
+  WdkIndexerError,
+  WdkIndexerAbortError,
+  WdkIndexerQueueFullError
+} from './errors.js'
+import { parseRetryAfter } from './retry.js'
+
+/**
+ * Read the remaining quota from rate-limit response headers
+ *
+ * Understands both `X-RateLimit-*` and the IETF draft `RateLimit-*` headers.
+ * A reset value larger than a year of seconds is read as a Unix timestamp.
+ *
+ * @param {Headers} [headers]
+ * @param {number} [now=Date.now()]
+ * @returns {{remaining?: number, resetAfter?: number}} Remaining requests, and milliseconds until the quota resets
+ */
+export function parseRateLimitHeaders (headers, now = Date.now()) {
+  const get = (name) =>
+    headers?.get(`x-ratelimit-${name}`) ?? headers?.get(`ratelimit-${name}`) ?? null
+
+  const result = {}
+
+  const remaining = Number.parseInt(get('remaining'), 10)
+  if (Number.isFinite(remaining)) {
+    result.remaining = remaining
+  }
+
+  const reset = Number(get('reset') ?? NaN)
+  if (Number.isFinite(reset)) {
+    result.resetAfter = reset > 31536000 ? Math.max(0, reset * 1000 - now) : reset * 1000
+  }
+
+  return result
+}
+
+/**
+ * Token bucket rate limiter that queues requests instead of failing them
+ *
+ * The bucket holds up to `burst` tokens and refills at `requestsPerSecond`.
+ * Each request takes one token, waiting in FIFO order when none is left.
+ */
+export class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {number} options.requestsPerSecond - Sustained request rate
+   * @param {number} [options.burst=requestsPerSecond] - Maximum number of requests sent at once
+   * @param {number} [options.maxQueueLength=Infinity] - Maximum number of waiting requests
+   * @param {boolean} [options.adaptive=true] - Adjust to rate-limit headers sent by the server
+   */
+  constructor (options) {
+    if (!(options?.requestsPerSecond > 0)) {
+      throw new WdkIndexerError('rateLimit.requestsPerSecond must be a positive number')
+    }
+
+    this.requestsPerSecond = options.requestsPerSecond
+    this.burst = options.burst ?? Math.max(1, Math.floor(options.requestsPerSecond))
+    this.maxQueueLength = options.maxQueueLength ?? Infinity
+    this.adaptive = options.adaptive ?? true
+
+    if (!(this.burst >= 1)) {
+      throw new WdkIndexerError('rateLimit.burst must be at least 1')
+    }
+
+    this._tokens = this.burst
+    this._refilledAt = Date.now()
+    this._pausedUntil = 0
+    this._queue = []
+    this._timer = null
+
+    this._waits = 0
+    this._totalWaitTime = 0
+    this._lastWaitTime = 0
+    this._maxWaitTime = 0
+  }
+
+  /**
+   * Wait for a token
+   * @param {AbortSignal} [signal] - Leaves the queue and rejects with a WdkIndexerAbortError when aborted
+   * @returns {Promise<void>}
+   * @throws {WdkIndexerQueueFullError} If the queue is full
+   */
+  acquire (signal) {
+    if (signal?.aborted) {
+      return Promise.reject(new WdkIndexerAbortError(signal.reason))
+    }
+    if (this._queue.length >= this.maxQueueLength) {
+      return Promise.reject(new WdkIndexerQueueFullError(this.maxQueueLength))
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = this._queue.indexOf(waiter)
+        if (index !== -1) {
+          this._queue.splice(index, 1)
+        }
+        reject(new WdkIndexerAbortError(signal.reason))
+      }
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort)
+          resolve()
+        },
+        enqueuedAt: Date.now()
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true })
+      this._queue.push(waiter)
+      this._drain()
+    })
+  }
+
+  /**
+   * Update the limiter from a response
+   *
+   * Lowers the available tokens to the server's remaining quota, and pauses
+   * when the quota is used up or the server answered 429 with `Retry-After`.
+   *
+   * @param {Headers} [headers]
+   * @param {number} [status]
+   */
+  update (headers, status) {
+    if (!this.adaptive) {
+      return
+    }
+
+    const now = Date.now()
+    const { remaining, resetAfter } = parseRateLimitHeaders(headers, now)
+
+    if (remaining !== undefined) {
+      this._refill(now)
+      this._tokens = Math.min(this._tokens, remaining)
+      if (remaining === 0 && resetAfter !== undefined) {
+        this.pause(resetAfter)
+      }
+    }
+
+    if (status === 429) {
+      const retryAfter = parseRetryAfter(headers?.get('retry-after'), now)
+      if (retryAfter !== undefined) {
+        this.pause(retryAfter)
+      }
+    }
+  }
+
+  /**
+   * Stop handing out tokens for the given time
+   * @param {number} ms
+   */
+  pause (ms) {
+    this._pausedUntil = Math.max(this._pausedUntil, Date.now() + ms)
+    this._drain()
+  }
+
+  /**
+   * Current queue and wait time statistics
+   * @returns {{queueLength: number, availableTokens: number, pausedUntil: number | null, lastWaitTime: number, averageWaitTime: number, maxWaitTime: number}}
+   */
+  getStats () {
+    const now = Date.now()
+    this._refill(now)
+
+    return {
+      queueLength: this._queue.length,
+      availableTokens: Math.floor(this._tokens),
+      pausedUntil: this._pausedUntil > now ? this._pausedUntil : null,
+      lastWaitTime: this._lastWaitTime,
+      averageWaitTime: this._waits ? this._totalWaitTime / this._waits : 0,
+      maxWaitTime: this._maxWaitTime
+    }
+  }
+
+  _refill (now) {
+    const elapsed = now - this._refilledAt
+    this._tokens = Math.min(this.burst, this._tokens + (elapsed * this.requestsPerSecond) / 1000)
+    this._refilledAt = now
+  }
+
+  _drain () {
+    if (this._timer) {
+      clearTimeout(this._timer)
+      this._timer = null
+    }
+
+    const now = Date.now()
+    this._refill(now)
+
+    while (this._queue.length > 0 && this._tokens >= 1 && now >= this._pausedUntil) {
+      const { resolve, enqueuedAt } = this._queue.shift()
+      this._tokens -= 1
+
+      const waitTime = now - enqueuedAt
+      this._waits++
+      this._totalWaitTime += waitTime
+      this._lastWaitTime = waitTime
+      this._maxWaitTime = Math.max(this._maxWaitTime, waitTime)
+
+      resolve()
+    }
+
+    if (this._queue.length > 0) {
+      const delay = Math.max(
+        this._pausedUntil - now,
+        ((1 - this._tokens) * 1000) / this.requestsPerSecond
+      )
+      this._timer = setTimeout(() => this._drain(), Math.max(1, Math.ceil(delay)))
+    }
+  }
+}
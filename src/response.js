@@ -0,0 +1,106 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+/** Maximum length of the body snippet kept on API errors */
+export const MAX_BODY_SNIPPET_LENGTH = 500
+
+/**
+ * A decoded response body
+ * @typedef {object} ResponseBody
+ * @property {boolean} isJson - Whether the body was valid JSON
+ * @property {unknown} data - The parsed JSON, undefined otherwise
+ * @property {string} text - The raw body, empty when it couldn't be read as text
+ * @property {string | null} contentType - The `content-type` header
+ */
+
+/**
+ * Read and decode a response body
+ *
+ * The body is read as text and only parsed when the content type is JSON
+ * (`application/json` or any `+json` type) or missing, so HTML error pages
+ * from proxies and empty bodies don't throw. Fetch implementations without
+ * `text()` fall back to `json()`.
+ *
+ * @param {Response} response
+ * @returns {Promise<ResponseBody>}
+ */
+export async function readResponseBody (response) {
+  const contentType = response.headers?.get('content-type') ?? null
+
+  if (typeof response.text !== 'function') {
+    try {
+      return { isJson: true, data: await response.json(), text: '', contentType }
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return { isJson: false, data: undefined, text: '', contentType }
+      }
+      throw error
+    }
+  }
+
+  const text = await response.text()
+  if (text.trim() === '' || (contentType && !/[/+]json\b/i.test(contentType))) {
+    return { isJson: false, data: undefined, text, contentType }
+  }
+
+  try {
+    return { isJson: true, data: JSON.parse(text), text, contentType }
+  } catch {
+    return { isJson: false, data: undefined, text, contentType }
+  }
+}
+
+/**
+ * Truncate a body for error reports
+ * @param {string} text
+ * @returns {string}
+ */
+export function getBodySnippet (text) {
+  return text.length > MAX_BODY_SNIPPET_LENGTH
+    ? `${text.slice(0, MAX_BODY_SNIPPET_LENGTH)}...`
+    : text
+}
+
+/**
+ * Describe a body that isn't JSON, for error messages
+ * @param {ResponseBody} body
+ * @returns {string}
+ */
+export function describeBody (body) {
+  if (body.text.trim() === '') {
+    return 'an empty body'
+  }
+  return body.contentType ? `a ${body.contentType.split(';')[0].trim()} body` : 'a body that is not JSON'
+}
+
+/**
+ * Get the ID of a request, from the `x-request-id` header of the response or,
+ * failing that, of the request (see `createRequestIdMiddleware`)
+ * @param {{headers: Record<string, string>}} request
+ * @param {Response} response
+ * @returns {string | undefined}
+ */
+export function getRequestId (request, response) {
+  const fromResponse = response.headers?.get('x-request-id')
+  if (fromResponse) {
+    return fromResponse
+  }
+  for (const [name, value] of Object.entries(request.headers)) {
+    if (name.toLowerCase() === 'x-request-id') {
+      return value
+    }
+  }
+  return undefined
+}
@@ -0,0 +1,148 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import {
+  WdkIndexerError,
+  WdkIndexerAbortError,
+  WdkIndexerTimeoutError,
+  WdkIndexerNetworkError,
+  RETRYABLE_STATUS_CODES
+} from './errors.js'
+
+/**
+ * Default retry policy, used when `config.retry` is `true` and as the base
+ * for partial retry configurations
+ */
+export const DEFAULT_RETRY_OPTIONS = Object.freeze({
+  maxAttempts: 3,
+  baseDelay: 250,
+  maxDelay: 10000,
+  jitter: true,
+  retryOnStatus: RETRYABLE_STATUS_CODES,
+  retryOnErrors: Object.freeze([WdkIndexerTimeoutError, WdkIndexerNetworkError]),
+  respectRetryAfter: true,
+  retryBatch: false
+})
+
+/**
+ * Resolve the retry policy from the client configuration
+ *
+ * Retries are disabled unless `retry` is `true` or an options object.
+ *
+ * @param {boolean | object} [retry] - The `retry` option of the client configuration
+ * @returns {typeof DEFAULT_RETRY_OPTIONS} The resolved retry policy
+ */
+export function resolveRetryOptions (retry) {
+  if (!retry) {
+    return { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 }
+  }
+
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...(retry === true ? {} : retry) }
+
+  if (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1) {
+    throw new WdkIndexerError('retry.maxAttempts must be a positive integer')
+  }
+  if (options.baseDelay < 0 || options.maxDelay < 0) {
+    throw new WdkIndexerError('retry.baseDelay and retry.maxDelay must not be negative')
+  }
+
+  return options
+}
+
+/**
+ * Check if an error should be retried under the given policy
+ * @param {typeof DEFAULT_RETRY_OPTIONS} policy
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableError (policy, error) {
+  if (typeof error.status === 'number' && policy.retryOnStatus.includes(error.status)) {
+    return true
+  }
+  return policy.retryOnErrors.some((ErrorClass) => error instanceof ErrorClass)
+}
+
+/**
+ * Compute the delay before the next attempt
+ *
+ * Uses exponential backoff with optional full jitter. When the server sent a
+ * `Retry-After` header the delay is at least that long; if it asks for longer
+ * than `maxDelay` no retry is made.
+ *
+ * @param {typeof DEFAULT_RETRY_OPTIONS} policy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Error} error - The error of that attempt
+ * @returns {number | null} Delay in milliseconds, or null to give up
+ */
+export function getRetryDelay (policy, attempt, error) {
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1))
+  const delay = policy.jitter ? Math.random() * backoff : backoff
+
+  if (policy.respectRetryAfter && typeof error.retryAfter === 'number') {
+    if (error.retryAfter > policy.maxDelay) {
+      return null
+    }
+    return Math.max(delay, error.retryAfter)
+  }
+
+  return delay
+}
+
+/**
+ * Parse a `Retry-After` header value
+ * @param {string | null | undefined} value - Either delay-seconds or an HTTP date
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number | undefined} Delay in milliseconds
+ */
+export function parseRetryAfter (value, now = Date.now()) {
+  if (!value) {
+    return undefined
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000
+  }
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) {
+    return undefined
+  }
+  return Math.max(0, date - now)
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Rejects with a WdkIndexerAbortError when aborted
+ * @returns {Promise<void>}
+ */
+export function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new WdkIndexerAbortError(signal.reason))
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId)
+      reject(new WdkIndexerAbortError(signal.reason))
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
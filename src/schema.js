@@ -0,0 +1,248 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { WdkIndexerError, WdkIndexerSchemaError } from './errors.js'
+
+/** Response validation modes */
+export const SCHEMA_MODES = Object.freeze(['strict', 'lenient'])
+
+/**
+ * A schema checks a value and throws a `WdkIndexerSchemaError` on mismatch
+ * @callback Schema
+ * @param {unknown} value
+ * @param {string} path - Path of the value in the response, like `$.transfers[3].amount`
+ * @param {'strict' | 'lenient'} mode
+ * @returns {void}
+ */
+
+/**
+ * Describe a value for error messages
+ * @param {unknown} value
+ * @returns {string}
+ */
+function describe (value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return String(value)
+  }
+  return typeof value
+}
+
+/**
+ * @param {string} type - The expected type, for error messages
+ * @param {(value: unknown) => boolean} test
+ * @returns {Schema}
+ */
+function primitive (type, test) {
+  const schema = (value, path) => {
+    if (!test(value)) {
+      throw new WdkIndexerSchemaError(path, type, describe(value))
+    }
+  }
+  schema.expected = type
+  return schema
+}
+
+/**
+ * @param {Schema} inner
+ * @returns {Schema}
+ */
+function nullable (inner) {
+  const schema = (value, path, mode) => {
+    if (value !== null) {
+      try {
+        inner(value, path, mode)
+      } catch (error) {
+        if (error instanceof WdkIndexerSchemaError && error.path === path) {
+          throw new WdkIndexerSchemaError(path, `${inner.expected} or null`, error.received)
+        }
+        throw error
+      }
+    }
+  }
+  schema.expected = `${inner.expected} or null`
+  return schema
+}
+
+/**
+ * Mark a field as optional: lenient mode skips it, strict mode checks it when present
+ * @param {Schema} inner
+ * @returns {{optional: true, schema: Schema}}
+ */
+function optional (inner) {
+  return { optional: true, schema: inner }
+}
+
+/**
+ * @param {Record<string, Schema | {optional: true, schema: Schema}>} fields
+ * @param {object} [options]
+ * @param {boolean} [options.additional=false] - Allow unknown properties in strict mode
+ * @returns {Schema}
+ */
+function object (fields, options) {
+  const schema = (value, path, mode) => {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      throw new WdkIndexerSchemaError(path, 'object', describe(value))
+    }
+
+    for (const [name, field] of Object.entries(fields)) {
+      const fieldPath = `${path}.${name}`
+      if (typeof field === 'function') {
+        if (!(name in value)) {
+          throw new WdkIndexerSchemaError(fieldPath, field.expected, 'undefined')
+        }
+        field(value[name], fieldPath, mode)
+      } else if (mode === 'strict' && value[name] !== undefined) {
+        field.schema(value[name], fieldPath, mode)
+      }
+    }
+
+    if (mode === 'strict' && !options?.additional) {
+      for (const name of Object.keys(value)) {
+        if (!Object.hasOwn(fields, name)) {
+          throw new WdkIndexerSchemaError(`${path}.${name}`, 'no property', describe(value[name]))
+        }
+      }
+    }
+  }
+  schema.expected = 'object'
+  return schema
+}
+
+/**
+ * @param {Schema} item
+ * @returns {Schema}
+ */
+function array (item) {
+  const schema = (value, path, mode) => {
+    if (!Array.isArray(value)) {
+      throw new WdkIndexerSchemaError(path, 'array', describe(value))
+    }
+    value.forEach((element, i) => item(element, `${path}[${i}]`, mode))
+  }
+  schema.expected = 'array'
+  return schema
+}
+
+/**
+ * A batch item: the API error shape when it has an `error` property, else the success shape
+ * @param {Schema} success
+ * @returns {Schema}
+ */
+function batchItem (success) {
+  const schema = (value, path, mode) => {
+    const isError = typeof value === 'object' && value !== null && 'error' in value
+    ;(isError ? API_ERROR : success)(value, path, mode)
+  }
+  schema.expected = 'object'
+  return schema
+}
+
+const string = primitive('string', (value) => typeof value === 'string')
+const number = primitive('number', Number.isFinite)
+
+const API_ERROR = object({
+  error: string,
+  message: string,
+  status: number
+})
+
+const TOKEN_TRANSFER = object({
+  blockchain: string,
+  blockNumber: number,
+  transactionHash: string,
+  transferIndex: number,
+  token: string,
+  amount: string,
+  timestamp: number,
+  transactionIndex: optional(nullable(number)),
+  logIndex: optional(nullable(number)),
+  from: optional(nullable(string)),
+  to: optional(nullable(string)),
+  label: optional(string)
+}, { additional: true })
+
+const TOKEN_TRANSFERS_RESPONSE = object({
+  transfers: array(TOKEN_TRANSFER)
+})
+
+const TOKEN_BALANCE_RESPONSE = object({
+  tokenBalance: object({
+    blockchain: string,
+    token: string,
+    amount: string
+  })
+})
+
+/** Response schemas, by name */
+export const RESPONSE_SCHEMAS = Object.freeze({
+  health: object({
+    status: string,
+    timestamp: string
+  }),
+  tokenTransfers: TOKEN_TRANSFERS_RESPONSE,
+  tokenBalance: TOKEN_BALANCE_RESPONSE,
+  batchTokenTransfers: array(batchItem(TOKEN_TRANSFERS_RESPONSE)),
+  batchTokenBalances: array(batchItem(TOKEN_BALANCE_RESPONSE))
+})
+
+/**
+ * Resolve the `validateResponses` option of the client
+ * @param {boolean | 'strict' | 'lenient' | undefined} option
+ * @returns {'strict' | 'lenient' | null} The mode, or null when disabled
+ * @throws {WdkIndexerError} If the mode is unknown
+ */
+export function resolveSchemaMode (option) {
+  if (!option) {
+    return null
+  }
+  if (option === true) {
+    return 'strict'
+  }
+  if (!SCHEMA_MODES.includes(option)) {
+    throw new WdkIndexerError(`validateResponses must be a boolean or one of: ${SCHEMA_MODES.join(', ')}`)
+  }
+  return option
+}
+
+/**
+ * Check a decoded response body against its schema
+ *
+ * Lenient mode checks that every required field is present with the right
+ * type. Strict mode also checks optional fields, and rejects properties the
+ * types don't declare (transfers may carry additional properties).
+ *
+ * @template T
+ * @param {keyof typeof RESPONSE_SCHEMAS} name - The response schema
+ * @param {T} data - The decoded response body
+ * @param {'strict' | 'lenient'} [mode='strict']
+ * @returns {T} The data, unchanged
+ * @throws {WdkIndexerSchemaError} With the `path` of the first offending field
+ *
+ * @example
+ * ```javascript
+ * validateResponse('tokenBalance', { tokenBalance: { blockchain: 'tron', token: 'usdt' } });
+ * // WdkIndexerSchemaError: Invalid response at $.tokenBalance.amount: expected string, received undefined
+ * ```
+ */
+export function validateResponse (name, data, mode = 'strict') {
+  RESPONSE_SCHEMAS[name](data, '$', mode)
+  return data
+}
@@ -0,0 +1,198 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+/** Names of the metrics recorded for every request */
+export const METRIC_NAMES = Object.freeze({
+  requests: 'wdk_indexer.client.requests',
+  duration: 'wdk_indexer.client.request.duration',
+  errors: 'wdk_indexer.client.errors',
+  retries: 'wdk_indexer.client.retries'
+})
+
+/** Descriptions and units of the metrics, for OpenTelemetry instruments */
+const METRIC_DESCRIPTIONS = {
+  [METRIC_NAMES.requests]: { description: 'Requests to the indexer API', unit: '{request}' },
+  [METRIC_NAMES.duration]: { description: 'Duration of requests to the indexer API, including retries', unit: 'ms' },
+  [METRIC_NAMES.errors]: { description: 'Failed requests to the indexer API', unit: '{request}' },
+  [METRIC_NAMES.retries]: { description: 'Retried attempts of requests to the indexer API', unit: '{attempt}' }
+}
+
+/** `SpanKind.CLIENT` and `SpanStatusCode.ERROR` of the OpenTelemetry API */
+const SPAN_KIND_CLIENT = 2
+const SPAN_STATUS_ERROR = 2
+
+const STATIC_ROUTES = [
+  '/api/v1/health',
+  '/api/v1/batch/token-transfers',
+  '/api/v1/batch/token-balances'
+]
+const ADDRESS_ROUTE = /^\/api\/v1\/[^/]+\/[^/]+\/[^/]+\/(token-balances|token-transfers)$/
+
+/**
+ * A receiver of request metrics
+ *
+ * Both methods are optional. Attributes follow the OpenTelemetry HTTP
+ * semantic conventions: `http.request.method`, `http.route`, and on failures
+ * `error.type` (the error class) and `http.response.status_code`.
+ *
+ * @typedef {object} MetricsSink
+ * @property {(name: string, value: number, attributes: Record<string, string | number>) => void} [counter] - Adds to a counter
+ * @property {(name: string, value: number, attributes: Record<string, string | number>) => void} [histogram] - Records a value in a histogram
+ */
+
+/**
+ * The parts of an OpenTelemetry `Tracer` used by the client
+ * @typedef {object} Tracer
+ * @property {(name: string, options: {kind: number, attributes: Record<string, string | number>}) => Span} startSpan
+ *
+ * @typedef {object} Span
+ * @property {(key: string, value: string | number) => void} setAttribute
+ * @property {(name: string, attributes?: Record<string, string | number>) => void} addEvent
+ * @property {(exception: Error) => void} recordException
+ * @property {(status: {code: number, message?: string}) => void} setStatus
+ * @property {() => void} end
+ */
+
+/**
+ * Get the templated route of an API path, without addresses or other values
+ * @param {string} path - The path of the request, without the query
+ * @returns {string} e.g. `/api/v1/:blockchain/:token/:address/token-balances`, or `unknown`
+ *
+ * @example
+ * ```javascript
+ * getRouteTemplate('/api/v1/tron/usdt/T1234.../token-transfers');
+ * // "/api/v1/:blockchain/:token/:address/token-transfers"
+ * ```
+ */
+export function getRouteTemplate (path) {
+  const match = ADDRESS_ROUTE.exec(path)
+  if (match) {
+    return `/api/v1/:blockchain/:token/:address/${match[1]}`
+  }
+  return STATIC_ROUTES.includes(path) ? path : 'unknown'
+}
+
+/**
+ * Create a metrics sink that records to an OpenTelemetry `Meter`
+ *
+ * The instruments are created on first use.
+ *
+ * @param {{createCounter: Function, createHistogram: Function}} meter - e.g. `metrics.getMeter('wdk-indexer')`
+ * @returns {MetricsSink}
+ *
+ * @example
+ * ```javascript
+ * import { metrics } from '@opentelemetry/api';
+ *
+ * const client = new WdkIndexerClient({
+ *   apiKey: 'your-api-key',
+ *   metrics: createOpenTelemetryMetricsSink(metrics.getMeter('wdk-indexer'))
+ * });
+ * ```
+ */
+export function createOpenTelemetryMetricsSink (meter) {
+  const counters = new Map()
+  const histograms = new Map()
+
+  const getInstrument = (instruments, create, name) => {
+    if (!instruments.has(name)) {
+      instruments.set(name, create.call(meter, name, METRIC_DESCRIPTIONS[name]))
+    }
+    return instruments.get(name)
+  }
+
+  return {
+    counter (name, value, attributes) {
+      getInstrument(counters, meter.createCounter, name).add(value, attributes)
+    },
+    histogram (name, value, attributes) {
+      getInstrument(histograms, meter.createHistogram, name).record(value, attributes)
+    }
+  }
+}
+
+/**
+ * Metrics and span of a single client call, across its retries
+ */
+export class RequestTelemetry {
+  /**
+   * @param {object} options
+   * @param {MetricsSink | null} [options.metrics]
+   * @param {Tracer | null} [options.tracer]
+   * @param {string} method
+   * @param {string} path - The path of the request, without the query
+   */
+  constructor ({ metrics, tracer }, method, path) {
+    const route = getRouteTemplate(path)
+
+    this._metrics = metrics
+    this._attributes = { 'http.request.method': method, 'http.route': route }
+    this._retries = 0
+    this._startTime = Date.now()
+    this._span = tracer?.startSpan(`${method} ${route}`, {
+      kind: SPAN_KIND_CLIENT,
+      attributes: { ...this._attributes }
+    })
+  }
+
+  /**
+   * Record a failed attempt that is retried
+   * @param {Error} error
+   */
+  retry (error) {
+    this._retries++
+    this._metrics?.counter?.(METRIC_NAMES.retries, 1, {
+      ...this._attributes,
+      'error.type': error.name
+    })
+    this._span?.addEvent('retry', { 'error.type': error.name })
+  }
+
+  /**
+   * Record the outcome of the call and end its span
+   * @param {Error} [error] - The error thrown to the caller
+   */
+  end (error) {
+    const attributes = { ...this._attributes }
+    if (error) {
+      attributes['error.type'] = error.name
+      if (typeof error.status === 'number') {
+        attributes['http.response.status_code'] = error.status
+      }
+    }
+
+    this._metrics?.counter?.(METRIC_NAMES.requests, 1, attributes)
+    this._metrics?.histogram?.(METRIC_NAMES.duration, Date.now() - this._startTime, attributes)
+    if (error) {
+      this._metrics?.counter?.(METRIC_NAMES.errors, 1, attributes)
+    }
+
+    const span = this._span
+    if (span) {
+      if (this._retries > 0) {
+        span.setAttribute('http.request.resend_count', this._retries)
+      }
+      if (error) {
+        span.setAttribute('error.type', error.name)
+        if (typeof error.status === 'number') {
+          span.setAttribute('http.response.status_code', error.status)
+        }
+        span.recordException(error)
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message })
+      }
+      span.end()
+    }
+  }
+}
@@ -0,0 +1,245 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { WdkIndexerError } from './errors.js'
+
+/**
+ * Normalize a transaction hash, lowercasing hex hashes
+ *
+ * Non-hex hashes, e.g. base64 on TON, are case-sensitive and kept as is.
+ *
+ * @param {string} hash
+ * @returns {string}
+ */
+function normalizeHash (hash) {
+  return /^(?:0x)?[0-9a-fA-F]+$/.test(hash) ? hash.toLowerCase() : hash
+}
+
+/**
+ * Get the canonical identity of a transfer
+ *
+ * Two transfers with the same blockchain, transaction hash, transfer index and
+ * log index are the same transfer, whichever query returned them.
+ *
+ * @param {object} transfer - A `TokenTransfer`
+ * @returns {string}
+ *
+ * @example
+ * ```javascript
+ * getTransferId(transfer); // "ethereum:0xabc...:0:12"
+ * ```
+ */
+export function getTransferId (transfer) {
+  return [
+    transfer.blockchain,
+    normalizeHash(String(transfer.transactionHash)),
+    transfer.transferIndex ?? '',
+    transfer.logIndex ?? ''
+  ].join(':')
+}
+
+/**
+ * Drop repeated transfers, e.g. from overlapping queries
+ * @param {Iterable<object>} transfers
+ * @param {object} [options]
+ * @param {'first' | 'last'} [options.keep='first'] - Which copy of a transfer to keep; `last` keeps the latest data, e.g. after a reorg, at the position of the first copy
+ * @returns {Array<object>} The transfers without duplicates, in their original order
+ *
+ * @example
+ * ```javascript
+ * const transfers = dedupeTransfers([...page1.transfers, ...page2.transfers]);
+ * ```
+ */
+export function dedupeTransfers (transfers, options) {
+  const keep = options?.keep ?? 'first'
+  if (keep !== 'first' && keep !== 'last') {
+    throw new WdkIndexerError('keep must be "first" or "last"')
+  }
+
+  const positions = new Map()
+  const result = []
+  for (const transfer of transfers) {
+    const id = getTransferId(transfer)
+    if (!positions.has(id)) {
+      positions.set(id, result.length)
+      result.push(transfer)
+    } else if (keep === 'last') {
+      result[positions.get(id)] = transfer
+    }
+  }
+  return result
+}
+
+/** Default number of merged transfers `mergeTransferStreams` checks repeats against */
+export const DEFAULT_MERGE_DEDUPE_WINDOW = 10000
+
+/**
+ * Compare two numbers, putting missing values after present ones
+ * @param {number | null | undefined} a
+ * @param {number | null | undefined} b
+ * @returns {number}
+ */
+function compareIndexes (a, b) {
+  if (a == null || b == null) {
+    return (a == null) - (b == null)
+  }
+  return a - b
+}
+
+/**
+ * Compare two transfers by chain order: blockchain, block number, transaction
+ * index and log index
+ *
+ * Missing transaction or log indexes sort after present ones.
+ *
+ * @param {object} a - A `TokenTransfer`
+ * @param {object} b - A `TokenTransfer`
+ * @returns {number} Negative when `a` comes first, positive when `b` does, 0 for ties
+ */
+export function compareTransfers (a, b) {
+  if (a.blockchain !== b.blockchain) {
+    return a.blockchain < b.blockchain ? -1 : 1
+  }
+  return (
+    compareIndexes(a.blockNumber, b.blockNumber) ||
+    compareIndexes(a.transactionIndex, b.transactionIndex) ||
+    compareIndexes(a.logIndex, b.logIndex)
+  )
+}
+
+/**
+ * Get the comparator of a sort order
+ * @param {'asc' | 'desc'} [order='asc']
+ * @returns {(a: object, b: object) => number}
+ */
+function getComparator (order = 'asc') {
+  if (order === 'asc') {
+    return compareTransfers
+  }
+  if (order === 'desc') {
+    return (a, b) => compareTransfers(b, a)
+  }
+  throw new WdkIndexerError('order must be "asc" or "desc"')
+}
+
+/**
+ * Sort transfers by chain order, see `compareTransfers`
+ *
+ * The sort is stable: ties keep their original order.
+ *
+ * @param {Iterable<object>} transfers
+ * @param {object} [options]
+ * @param {'asc' | 'desc'} [options.order='asc'] - `asc` for oldest first, `desc` for newest first
+ * @returns {Array<object>} A sorted copy
+ */
+export function sortTransfers (transfers, options) {
+  return [...transfers].sort(getComparator(options?.order))
+}
+
+/**
+ * Merge the results of several queries into one ordered history
+ *
+ * The transfers are deduplicated, keeping the first copy, and sorted. The
+ * inputs don't need to be sorted.
+ *
+ * @param {Array<Iterable<object>>} lists - e.g. the `transfers` of single-address and batch responses
+ * @param {object} [options]
+ * @param {'asc' | 'desc'} [options.order='asc'] - `asc` for oldest first, `desc` for newest first
+ * @param {'first' | 'last'} [options.keep='first'] - Which copy of a repeated transfer to keep
+ * @returns {Array<object>}
+ *
+ * @example
+ * ```javascript
+ * const [batch] = await client.getBatchTokenTransfers([{ blockchain: 'tron', token: 'usdt', address }]);
+ * const { transfers } = await client.getTokenTransfers('tron', 'usdt', address, { fromTs });
+ * const history = mergeTransfers([batch.transfers, transfers]);
+ * ```
+ */
+export function mergeTransfers (lists, options) {
+  const transfers = dedupeTransfers(
+    lists.flatMap((list) => [...list]),
+    { keep: options?.keep }
+  )
+  return sortTransfers(transfers, { order: options?.order })
+}
+
+/**
+ * Merge several sorted transfer streams into one, without buffering them
+ *
+ * Every stream must already be sorted in `order`, e.g. with `sortTransfers`.
+ * Repeated transfers are dropped, keeping the first one merged; when several
+ * streams hold the same position, the earlier stream goes first. A repeat
+ * may hold another position, e.g. after a reorg moved the transfer to another
+ * block, so the identities of the last `dedupeWindow` merged transfers are
+ * kept to drop repeats.
+ *
+ * @param {Array<Iterable<object> | AsyncIterable<object>>} streams
+ * @param {object} [options]
+ * @param {'asc' | 'desc'} [options.order='asc'] - The order of the streams and of the result
+ * @param {number} [options.dedupeWindow=10000] - How many of the last merged transfers repeats are checked against, `Infinity` for all of them
+ * @returns {AsyncGenerator<object>}
+ *
+ * @example
+ * ```javascript
+ * for await (const transfer of mergeTransferStreams([archive, live], { order: 'asc' })) {
+ *   ledger.append(transfer);
+ * }
+ * ```
+ */
+export async function * mergeTransferStreams (streams, options) {
+  const compare = getComparator(options?.order)
+  const iterators = streams.map((stream) =>
+    stream[Symbol.asyncIterator] ? stream[Symbol.asyncIterator]() : stream[Symbol.iterator]()
+  )
+  const dedupeWindow = options?.dedupeWindow ?? DEFAULT_MERGE_DEDUPE_WINDOW
+  if (!(Number.isInteger(dedupeWindow) || dedupeWindow === Infinity) || dedupeWindow < 1) {
+    throw new WdkIndexerError('dedupeWindow must be a positive integer or Infinity')
+  }
+
+  const heads = []
+  // Identities of the last merged transfers, oldest first
+  const seen = new Set()
+
+  try {
+    heads.push(...await Promise.all(iterators.map((iterator) => iterator.next())))
+
+    while (true) {
+      let next = -1
+      for (let i = 0; i < heads.length; i++) {
+        if (!heads[i].done && (next === -1 || compare(heads[i].value, heads[next].value) < 0)) {
+          next = i
+        }
+      }
+      if (next === -1) {
+        return
+      }
+
+      const transfer = heads[next].value
+      heads[next] = await iterators[next].next()
+
+      const id = getTransferId(transfer)
+      if (!seen.has(id)) {
+        seen.add(id)
+        if (seen.size > dedupeWindow) {
+          seen.delete(seen.values().next().value)
+        }
+        yield transfer
+      }
+    }
+  } finally {
+    // Close the streams left open when the consumer stops early or a stream fails
+    await Promise.all(iterators.map((iterator, i) => heads[i]?.done ? undefined : iterator.return?.()))
+  }
+}
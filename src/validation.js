@@ -0,0 +1,234 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { BLOCKCHAINS, SUPPORTED_TOKENS, EVM_BLOCKCHAINS } from './constants.js'
+import { keccak256 } from './crypto.js'
+import {
+  asciiToBytes,
+  base58CheckDecode,
+  base64Decode,
+  bech32Decode,
+  bytesToHex,
+  convertBits,
+  crc16
+} from './encoding.js'
+import { WdkIndexerValidationError } from './errors.js'
+
+/**
+ * Check an EVM address, including its EIP-55 checksum when it is mixed case
+ * @param {string} address
+ * @returns {string | null} The reason the address is invalid, or null
+ */
+function checkEvmAddress (address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return 'expected 0x followed by 40 hex characters'
+  }
+
+  const hex = address.slice(2)
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+    return null
+  }
+
+  const hash = bytesToHex(keccak256(asciiToBytes(hex.toLowerCase())))
+  for (let i = 0; i < hex.length; i++) {
+    const uppercase = parseInt(hash[i], 16) >= 8
+    if (/[a-f]/i.test(hex[i]) && (hex[i] === hex[i].toUpperCase()) !== uppercase) {
+      return 'invalid EIP-55 checksum'
+    }
+  }
+  return null
+}
+
+function checkTronAddress (address) {
+  const payload = base58CheckDecode(address)
+  if (!payload || payload.length !== 21 || payload[0] !== 0x41) {
+    return 'expected a base58check address starting with T'
+  }
+  return null
+}
+
+function checkTonAddress (address) {
+  if (/^-?\d+:[0-9a-fA-F]{64}$/.test(address)) {
+    return null
+  }
+
+  const bytes = address.length === 48 ? base64Decode(address) : null
+  if (!bytes || bytes.length !== 36) {
+    return 'expected a raw (workchain:hex) or user-friendly (48 base64 characters) address'
+  }
+  // Bounceable (0x11) or non-bounceable (0x51), optionally with the testnet flag (0x80)
+  if (![0x11, 0x51].includes(bytes[0] & 0x7f)) {
+    return 'invalid user-friendly address flags'
+  }
+  if (crc16(bytes.subarray(0, 34)) !== ((bytes[34] << 8) | bytes[35])) {
+    return 'invalid user-friendly address checksum'
+  }
+  return null
+}
+
+function checkBitcoinAddress (address) {
+  if (/^[13]/.test(address)) {
+    const payload = base58CheckDecode(address)
+    // P2PKH (0x00) or P2SH (0x05)
+    if (!payload || payload.length !== 21 || ![0x00, 0x05].includes(payload[0])) {
+      return 'invalid base58 address'
+    }
+    return null
+  }
+
+  const decoded = bech32Decode(address)
+  if (!decoded || decoded.hrp !== 'bc' || decoded.words.length < 1) {
+    return 'expected a base58 or bech32 address'
+  }
+
+  const [version, ...words] = decoded.words
+  const program = convertBits(words, 5, 8, false)
+  if (version > 16 || !program || program.length < 2 || program.length > 40) {
+    return 'invalid witness program'
+  }
+  if (version === 0) {
+    if (decoded.encoding !== 'bech32' || (program.length !== 20 && program.length !== 32)) {
+      return 'invalid segwit v0 address'
+    }
+  } else if (decoded.encoding !== 'bech32m') {
+    return 'segwit v1+ addresses must use bech32m'
+  }
+  return null
+}
+
+function checkSparkAddress (address) {
+  // Spark addresses carry a protobuf payload and may exceed bech32's 90 character limit
+  const decoded = bech32Decode(address, Infinity)
+  if (!decoded || decoded.hrp !== 'sp' || decoded.encoding !== 'bech32m') {
+    return 'expected a bech32m address starting with sp1'
+  }
+  return null
+}
+
+const ADDRESS_CHECKS = {
+  tron: checkTronAddress,
+  ton: checkTonAddress,
+  bitcoin: checkBitcoinAddress,
+  spark: checkSparkAddress
+}
+for (const blockchain of EVM_BLOCKCHAINS) {
+  ADDRESS_CHECKS[blockchain] = checkEvmAddress
+}
+
+/**
+ * Validate a blockchain name
+ * @param {string} blockchain
+ * @param {string} [field='blockchain'] - Field name reported on failure
+ * @throws {WdkIndexerValidationError}
+ */
+export function validateBlockchain (blockchain, field = 'blockchain') {
+  if (!BLOCKCHAINS.includes(blockchain)) {
+    throw new WdkIndexerValidationError(
+      `Unsupported blockchain "${blockchain}", expected one of: ${BLOCKCHAINS.join(', ')}`,
+      field
+    )
+  }
+}
+
+/**
+ * Validate that a token is supported on a blockchain
+ * @param {string} blockchain
+ * @param {string} token
+ * @param {string} [field='token'] - Field name reported on failure
+ * @throws {WdkIndexerValidationError}
+ */
+export function validateToken (blockchain, token, field = 'token') {
+  validateBlockchain(blockchain)
+
+  const tokens = SUPPORTED_TOKENS[blockchain]
+  if (!tokens.includes(token)) {
+    throw new WdkIndexerValidationError(
+      `Unsupported token "${token}" on ${blockchain}, expected one of: ${tokens.join(', ')}`,
+      field
+    )
+  }
+}
+
+/**
+ * Validate the format of an address on a blockchain
+ *
+ * Checks EVM hex addresses (with the EIP-55 checksum when mixed case), Tron
+ * base58check, TON raw and user-friendly, Bitcoin base58/bech32/bech32m and
+ * Spark addresses.
+ *
+ * @param {string} blockchain
+ * @param {string} address
+ * @param {string} [field='address'] - Field name reported on failure
+ * @throws {WdkIndexerValidationError}
+ *
+ * @example
+ * ```javascript
+ * validateAddress('tron', 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t');
+ * ```
+ */
+export function validateAddress (blockchain, address, field = 'address') {
+  validateBlockchain(blockchain)
+
+  if (typeof address !== 'string' || !address) {
+    throw new WdkIndexerValidationError('Address must be a non-empty string', field)
+  }
+
+  const reason = ADDRESS_CHECKS[blockchain](address)
+  if (reason) {
+    throw new WdkIndexerValidationError(
+      `Invalid ${blockchain} address "${address}": ${reason}`,
+      field
+    )
+  }
+}
+
+/**
+ * Check if an address is valid on a blockchain
+ * @param {string} blockchain
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isValidAddress (blockchain, address) {
+  try {
+    validateAddress(blockchain, address)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Validate the blockchain, token and address of a request
+ * @param {{blockchain: string, token: string, address: string}} request
+ * @param {string} [prefix=''] - Prefix of the reported field names, e.g. `requests[0].`
+ * @throws {WdkIndexerValidationError}
+ */
+export function validateRequest ({ blockchain, token, address }, prefix = '') {
+  validateBlockchain(blockchain, `${prefix}blockchain`)
+  validateToken(blockchain, token, `${prefix}token`)
+  validateAddress(blockchain, address, `${prefix}address`)
+}
+
+/**
+ * Validate every item of a batch request
+ * @param {Array<{blockchain: string, token: string, address: string}>} requests
+ * @throws {WdkIndexerValidationError}
+ */
+export function validateBatchRequests (requests) {
+  if (!Array.isArray(requests)) {
+    throw new WdkIndexerValidationError('Batch requests must be an array', 'requests')
+  }
+  requests.forEach((request, index) => validateRequest(request, `requests[${index}].`))
+}
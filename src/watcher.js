@@ -0,0 +1,296 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import { WdkIndexerError } from './errors.js'
+import { MAX_TRANSFERS_PAGE_SIZE } from './pagination.js'
+import { Poller, DEFAULT_POLL_INTERVAL, getTargetKey } from './poller.js'
+import { validateRequest, validateBatchRequests } from './validation.js'
+import { getTransferId } from './transfers.js'
+
+/** Default polling interval of a transfer watcher, in milliseconds */
+export const DEFAULT_WATCH_INTERVAL = DEFAULT_POLL_INTERVAL
+
+/**
+ * Poll for new token transfers of one or more addresses
+ *
+ * Each address has a cursor: the newest timestamp seen so far, and the keys
+ * of the transfers at that timestamp. Polls request transfers from the cursor
+ * (inclusive) and only emit the ones not seen before, oldest first. A single
+ * address is polled with `getTokenTransfers`, several addresses with one
+ * `getBatchTokenTransfers` call.
+ *
+ * Events:
+ * - `transfer` (transfer, target): a new transfer of a watched address
+ * - `checkpoint` (checkpoint): the cursors moved, see `getCheckpoint()`
+ * - `error` (error): a poll failed, only emitted when there are listeners
+ * - `close`: the watcher was stopped
+ *
+ * The watcher is also an async iterable of `{ transfer, target }` objects.
+ * Leaving a `for await` loop stops the watcher.
+ */
+export class TransferWatcher extends Poller {
+  /**
+   * @param {import('../index.js').WdkIndexerClient} client
+   * @param {object} options
+   * @param {string} [options.blockchain] - The blockchain network of a single address
+   * @param {string} [options.token] - The token type of a single address
+   * @param {string} [options.address] - A single wallet address
+   * @param {Array<{blockchain: string, token: string, address: string}>} [options.addresses] - Several addresses to watch
+   * @param {number} [options.interval=15000] - Milliseconds between polls
+   * @param {number} [options.fromTs=now] - Timestamp to start from for addresses without a checkpoint
+   * @param {object} [options.checkpoint] - A checkpoint returned by `getCheckpoint()`, to resume from
+   */
+  constructor (client, options) {
+    super('watchTransfers', options?.interval)
+
+    const targets = options?.addresses ?? [
+      { blockchain: options?.blockchain, token: options?.token, address: options?.address }
+    ]
+    if (targets.length === 0) {
+      throw new WdkIndexerError('watchTransfers needs at least one address')
+    }
+
+    if (client.validate) {
+      if (options?.addresses) {
+        validateBatchRequests(targets)
+      } else {
+        validateRequest(targets[0])
+      }
+    }
+
+    this.client = client
+    this.targets = targets.map(({ blockchain, token, address }) => ({ blockchain, token, address }))
+
+    const fromTs = options?.fromTs ?? Math.floor(Date.now() / 1000)
+    this._cursors = new Map()
+    for (const target of this.targets) {
+      const saved = options?.checkpoint?.[getTargetKey(target)]
+      this._cursors.set(getTargetKey(target), {
+        fromTs: saved?.fromTs ?? fromTs,
+        seen: new Set(saved?.seen)
+      })
+    }
+
+    this._start()
+  }
+
+  /**
+   * Get the cursors of all watched addresses
+   *
+   * The checkpoint is plain JSON. Pass it as `checkpoint` to a new watcher to
+   * resume without emitting the same transfers again.
+   *
+   * @returns {Record<string, {fromTs: number, seen: string[]}>}
+   */
+  getCheckpoint () {
+    const checkpoint = {}
+    for (const [key, cursor] of this._cursors) {
+      checkpoint[key] = { fromTs: cursor.fromTs, seen: [...cursor.seen] }
+    }
+    return checkpoint
+  }
+
+  /**
+   * Iterate over new transfers as `{ transfer, target }` objects
+   * @returns {AsyncIterator<{transfer: object, target: {blockchain: string, token: string, address: string}}>}
+   */
+  [Symbol.asyncIterator] () {
+    const buffer = []
+    const waiting = []
+    let failure = null
+    let done = false
+
+    const flush = () => {
+      while (waiting.length > 0 && (buffer.length > 0 || failure || done)) {
+        const { resolve, reject } = waiting.shift()
+        if (buffer.length > 0) {
+          resolve({ value: buffer.shift(), done: false })
+        } else if (failure) {
+          reject(failure)
+          failure = null
+          done = true
+        } else {
+          resolve({ value: undefined, done: true })
+        }
+      }
+    }
+    const onTransfer = (transfer, target) => {
+      buffer.push({ transfer, target })
+      flush()
+    }
+    const onError = (error) => {
+      failure = error
+      cleanup()
+      this.stop()
+      flush()
+    }
+    const onClose = () => {
+      done = true
+      cleanup()
+      flush()
+    }
+    const cleanup = () => {
+      this.off('transfer', onTransfer)
+      this.off('error', onError)
+      this.off('close', onClose)
+    }
+
+    this.on('transfer', onTransfer)
+    this.on('error', onError)
+    this.on('close', onClose)
+    if (this._stopped) {
+      onClose()
+    }
+
+    return {
+      next: () =>
+        new Promise((resolve, reject) => {
+          waiting.push({ resolve, reject })
+          flush()
+        }),
+      return: async () => {
+        done = true
+        buffer.length = 0
+        cleanup()
+        this.stop()
+        flush()
+        return { value: undefined, done: true }
+      }
+    }
+  }
+
+  async _tick (signal) {
+    const results = await this._fetchTransfers(signal)
+
+    let moved = false
+    for (let i = 0; i < this.targets.length; i++) {
+      const result = results[i]
+      if (result instanceof Error) {
+        this._fail(result)
+        continue
+      }
+      moved = this._advance(this.targets[i], result) || moved
+    }
+
+    if (moved && !this._stopped) {
+      this.emit('checkpoint', this.getCheckpoint())
+    }
+  }
+
+  /**
+   * Fetch the transfers of every target from its cursor
+   * @private
+   * @param {AbortSignal} signal
+   * @returns {Promise<Array<object[] | Error>>} The transfers, or the error, of each target
+   */
+  async _fetchTransfers (signal) {
+    const limit = MAX_TRANSFERS_PAGE_SIZE
+    const pages = []
+
+    if (this.targets.length === 1) {
+      const [target] = this.targets
+      const { transfers } = await this.client.getTokenTransfers(
+        target.blockchain,
+        target.token,
+        target.address,
+        { limit, fromTs: this._getCursor(target).fromTs, signal }
+      )
+      pages.push(transfers)
+    } else {
+      const results = await this.client.getBatchTokenTransfers(
+        this.targets.map((target) => ({
+          ...target,
+          limit,
+          fromTs: this._getCursor(target).fromTs
+        })),
+        { signal }
+      )
+      for (const result of results) {
+        pages.push('transfers' in result ? result.transfers : result)
+      }
+    }
+
+    // A full page may have left out older new transfers: page through them all
+    return Promise.all(
+      pages.map(async (page, i) => {
+        if (page instanceof Error || page.length < limit) {
+          return page
+        }
+
+        const target = this.targets[i]
+        const transfers = []
+        for await (const transfer of this.client.iterateTokenTransfers(
+          target.blockchain,
+          target.token,
+          target.address,
+          { fromTs: this._getCursor(target).fromTs, signal }
+        )) {
+          transfers.push(transfer)
+        }
+        return transfers
+      })
+    )
+  }
+
+  _getCursor (target) {
+    return this._cursors.get(getTargetKey(target))
+  }
+
+  /**
+   * Emit the unseen transfers of a target and move its cursor
+   * @private
+   * @param {{blockchain: string, token: string, address: string}} target
+   * @param {object[]} transfers
+   * @returns {boolean} Whether the cursor moved
+   */
+  _advance (target, transfers) {
+    const cursor = this._getCursor(target)
+    const fresh = []
+    const keys = new Set()
+
+    for (const transfer of transfers) {
+      const key = getTransferId(transfer)
+      if (transfer.timestamp < cursor.fromTs || cursor.seen.has(key) || keys.has(key)) {
+        continue
+      }
+      keys.add(key)
+      fresh.push(transfer)
+    }
+
+    if (fresh.length === 0) {
+      return false
+    }
+
+    // The API returns newest first; emit in the order the transfers happened
+    fresh.sort((a, b) => a.timestamp - b.timestamp)
+
+    for (const transfer of fresh) {
+      if (this._stopped) {
+        break
+      }
+
+      // Move the cursor before emitting, so a checkpoint taken by a listener includes it
+      if (transfer.timestamp > cursor.fromTs) {
+        cursor.fromTs = transfer.timestamp
+        cursor.seen = new Set()
+      }
+      cursor.seen.add(getTransferId(transfer))
+
+      this.emit('transfer', transfer, target)
+    }
+
+    return true
+  }
+}
@@ -0,0 +1,172 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerAbortError,
+  WdkIndexerTimeoutError,
+  RateLimiter
+} from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+// Resolves with a health response, or rejects like fetch when the signal aborts
+function createHangingFetch (calls, delay = 1000) {
+  return (url, options) => {
+    calls.push({ url, ...options })
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => resolve({
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        json: async () => ({ status: 'ok', timestamp: '2025-01-01T00:00:00.000Z' })
+      }), delay)
+      options.signal.addEventListener('abort', () => {
+        clearTimeout(timeoutId)
+        const error = new Error('This operation was aborted')
+        error.name = 'AbortError'
+        reject(error)
+      })
+    })
+  }
+}
+
+test('abort - an aborted signal cancels the in-flight request', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createHangingFetch(calls) })
+  const controller = new AbortController()
+  const reason = new Error('user cancelled')
+
+  const promise = client.health({ signal: controller.signal })
+  setTimeout(() => controller.abort(reason), 5)
+
+  try {
+    await promise
+    t.fail('should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerAbortError)
+    t.is(error.cause, reason)
+    t.is(error.attempts, 1, 'aborts are not retried')
+  }
+  t.is(calls.length, 1)
+})
+
+test('abort - an already aborted signal does not send the request', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createHangingFetch(calls) })
+
+  await t.exception(
+    client.getTokenBalance('ethereum', 'usdt', ADDRESS, { signal: AbortSignal.abort() }),
+    WdkIndexerAbortError
+  )
+  t.is(calls.length, 0)
+})
+
+test('abort - per-call timeout overrides the client timeout', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createHangingFetch(calls),
+    timeout: 30000,
+    retry: false
+  })
+
+  try {
+    await client.health({ timeout: 10 })
+    t.fail('should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerTimeoutError)
+    t.ok(error.message.includes('10ms'))
+  }
+})
+
+test('abort - per-call headers are merged over the defaults', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createHangingFetch(calls, 0) })
+
+  await client.getTokenTransfers('ethereum', 'usdt', ADDRESS, {
+    limit: 5,
+    headers: { 'x-trace-id': 'trace-1' }
+  })
+
+  t.is(calls[0].headers['x-trace-id'], 'trace-1')
+  t.is(calls[0].headers['x-api-key'], 'test-key')
+  t.ok(calls[0].url.includes('limit=5'))
+})
+
+test('abort - aborting while waiting for a retry stops retrying', async (t) => {
+  let calls = 0
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async () => {
+      calls++
+      throw new TypeError('fetch failed')
+    },
+    retry: { maxAttempts: 5, baseDelay: 1000, jitter: false }
+  })
+  const controller = new AbortController()
+
+  const promise = client.health({ signal: controller.signal })
+  setTimeout(() => controller.abort(), 10)
+
+  await t.exception(promise, WdkIndexerAbortError)
+  t.is(calls, 1)
+})
+
+test('abort - aborting while queued removes the request from the rate limiter', async (t) => {
+  const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 })
+  await limiter.acquire()
+
+  const controller = new AbortController()
+  const promise = limiter.acquire(controller.signal)
+  t.is(limiter.getStats().queueLength, 1)
+
+  controller.abort()
+
+  await t.exception(promise, WdkIndexerAbortError)
+  t.is(limiter.getStats().queueLength, 0)
+})
+
+test('abort - batch options apply to every chunk', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async (url, options) => {
+      calls.push(options)
+      const items = JSON.parse(options.body)
+      return {
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        json: async () => items.map((item) => ({
+          tokenBalance: { blockchain: item.blockchain, token: item.token, amount: '1' }
+        }))
+      }
+    },
+    batch: { chunkSize: 1 }
+  })
+
+  await client.getBatchTokenBalances(
+    [
+      { blockchain: 'ethereum', token: 'usdt', address: ADDRESS },
+      { blockchain: 'polygon', token: 'usdt', address: ADDRESS }
+    ],
+    { headers: { 'x-trace-id': 'trace-2' } }
+  )
+
+  t.is(calls.length, 2)
+  t.ok(calls.every((options) => options.headers['x-trace-id'] === 'trace-2'))
+})
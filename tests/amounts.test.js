@@ -0,0 +1,157 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerValidationError,
+  TOKEN_DECIMALS,
+  SUPPORTED_TOKENS,
+  getTokenDecimals,
+  parseAmount,
+  formatAmount,
+  addAmounts,
+  compareAmounts,
+  isApiError
+} from '../index.js'
+
+const EVM_ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+
+test('TOKEN_DECIMALS - covers every supported token', async (t) => {
+  for (const [blockchain, tokens] of Object.entries(SUPPORTED_TOKENS)) {
+    for (const token of tokens) {
+      t.is(typeof TOKEN_DECIMALS[blockchain][token], 'number', `${token} on ${blockchain}`)
+    }
+  }
+  t.is(getTokenDecimals('ethereum', 'usdt'), 6)
+  t.is(getTokenDecimals('bitcoin', 'btc'), 8)
+  t.exception(() => getTokenDecimals('bitcoin', 'usdt'), WdkIndexerValidationError)
+})
+
+test('parseAmount - converts decimal strings to base units', async (t) => {
+  t.is(parseAmount('12.5', 6), 12500000n)
+  t.is(parseAmount('0.00000001', 8), 1n)
+  t.is(parseAmount('100', 6), 100000000n)
+  t.is(parseAmount('.5', 6), 500000n)
+  t.is(parseAmount('-1.25', 6), -1250000n)
+  t.is(parseAmount('1.500000000', 6), 1500000n)
+  t.is(parseAmount(42n, 6), 42n)
+  t.is(
+    parseAmount('123456789012345678901234567890.123456', 6),
+    123456789012345678901234567890123456n
+  )
+})
+
+test('parseAmount - rejects malformed or too precise amounts', async (t) => {
+  t.exception(() => parseAmount('1.0000001', 6), /more than 6 decimals/)
+  t.exception(() => parseAmount('abc', 6), /Invalid amount/)
+  t.exception(() => parseAmount('', 6), /Invalid amount/)
+  t.exception(() => parseAmount('.', 6), /Invalid amount/)
+  t.exception(() => parseAmount('1e6', 6), /Invalid amount/)
+  t.exception(() => parseAmount(1.5, 6), /Invalid amount/)
+})
+
+test('formatAmount - formats base units for display', async (t) => {
+  t.is(formatAmount(12500000n, 6), '12.5')
+  t.is(formatAmount(1n, 8), '0.00000001')
+  t.is(formatAmount(0n, 6), '0')
+  t.is(formatAmount(-1250000n, 6), '-1.25')
+  t.is(formatAmount(100000000n, 6, { minimumFractionDigits: 2 }), '100.00')
+  t.is(
+    formatAmount(1234567500000n, 6, { minimumFractionDigits: 2, groupSeparator: ',' }),
+    '1,234,567.50'
+  )
+})
+
+test('addAmounts and compareAmounts - exact arithmetic', async (t) => {
+  t.is(addAmounts(['0.1', '0.2'], 6), '0.3')
+  t.is(addAmounts(['1.000001', 2n, '-0.5'], 6), '0.500003')
+  t.is(addAmounts([], 8), '0')
+
+  t.is(compareAmounts('0.3', '0.30', 6), 0)
+  t.is(compareAmounts('0.29', '0.3', 6), -1)
+  t.is(compareAmounts('10', '9.999999', 6), 1)
+})
+
+test('WdkIndexerClient - keeps raw amounts by default', async (t) => {
+  const mockFetch = async () => ({
+    ok: true,
+    json: async () => ({
+      tokenBalance: { blockchain: 'ethereum', token: 'usdt', amount: '1.5' }
+    })
+  })
+
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
+  const result = await client.getTokenBalance('ethereum', 'usdt', EVM_ADDRESS)
+
+  t.alike(result.tokenBalance, { blockchain: 'ethereum', token: 'usdt', amount: '1.5' })
+})
+
+test('WdkIndexerClient - normalizes balance and transfer amounts', async (t) => {
+  const mockFetch = async (url) => ({
+    ok: true,
+    json: async () =>
+      url.endsWith('token-balances')
+        ? { tokenBalance: { blockchain: 'ethereum', token: 'usdt', amount: '1.5' } }
+        : {
+            transfers: [
+              { blockchain: 'ethereum', token: 'usdt', amount: '0.000001', timestamp: 1 },
+              { blockchain: 'ethereum', token: 'usdt', amount: '25', timestamp: 2 }
+            ]
+          }
+  })
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    normalizeAmounts: true
+  })
+
+  const balance = await client.getTokenBalance('ethereum', 'usdt', EVM_ADDRESS)
+  t.is(balance.tokenBalance.amount, '1.5')
+  t.is(balance.tokenBalance.decimals, 6)
+  t.is(balance.tokenBalance.amountBaseUnits, 1500000n)
+
+  const { transfers } = await client.getTokenTransfers('ethereum', 'usdt', EVM_ADDRESS)
+  t.is(transfers[0].amountBaseUnits, 1n)
+  t.is(transfers[1].amountBaseUnits, 25000000n)
+  t.is(transfers[1].amount, '25')
+})
+
+test('WdkIndexerClient - normalizes batch items and leaves errors intact', async (t) => {
+  const mockFetch = async () => ({
+    ok: true,
+    json: async () => [
+      { tokenBalance: { blockchain: 'tron', token: 'usdt', amount: '3.25' } },
+      { error: 'NotFound', message: 'Address not found', status: 404 }
+    ]
+  })
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    normalizeAmounts: true
+  })
+
+  const result = await client.getBatchTokenBalances([
+    { blockchain: 'tron', token: 'usdt', address: TRON_ADDRESS },
+    { blockchain: 'ethereum', token: 'usdt', address: EVM_ADDRESS }
+  ])
+
+  t.is(result[0].tokenBalance.amountBaseUnits, 3250000n)
+  t.ok(isApiError(result[1]))
+  t.absent('amountBaseUnits' in result[1])
+})
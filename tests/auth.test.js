@@ -0,0 +1,121 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerError,
+  WdkIndexerAuthError,
+  createApiKeyAuth,
+  createBearerAuth,
+  createSigningAuth
+} from '../index.js'
+import { FakeIndexer } from '../testing.js'
+
+function createRecordingFetch (calls) {
+  return async (url, options) => {
+    calls.push({ url, ...options })
+    return new Response(JSON.stringify({ status: 'ok', timestamp: '2025-01-01T00:00:00Z' }), {
+      headers: { 'content-type': 'application/json' }
+    })
+  }
+}
+
+test('auth - fetches credentials per request or caches them for the refresh interval', async (t) => {
+  const calls = []
+  let fetched = 0
+  const getKey = async () => `key-${++fetched}`
+
+  const perRequest = new WdkIndexerClient({ auth: createApiKeyAuth(getKey), fetch: createRecordingFetch(calls) })
+  await perRequest.health()
+  await perRequest.health()
+  t.alike(calls.map(({ headers }) => headers['x-api-key']), ['key-1', 'key-2'])
+  t.is(perRequest.apiKey, undefined)
+
+  calls.length = 0
+  const cached = new WdkIndexerClient({
+    auth: createBearerAuth(getKey, { refreshInterval: 60000 }),
+    fetch: createRecordingFetch(calls)
+  })
+  await Promise.all([cached.health(), cached.health()])
+  await cached.health()
+  t.alike(calls.map(({ headers }) => headers.authorization), ['Bearer key-3', 'Bearer key-3', 'Bearer key-3'])
+  t.is(fetched, 3, 'concurrent requests share one fetch')
+
+  const failing = new WdkIndexerClient({
+    auth: createApiKeyAuth(async () => { throw new Error('vault sealed') }),
+    fetch: createRecordingFetch(calls)
+  })
+  await t.exception(failing.health(), /Failed to get credential: vault sealed/)
+
+  t.exception(() => new WdkIndexerClient({}), /API key is required/)
+  t.exception(() => createApiKeyAuth(''), WdkIndexerError)
+})
+
+test('auth - refreshes the credential and retries once on 401', async (t) => {
+  const indexer = new FakeIndexer({ apiKey: 'old-key' })
+  let current = 'old-key'
+  let fetched = 0
+  const client = new WdkIndexerClient({
+    auth: createApiKeyAuth(async () => { fetched++; return current }, { refreshInterval: 60000 }),
+    fetch: indexer.fetch
+  })
+
+  t.is((await client.health()).status, 'ok')
+
+  // The key is rotated on the server and in the secret store
+  indexer.apiKey = 'new-key'
+  current = 'new-key'
+  t.is((await client.health()).status, 'ok')
+  t.is(fetched, 2)
+  t.alike(indexer.requests.map(({ headers }) => headers['x-api-key']), ['old-key', 'old-key', 'new-key'])
+
+  indexer.apiKey = 'revoked'
+  await t.exception(client.health(), WdkIndexerAuthError)
+  t.is(indexer.requests.length, 5, 'retried only once')
+
+  const requests = indexer.requests.length
+  const staticKey = new WdkIndexerClient({ apiKey: 'old-key', fetch: indexer.fetch })
+  await t.exception(staticKey.health(), WdkIndexerAuthError)
+  t.is(indexer.requests.length, requests + 1, 'a fixed key is not retried')
+})
+
+test('auth - signs the final request', async (t) => {
+  const calls = []
+  const signed = []
+  const client = new WdkIndexerClient({
+    fetch: createRecordingFetch(calls),
+    validate: false,
+    middleware: [{
+      onRequest (request) {
+        request.headers['x-tenant'] = 'acme'
+      }
+    }],
+    auth: createSigningAuth(async (request) => {
+      signed.push(request)
+      return { 'x-signature': `${request.method}:${request.body.length}` }
+    })
+  })
+
+  await client.health()
+  await client.getBatchTokenBalances([{ blockchain: 'tron', token: 'usdt', address: 'T1' }]).catch(() => {})
+
+  t.is(signed[0].body, '')
+  t.is(signed[0].headers['x-tenant'], 'acme', 'after the middleware hooks')
+  t.is(calls[0].headers['x-signature'], 'GET:0')
+  t.is(signed[1].body, calls[1].body, 'the exact body that is sent')
+  t.is(calls[1].headers['x-signature'], `POST:${calls[1].body.length}`)
+  t.absent('x-api-key' in calls[0].headers)
+})
@@ -0,0 +1,138 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import { WdkIndexerClient, WdkIndexerError } from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+
+// Serves the next amount of each address on every request
+function createBalancesFetch (amounts, calls) {
+  return async (url, options) => {
+    calls.push(url)
+    const items = JSON.parse(options.body)
+    const body = items.map(({ blockchain, token, address }) => ({
+      tokenBalance: {
+        blockchain,
+        token,
+        amount: amounts[address].length > 1 ? amounts[address].shift() : amounts[address][0]
+      }
+    }))
+    return { ok: true, status: 200, headers: new Headers(), json: async () => body }
+  }
+}
+
+// Collect events until the monitor has ticked `ticks` times
+function collect (monitor, ticks) {
+  const events = []
+  for (const name of ['change', 'alert', 'clear']) {
+    monitor.on(name, (event) => events.push({ name, ...event }))
+  }
+  return new Promise((resolve) => {
+    let count = 0
+    const check = setInterval(() => {
+      if (monitor.calls.length >= ticks && ++count > 1) {
+        clearInterval(check)
+        monitor.stop()
+        resolve(events)
+      }
+    }, 5)
+  })
+}
+
+function createMonitor (amounts, options) {
+  const calls = []
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createBalancesFetch(amounts, calls) })
+  const monitor = client.monitorBalances({ interval: 5, ...options })
+  monitor.calls = calls
+  return monitor
+}
+
+test('monitorBalances - emits changes with exact deltas', async (t) => {
+  const monitor = createMonitor(
+    { [ADDRESS]: ['0.1', '0.1', '0.3'], [TRON_ADDRESS]: ['5'] },
+    {
+      addresses: [
+        { blockchain: 'ethereum', token: 'usdt', address: ADDRESS },
+        { blockchain: 'tron', token: 'usdt', address: TRON_ADDRESS }
+      ]
+    }
+  )
+
+  const events = await collect(monitor, 3)
+
+  t.alike(events, [{
+    name: 'change',
+    target: { blockchain: 'ethereum', token: 'usdt', address: ADDRESS },
+    previous: '0.1',
+    current: '0.3',
+    delta: '0.2'
+  }])
+  t.ok(monitor.calls.every((url) => url.endsWith('/api/v1/batch/token-balances')), 'one batch request per tick')
+  t.alike(monitor.getBalances(), {
+    [`ethereum:usdt:${ADDRESS}`]: '0.3',
+    [`tron:usdt:${TRON_ADDRESS}`]: '5'
+  })
+})
+
+test('monitorBalances - below threshold alerts once and clears past the hysteresis', async (t) => {
+  const monitor = createMonitor(
+    { [ADDRESS]: ['100', '90', '85', '101', '104', '106', '99'] },
+    {
+      addresses: [{ blockchain: 'ethereum', token: 'usdt', address: ADDRESS }],
+      thresholds: [{ type: 'below', amount: '100', hysteresis: '5' }]
+    }
+  )
+
+  const events = (await collect(monitor, 7)).filter(({ name }) => name !== 'change')
+
+  t.alike(
+    events.map(({ name, amount }) => [name, amount]),
+    [['alert', '90'], ['clear', '106'], ['alert', '99']]
+  )
+  t.is(events[0].delta, '-10')
+})
+
+test('monitorBalances - change threshold alerts on big moves in either direction', async (t) => {
+  const monitor = createMonitor(
+    { [ADDRESS]: ['1000', '1500', '1499', '400'] },
+    {
+      addresses: [{
+        blockchain: 'ethereum',
+        token: 'usdt',
+        address: ADDRESS,
+        thresholds: [{ type: 'change', amount: '100' }]
+      }]
+    }
+  )
+
+  const events = (await collect(monitor, 4)).filter(({ name }) => name === 'alert')
+
+  t.alike(events.map(({ delta }) => delta), ['500', '-1099'])
+})
+
+test('monitorBalances - rejects invalid thresholds', async (t) => {
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: async () => ({}) })
+
+  t.exception(
+    () => client.monitorBalances({
+      addresses: [{ blockchain: 'ethereum', token: 'usdt', address: ADDRESS }],
+      thresholds: [{ type: 'under', amount: '1' }]
+    }),
+    WdkIndexerError
+  )
+  t.exception(() => client.monitorBalances({ addresses: [] }), WdkIndexerError)
+})
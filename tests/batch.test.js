@@ -0,0 +1,159 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerApiError,
+  isApiError,
+  isTokenBalanceResponse
+} from '../index.js'
+import { chunk, mapWithConcurrency } from '../src/batch.js'
+
+function createRequests (count) {
+  return Array.from({ length: count }, (_, i) => ({
+    blockchain: 'ethereum',
+    token: 'usdt',
+    address: `0x${i}`
+  }))
+}
+
+// Answers each item with its address as amount, and odd addresses with an error
+function createBalancesFetch (calls) {
+  return async (url, options) => {
+    const body = JSON.parse(options.body)
+    calls.push(body.length)
+    await new Promise((resolve) => setTimeout(resolve, 5 * Math.random()))
+    return {
+      ok: true,
+      json: async () =>
+        body.map(({ blockchain, token, address }) =>
+          Number(address.slice(2)) % 2
+            ? { error: 'NotFound', message: address, status: 404 }
+            : { tokenBalance: { blockchain, token, amount: address } }
+        )
+    }
+  }
+}
+
+test('chunk - splits arrays into fixed size chunks', async (t) => {
+  t.alike(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]])
+  t.alike(chunk([], 2), [])
+})
+
+test('mapWithConcurrency - limits in-flight calls and keeps order', async (t) => {
+  let active = 0
+  let peak = 0
+
+  const result = await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (n) => {
+    active++
+    peak = Math.max(peak, active)
+    await new Promise((resolve) => setTimeout(resolve, 5 * (7 - n)))
+    active--
+    return n * 10
+  })
+
+  t.alike(result, [10, 20, 30, 40, 50, 60])
+  t.is(peak, 2)
+})
+
+test('WdkIndexerClient - batch options defaults and validation', async (t) => {
+  const client = new WdkIndexerClient({ apiKey: 'test-key' })
+  t.is(client.batch.chunkSize, 100)
+  t.is(client.batch.concurrency, 4)
+
+  t.exception(
+    () => new WdkIndexerClient({ apiKey: 'test-key', batch: { chunkSize: 0 } }),
+    /chunkSize/
+  )
+})
+
+test('WdkIndexerClient - splits large batches and merges in input order', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalancesFetch(calls),
+    batch: { chunkSize: 10, concurrency: 3 },
+    validate: false
+  })
+
+  const requests = createRequests(95)
+  const result = await client.getBatchTokenBalances(requests)
+
+  t.alike(calls.sort((a, b) => b - a), [10, 10, 10, 10, 10, 10, 10, 10, 10, 5])
+  t.is(result.length, 95)
+  for (let i = 0; i < requests.length; i++) {
+    if (i % 2) {
+      t.ok(isApiError(result[i]))
+      t.ok(result[i] instanceof WdkIndexerApiError)
+      t.is(result[i].message, requests[i].address)
+    } else {
+      t.ok(isTokenBalanceResponse(result[i]))
+      t.is(result[i].tokenBalance.amount, requests[i].address)
+    }
+  }
+})
+
+test('WdkIndexerClient - empty batch does not hit the network', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalancesFetch(calls)
+  })
+
+  t.alike(await client.getBatchTokenTransfers([]), [])
+  t.is(calls.length, 0)
+})
+
+test('WdkIndexerClient - failed chunk rejects the batch', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    return {
+      ok: false,
+      status: 413,
+      statusText: 'Payload Too Large',
+      json: async () => ({ error: 'PayloadTooLarge', message: 'Too many items', status: 413 })
+    }
+  }
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    batch: { chunkSize: 2, concurrency: 1 },
+    validate: false
+  })
+
+  await t.exception(
+    client.getBatchTokenTransfers(createRequests(6)),
+    WdkIndexerApiError
+  )
+  t.is(calls, 1)
+})
+
+test('WdkIndexerClient - rejects batch responses of the wrong length', async (t) => {
+  const mockFetch = async () => ({ ok: true, json: async () => [] })
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    validate: false
+  })
+
+  await t.exception(
+    client.getBatchTokenBalances(createRequests(2)),
+    /expected 2/
+  )
+})
@@ -0,0 +1,256 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import { WdkIndexerClient, WdkIndexerError, MemoryCacheStore, DEFAULT_CACHE_TTL } from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+function createBalanceFetch (calls, delay = 0) {
+  return async (url) => {
+    calls.push(url)
+    await new Promise((resolve) => setTimeout(resolve, delay))
+    return {
+      ok: true,
+      json: async () => ({
+        tokenBalance: { blockchain: 'ethereum', token: 'usdt', amount: String(calls.length) }
+      })
+    }
+  }
+}
+
+test('MemoryCacheStore - expires entries after their TTL', async (t) => {
+  const store = new MemoryCacheStore()
+  store.set('a', 1, 20)
+  t.is(store.get('a'), 1)
+
+  await new Promise((resolve) => setTimeout(resolve, 30))
+  t.is(store.get('a'), undefined)
+  t.is(store.size, 0)
+})
+
+test('MemoryCacheStore - evicts the least recently used entry', async (t) => {
+  const store = new MemoryCacheStore({ maxEntries: 2 })
+  store.set('a', 1, 1000)
+  store.set('b', 2, 1000)
+  store.get('a')
+  store.set('c', 3, 1000)
+
+  t.is(store.get('a'), 1)
+  t.is(store.get('b'), undefined)
+  t.is(store.get('c'), 3)
+})
+
+test('MemoryCacheStore - deletes by prefix', async (t) => {
+  const store = new MemoryCacheStore()
+  store.set('x:1', 1, 1000)
+  store.set('x:2', 2, 1000)
+  store.set('y:1', 3, 1000)
+  store.deleteByPrefix('x:')
+
+  t.is(store.size, 1)
+  t.is(store.get('y:1'), 3)
+})
+
+test('WdkIndexerClient - cache is disabled by default', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createBalanceFetch(calls) })
+
+  t.is(client.cache, null)
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  t.is(calls.length, 2)
+})
+
+test('WdkIndexerClient - serves cached responses within the TTL', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalanceFetch(calls),
+    cache: true
+  })
+
+  t.alike(client.cache.ttl, DEFAULT_CACHE_TTL)
+
+  const first = await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  // EVM addresses share cache entries regardless of case
+  const second = await client.getTokenBalance('ethereum', 'usdt', ADDRESS.toLowerCase())
+
+  t.is(calls.length, 1)
+  t.is(second.tokenBalance.amount, first.tokenBalance.amount)
+})
+
+test('WdkIndexerClient - coalesces concurrent identical requests', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalanceFetch(calls, 10),
+    cache: { ttl: { getTokenBalance: 0 } }
+  })
+
+  const results = await Promise.all([
+    client.getTokenBalance('ethereum', 'usdt', ADDRESS),
+    client.getTokenBalance('ethereum', 'usdt', ADDRESS),
+    client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  ])
+  t.is(calls.length, 1)
+  t.ok(results.every((result) => result.tokenBalance.amount === '1'))
+
+  // Not cached with a TTL of 0
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  t.is(calls.length, 2)
+})
+
+test('WdkIndexerClient - does not share requests that have their own signal', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalanceFetch(calls, 10),
+    cache: { ttl: { getTokenBalance: 0 } }
+  })
+  const controller = new AbortController()
+
+  await Promise.all([
+    client.getTokenBalance('ethereum', 'usdt', ADDRESS),
+    client.getTokenBalance('ethereum', 'usdt', ADDRESS, { signal: controller.signal })
+  ])
+  t.is(calls.length, 2)
+})
+
+test('WdkIndexerClient - separates transfer queries by filters', async (t) => {
+  const calls = []
+  const mockFetch = async (url) => {
+    calls.push(url)
+    return { ok: true, json: async () => ({ transfers: [] }) }
+  }
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch, cache: true })
+
+  await client.getTokenTransfers('ethereum', 'usdt', ADDRESS, { limit: 10 })
+  await client.getTokenTransfers('ethereum', 'usdt', ADDRESS, { limit: 20 })
+  await client.getTokenTransfers('ethereum', 'usdt', ADDRESS, { limit: 10 })
+
+  t.is(calls.length, 2)
+})
+
+test('WdkIndexerClient - invalidates the responses of an address', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalanceFetch(calls),
+    cache: true
+  })
+
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  await client.cache.invalidate('ethereum', 'usdt', ADDRESS)
+  const result = await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+
+  t.is(calls.length, 2)
+  t.is(result.tokenBalance.amount, '2')
+
+  await client.cache.invalidate()
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  t.is(calls.length, 3)
+})
+
+test('WdkIndexerClient - invalidates the responses of a blockchain or token', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalanceFetch(calls),
+    cache: true
+  })
+
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  await client.getTokenBalance('ethereum', 'xaut', ADDRESS)
+  await client.getTokenBalance('polygon', 'usdt', ADDRESS)
+  t.is(calls.length, 3)
+
+  await client.cache.invalidate('ethereum', 'usdt')
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  await client.getTokenBalance('ethereum', 'xaut', ADDRESS)
+  t.is(calls.length, 4, 'only the token is dropped')
+
+  await client.cache.invalidate('ethereum')
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  await client.getTokenBalance('ethereum', 'xaut', ADDRESS)
+  await client.getTokenBalance('polygon', 'usdt', ADDRESS)
+  t.is(calls.length, 6, 'other blockchains are kept')
+
+  await t.exception(client.cache.invalidate(undefined, 'usdt'), WdkIndexerError)
+  await t.exception(client.cache.invalidate('ethereum', undefined, ADDRESS), WdkIndexerError)
+})
+
+test('WdkIndexerClient - does not cache responses in flight during invalidation', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalanceFetch(calls, 10),
+    cache: true
+  })
+
+  const pending = client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  await new Promise((resolve) => setTimeout(resolve, 2))
+  t.is(calls.length, 1)
+  await client.cache.invalidate('ethereum', 'usdt', ADDRESS)
+  await pending
+
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  t.is(calls.length, 2)
+})
+
+test('WdkIndexerClient - does not cache errors', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    throw new Error('Connection refused')
+  }
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch, cache: true })
+
+  await t.exception(client.getTokenBalance('ethereum', 'usdt', ADDRESS))
+  await t.exception(client.getTokenBalance('ethereum', 'usdt', ADDRESS))
+  t.is(calls, 2)
+})
+
+test('WdkIndexerClient - supports async custom stores', async (t) => {
+  const entries = new Map()
+  const store = {
+    get: async (key) => entries.get(key),
+    set: async (key, value) => { entries.set(key, value) },
+    delete: async (key) => { entries.delete(key) },
+    deleteByPrefix: async (prefix) => {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key)
+      }
+    },
+    clear: async () => entries.clear()
+  }
+
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createBalanceFetch(calls),
+    cache: { store }
+  })
+
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  t.is(calls.length, 1)
+  t.is(entries.size, 1)
+
+  t.exception(
+    () => new WdkIndexerClient({ apiKey: 'test-key', cache: { store: {} } }),
+    /must implement get\(\)/
+  )
+})
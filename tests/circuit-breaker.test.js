@@ -0,0 +1,191 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerError,
+  WdkIndexerServerError,
+  WdkIndexerNotFoundError,
+  WdkIndexerAbortError,
+  WdkIndexerCircuitOpenError,
+  CircuitBreaker
+} from '../index.js'
+import { FakeIndexer } from '../testing.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+test('CircuitBreaker - opens on the failure rate and the slow call rate', (t) => {
+  const failing = new CircuitBreaker({ failureThreshold: null, failureRateThreshold: 0.5, windowSize: 4, minimumCalls: 4 })
+  failing.recordFailure(1)
+  failing.recordFailure(1)
+  failing.recordSuccess(1)
+  t.is(failing.state, 'closed', 'below the minimum calls')
+  t.is(failing.getStats().failureRate, 2 / 3)
+  failing.recordSuccess(1)
+  t.is(failing.state, 'open', '2 of 4 calls failed')
+  t.ok(failing.remainingCooldown > 0)
+  t.absent(failing.tryAcquire())
+
+  const slow = new CircuitBreaker({ failureThreshold: null, slowCallDuration: 100, slowCallRateThreshold: 0.75, windowSize: 4, minimumCalls: 4 })
+  for (const duration of [150, 50, 200, 120]) {
+    slow.recordSuccess(duration)
+  }
+  t.is(slow.state, 'open', '3 of 4 calls were slow')
+
+  const windowed = new CircuitBreaker({ failureThreshold: null, failureRateThreshold: 0.5, windowSize: 2, minimumCalls: 2 })
+  windowed.recordSuccess(1)
+  windowed.recordFailure(1)
+  t.is(windowed.state, 'open')
+
+  t.exception(() => new CircuitBreaker({ failureRateThreshold: 2 }), WdkIndexerError)
+  t.exception(() => new CircuitBreaker({ minimumCalls: 30, windowSize: 20 }), WdkIndexerError)
+})
+
+test('CircuitBreaker - lets one trial call through while half-open', async (t) => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, slowCallDuration: 100, cooldown: 10 })
+  breaker.recordFailure(1, breaker.tryAcquire())
+  await new Promise((resolve) => setTimeout(resolve, 20))
+
+  const slowProbe = breaker.tryAcquire()
+  t.ok(slowProbe?.probe)
+  t.is(breaker.tryAcquire(), null, 'one trial at a time')
+  breaker.recordSuccess(150, slowProbe)
+  t.is(breaker.state, 'open', 'a slow trial opens it again')
+
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  const released = breaker.tryAcquire()
+  breaker.release(released)
+  const probe = breaker.tryAcquire()
+  t.ok(probe, 'released trials can be taken again')
+  breaker.recordFailure(1, released)
+  t.is(breaker.state, 'half-open', 'a released trial has no say')
+  breaker.recordSuccess(5, probe)
+  t.is(breaker.state, 'closed')
+  t.is(breaker.getStats().calls, 0)
+})
+
+test('CircuitBreaker - ignores calls admitted before the circuit changed state', async (t) => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 10 })
+  const early = breaker.tryAcquire()
+  const late = breaker.tryAcquire()
+  breaker.recordFailure(1, breaker.tryAcquire())
+  breaker.recordFailure(1, breaker.tryAcquire())
+  t.is(breaker.state, 'open')
+
+  breaker.recordSuccess(1, early)
+  t.is(breaker.state, 'open', 'a late success does not close it')
+
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  const probe = breaker.tryAcquire()
+  breaker.recordFailure(1, late)
+  t.is(breaker.state, 'half-open', 'a late failure does not restart the cool-down')
+  breaker.release(late)
+  t.is(breaker.tryAcquire(), null, 'nor does it free the trial slot')
+
+  breaker.recordSuccess(1, probe)
+  t.is(breaker.state, 'closed')
+})
+
+test('Client circuit breaker - fails fast while open and recovers', async (t) => {
+  const indexer = new FakeIndexer({ apiKey: 'test-key' })
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: indexer.fetch,
+    circuitBreaker: { windowSize: 4, minimumCalls: 4, cooldown: 20 }
+  })
+  t.is(client.getCircuitState().state, 'closed')
+
+  indexer.injectError({ status: 404 })
+  await t.exception(client.getTokenBalance('ethereum', 'usdt', ADDRESS), WdkIndexerNotFoundError)
+  const controller = new AbortController()
+  controller.abort()
+  await t.exception(client.health({ signal: controller.signal }), WdkIndexerAbortError)
+  t.is(client.getCircuitState().calls, 1, 'client errors count as successes, aborted calls not at all')
+
+  indexer.injectError({ status: 503, times: 3 })
+  for (let i = 0; i < 3; i++) {
+    await t.exception(client.health(), WdkIndexerServerError)
+  }
+  t.is(client.getCircuitState().state, 'open')
+
+  const requests = indexer.requests.length
+  try {
+    await client.health()
+    t.fail('should fail fast')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerCircuitOpenError)
+    t.ok(error.retryAfter > 0 && error.retryAfter <= 20)
+  }
+  t.is(indexer.requests.length, requests, 'nothing sent')
+
+  await new Promise((resolve) => setTimeout(resolve, 30))
+  t.is(client.getCircuitState().state, 'half-open')
+  t.is((await client.health()).status, 'ok')
+  t.alike(client.getCircuitState(), {
+    state: 'closed',
+    calls: 0,
+    failureRate: 0,
+    slowCallRate: 0,
+    remainingCooldown: 0
+  })
+
+  const disabled = new WdkIndexerClient({ apiKey: 'test-key', fetch: indexer.fetch })
+  t.is(disabled.getCircuitState(), null)
+})
+
+test('Client circuit breaker - a slow call admitted before the circuit opened does not close it', async (t) => {
+  let calls = 0
+  const fetch = async () => {
+    const call = ++calls
+    if (call === 1) {
+      await new Promise((resolve) => setTimeout(resolve, 30))
+      return new Response(JSON.stringify({ status: 'ok', timestamp: '2025-01-01T00:00:00Z' }), {
+        headers: { 'content-type': 'application/json' }
+      })
+    }
+    return new Response(JSON.stringify({ error: 'ServiceUnavailable', message: 'Down', status: 503 }), {
+      status: 503,
+      headers: { 'content-type': 'application/json' }
+    })
+  }
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch,
+    circuitBreaker: { windowSize: 4, minimumCalls: 4, cooldown: 1000 }
+  })
+
+  const results = await Promise.allSettled(Array.from({ length: 5 }, () => client.health()))
+  t.is(results[0].status, 'fulfilled', 'the slow call succeeded')
+  t.is(results.filter(({ status }) => status === 'rejected').length, 4)
+  t.is(client.getCircuitState().state, 'open')
+  await t.exception(client.health(), WdkIndexerCircuitOpenError)
+})
+
+test('Client circuit breaker - time queued in the rate limiter is not a slow call', async (t) => {
+  const indexer = new FakeIndexer({ apiKey: 'test-key' })
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: indexer.fetch,
+    rateLimit: { requestsPerSecond: 20, burst: 1 },
+    circuitBreaker: { slowCallDuration: 40, windowSize: 4, minimumCalls: 4 }
+  })
+
+  const results = await Promise.allSettled(Array.from({ length: 6 }, () => client.health()))
+  t.ok(results.every(({ status }) => status === 'fulfilled'))
+  t.is(client.getCircuitState().state, 'closed')
+  t.is(client.getCircuitState().slowCallRate, 0)
+  await client.health()
+})
@@ -0,0 +1,165 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import { run, parseBatchInput, getExitCode, EXIT_CODES } from '../src/cli.js'
+import { WdkIndexerCircuitOpenError, WdkIndexerQueueFullError } from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+
+function createIo (fetch, options) {
+  const io = {
+    env: { WDK_INDEXER_API_KEY: 'env-key' },
+    stdin: [options?.stdin ?? ''],
+    stdout: { text: '', write (text) { this.text += text } },
+    stderr: { text: '', write (text) { this.text += text } },
+    calls: [],
+    fetch: async (url, init) => {
+      io.calls.push({ url, ...init })
+      return fetch(url, init)
+    }
+  }
+  return io
+}
+
+function respond (body, status = 200) {
+  return {
+    ok: status < 400,
+    status,
+    statusText: status < 400 ? 'OK' : 'Error',
+    headers: new Headers(),
+    json: async () => body
+  }
+}
+
+test('cli - balance prints a table and reads the API key from env', async (t) => {
+  const io = createIo(async () =>
+    respond({ tokenBalance: { blockchain: 'tron', token: 'usdt', amount: '12.5' } })
+  )
+
+  const code = await run(['balance', 'tron', 'usdt', TRON_ADDRESS], io)
+
+  t.is(code, EXIT_CODES.ok)
+  t.is(io.calls[0].headers['x-api-key'], 'env-key')
+  t.is(io.stdout.text, [
+    'blockchain  token  address                             amount',
+    `tron        usdt   ${TRON_ADDRESS}  12.5`,
+    ''
+  ].join('\n'))
+})
+
+test('cli - transfers prints CSV with the --api-key flag', async (t) => {
+  const io = createIo(async () => respond({
+    transfers: [{
+      blockchain: 'ethereum',
+      token: 'usdt',
+      timestamp: 1700000000,
+      transactionHash: '0xabc',
+      from: '0x1',
+      to: '0x2',
+      amount: '1,000'
+    }]
+  }))
+
+  const code = await run(['transfers', 'ethereum', 'usdt', ADDRESS, '--limit', '5', '--csv', '--api-key', 'flag-key'], io)
+
+  t.is(code, EXIT_CODES.ok)
+  t.is(io.calls[0].headers['x-api-key'], 'flag-key')
+  t.ok(io.calls[0].url.includes('limit=5'))
+  t.is(io.stdout.text, [
+    'blockchain,token,timestamp,transactionHash,from,to,amount',
+    'ethereum,usdt,1700000000,0xabc,0x1,0x2,"1,000"',
+    ''
+  ].join('\n'))
+})
+
+test('cli - batch reads addresses from stdin and fails on item errors', async (t) => {
+  const io = createIo(
+    async () => respond([
+      { tokenBalance: { blockchain: 'ethereum', token: 'usdt', amount: '1' } },
+      { error: 'NotFound', message: 'Address not found', status: 404 }
+    ]),
+    { stdin: `# treasury\nethereum usdt ${ADDRESS}\n\ntron,usdt,${TRON_ADDRESS}\n` }
+  )
+
+  const code = await run(['batch', 'balances', '--json'], io)
+
+  t.is(code, EXIT_CODES.api)
+  t.alike(JSON.parse(io.calls[0].body), [
+    { blockchain: 'ethereum', token: 'usdt', address: ADDRESS },
+    { blockchain: 'tron', token: 'usdt', address: TRON_ADDRESS }
+  ])
+  t.is(JSON.parse(io.stdout.text)[1].error, 'NotFound')
+  t.ok(io.stderr.text.includes('1 of the batch requests failed'))
+})
+
+test('cli - batch exits with the code of the first failed request', async (t) => {
+  const limited = createIo(
+    async () => respond([
+      { tokenBalance: { blockchain: 'ethereum', token: 'usdt', amount: '1' } },
+      { error: 'TooManyRequests', message: 'Slow down', status: 429 },
+      { error: 'Unauthorized', message: 'Bad key', status: 401 }
+    ]),
+    { stdin: `ethereum usdt ${ADDRESS}\ntron usdt ${TRON_ADDRESS}\nethereum usdt ${ADDRESS}\n` }
+  )
+  t.is(await run(['batch', 'balances'], limited), EXIT_CODES.retryLater)
+  t.ok(limited.stderr.text.includes('2 of the batch requests failed'))
+
+  const rejected = createIo(
+    async () => respond([{ error: 'Unauthorized', message: 'Bad key', status: 401 }]),
+    { stdin: `tron usdt ${TRON_ADDRESS}\n` }
+  )
+  t.is(await run(['batch', 'transfers', '--json'], rejected), EXIT_CODES.auth)
+  t.alike(JSON.parse(rejected.stdout.text), [{ error: 'Unauthorized', message: 'Bad key', status: 401 }])
+})
+
+test('cli - exit codes follow the error class', async (t) => {
+  const failing = createIo(async () => respond({ error: 'Unauthorized', message: 'Bad key', status: 401 }, 401))
+  t.is(await run(['health'], failing), EXIT_CODES.auth)
+  t.ok(failing.stderr.text.startsWith('WdkIndexerAuthError: Bad key'))
+
+  const limited = createIo(async () => respond({ error: 'TooManyRequests', message: 'Slow down', status: 429 }, 429))
+  t.is(await run(['health'], limited), EXIT_CODES.retryLater)
+  t.is(getExitCode(new WdkIndexerCircuitOpenError(1000)), EXIT_CODES.retryLater)
+  t.is(getExitCode(new WdkIndexerQueueFullError(10)), EXIT_CODES.retryLater)
+
+  const down = createIo(async () => respond({ error: 'BadGateway', message: 'Upstream down', status: 502 }, 502))
+  t.is(await run(['health'], down), EXIT_CODES.server)
+
+  const missing = createIo(async () => respond({ error: 'NotFound', message: 'No such route', status: 404 }, 404))
+  t.is(await run(['health'], missing), EXIT_CODES.api)
+
+  const offline = createIo(async () => { throw new TypeError('fetch failed') })
+  t.is(await run(['health'], offline), EXIT_CODES.network)
+
+  const invalid = createIo(async () => respond({}))
+  t.is(await run(['balance', 'ethereum', 'usdt', '0x1234'], invalid), EXIT_CODES.validation)
+  t.is(invalid.calls.length, 0)
+
+  const usage = createIo(async () => respond({}))
+  t.is(await run(['balance', 'ethereum'], usage), EXIT_CODES.usage)
+  t.is(await run(['transfers', 'ethereum', 'usdt', ADDRESS, '--limit', 'ten'], usage), EXIT_CODES.usage)
+  t.is(await run(['health', '--unknown'], usage), EXIT_CODES.usage)
+
+  const keyless = createIo(async () => respond({}))
+  keyless.env = {}
+  t.is(await run(['health'], keyless), EXIT_CODES.usage)
+})
+
+test('cli - parseBatchInput rejects malformed lines', async (t) => {
+  t.alike(parseBatchInput('ethereum usdt 0x1\r\n'), [{ blockchain: 'ethereum', token: 'usdt', address: '0x1' }])
+  t.exception(() => parseBatchInput('ethereum usdt\n'), /Line 1/)
+})
@@ -20,6 +20,12 @@ import {
   WdkIndexerApiError,
   WdkIndexerTimeoutError,
   WdkIndexerNetworkError,
+  WdkIndexerAuthError,
+  WdkIndexerRateLimitError,
+  WdkIndexerNotFoundError,
+  WdkIndexerBadRequestError,
+  WdkIndexerServerError,
+  createApiError,
   isApiError,
   isTokenTransfersResponse,
   isTokenBalanceResponse,
@@ -28,6 +34,9 @@ import {
   createClient
 } from '../index.js'
 
+const EVM_ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+
 test('WdkIndexerClient - constructor requires apiKey', async (t) => {
   t.exception(() => new WdkIndexerClient({}), /API key is required/)
   t.exception(
@@ -122,6 +131,25 @@ test('WdkIndexerApiError - includes status and errorType', async (t) => {
   t.is(error.message, 'Resource not found')
 })
 
+test('createApiError - picks the subclass of the status', async (t) => {
+  const create = (status) => createApiError({ error: 'Error', message: 'Failed', status })
+
+  t.ok(create(401) instanceof WdkIndexerAuthError)
+  t.ok(create(403) instanceof WdkIndexerAuthError)
+  t.ok(create(429) instanceof WdkIndexerRateLimitError)
+  t.ok(create(404) instanceof WdkIndexerNotFoundError)
+  t.ok(create(400) instanceof WdkIndexerBadRequestError)
+  t.ok(create(503) instanceof WdkIndexerServerError)
+  t.is(create(409).constructor, WdkIndexerApiError)
+
+  t.ok(create(404) instanceof WdkIndexerApiError)
+  t.is(create(404).name, 'WdkIndexerNotFoundError')
+  t.absent(create(401).isRetryable)
+  t.ok(create(429).isRetryable)
+  t.absent(create(500).isRetryable, 'only statuses retried by default are retryable')
+  t.ok(create(502).isRetryable)
+})
+
 test('WdkIndexerTimeoutError - includes timeout value', async (t) => {
   const error = new WdkIndexerTimeoutError(5000)
   t.ok(error instanceof WdkIndexerError)
@@ -159,7 +187,7 @@ test('WdkIndexerClient - health with mock fetch', async (t) => {
 
 test('WdkIndexerClient - getTokenBalance with mock fetch', async (t) => {
   const mockFetch = async (url, options) => {
-    t.ok(url.includes('/api/v1/ethereum/usdt/0x1234/token-balances'))
+    t.ok(url.includes(`/api/v1/ethereum/usdt/${EVM_ADDRESS}/token-balances`))
     t.is(options.headers['x-api-key'], 'test-key')
     return {
       ok: true,
@@ -174,7 +202,7 @@ test('WdkIndexerClient - getTokenBalance with mock fetch', async (t) => {
   }
 
   const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
-  const result = await client.getTokenBalance('ethereum', 'usdt', '0x1234')
+  const result = await client.getTokenBalance('ethereum', 'usdt', EVM_ADDRESS)
 
   t.is(result.tokenBalance.blockchain, 'ethereum')
   t.is(result.tokenBalance.token, 'usdt')
@@ -183,7 +211,7 @@ test('WdkIndexerClient - getTokenBalance with mock fetch', async (t) => {
 
 test('WdkIndexerClient - getTokenTransfers with mock fetch', async (t) => {
   const mockFetch = async (url, options) => {
-    t.ok(url.includes('/api/v1/ethereum/usdt/0x1234/token-transfers'))
+    t.ok(url.includes(`/api/v1/ethereum/usdt/${EVM_ADDRESS}/token-transfers`))
     t.ok(url.includes('limit=10'))
     t.ok(url.includes('fromTs=1000'))
     t.is(options.headers['x-api-key'], 'test-key')
@@ -208,7 +236,7 @@ test('WdkIndexerClient - getTokenTransfers with mock fetch', async (t) => {
   }
 
   const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
-  const result = await client.getTokenTransfers('ethereum', 'usdt', '0x1234', {
+  const result = await client.getTokenTransfers('ethereum', 'usdt', EVM_ADDRESS, {
     limit: 10,
     fromTs: 1000
   })
@@ -240,8 +268,8 @@ test('WdkIndexerClient - getBatchTokenBalances with mock fetch', async (t) => {
 
   const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
   const result = await client.getBatchTokenBalances([
-    { blockchain: 'ethereum', token: 'usdt', address: '0x1234' },
-    { blockchain: 'tron', token: 'usdt', address: 'T1234' }
+    { blockchain: 'ethereum', token: 'usdt', address: EVM_ADDRESS },
+    { blockchain: 'tron', token: 'usdt', address: TRON_ADDRESS }
   ])
 
   t.is(result.length, 2)
@@ -264,13 +292,17 @@ test('WdkIndexerClient - getBatchTokenTransfers with mock fetch', async (t) => {
 
   const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
   const result = await client.getBatchTokenTransfers([
-    { blockchain: 'ethereum', token: 'usdt', address: '0x1234' },
-    { blockchain: 'tron', token: 'usdt', address: 'T1234' }
+    { blockchain: 'ethereum', token: 'usdt', address: EVM_ADDRESS },
+    { blockchain: 'tron', token: 'usdt', address: TRON_ADDRESS }
   ])
 
   t.is(result.length, 2)
   t.ok(isTokenTransfersResponse(result[0]))
   t.ok(isApiError(result[1]))
+  t.ok(result[1] instanceof WdkIndexerNotFoundError, 'item errors are wrapped in their error class')
+  t.is(result[1].path, '/api/v1/batch/token-transfers')
+  t.is(result[1].method, 'POST')
+  t.alike(JSON.parse(JSON.stringify(result[1])), { error: 'NotFound', message: 'Address not found', status: 404 })
 })
 
 test('WdkIndexerClient - handles API error response', async (t) => {
@@ -300,6 +332,74 @@ test('WdkIndexerClient - handles API error response', async (t) => {
   }
 })
 
+test('WdkIndexerClient - API errors carry the request and its ID', async (t) => {
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async () => new Response(
+      JSON.stringify({ error: 'TooManyRequests', message: 'Slow down', status: 429 }),
+      { status: 429, headers: { 'retry-after': '2', 'x-request-id': 'req-1' } }
+    )
+  })
+
+  try {
+    await client.getTokenBalance('ethereum', 'usdt', EVM_ADDRESS)
+    t.fail('Should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerRateLimitError)
+    t.is(error.retryAfter, 2000)
+    t.ok(error.isRetryable)
+    t.is(error.method, 'GET')
+    t.is(error.path, `/api/v1/ethereum/usdt/${EVM_ADDRESS}/token-balances`)
+    t.is(error.requestId, 'req-1')
+  }
+})
+
+test('WdkIndexerClient - keeps the status of non-JSON error pages', async (t) => {
+  const page = `<html><body><h1>502 Bad Gateway</h1>${'.'.repeat(1000)}</body></html>`
+  const mockFetch = async () => new Response(page, {
+    status: 502,
+    statusText: 'Bad Gateway',
+    headers: { 'content-type': 'text/html', via: 'lb-1' }
+  })
+
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
+
+  try {
+    await client.health()
+    t.fail('Should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerServerError)
+    t.is(error.status, 502)
+    t.is(error.statusText, 'Bad Gateway')
+    t.is(error.errorType, 'UnknownError')
+    t.is(error.headers.get('via'), 'lb-1')
+    t.ok(error.body.startsWith('<html><body><h1>502 Bad Gateway</h1>'))
+    t.is(error.body.length, 503, 'truncated to 500 characters')
+  }
+})
+
+test('WdkIndexerClient - rejects empty and non-JSON success bodies', async (t) => {
+  const empty = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async () => new Response(null, { status: 204, statusText: 'No Content' })
+  })
+  await t.exception(empty.health(), /HTTP 204: expected a JSON body, received an empty body/)
+
+  const html = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async () => new Response('<html></html>', { headers: { 'content-type': 'text/html; charset=utf-8' } })
+  })
+  await t.exception(html.health(), /HTTP 200: expected a JSON body, received a text\/html body/)
+
+  const json = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async () => new Response('{"status":"ok","timestamp":"now"}', {
+      headers: { 'content-type': 'application/problem+json' }
+    })
+  })
+  t.alike(await json.health(), { status: 'ok', timestamp: 'now' })
+})
+
 test('WdkIndexerClient - handles network error', async (t) => {
   const mockFetch = async () => {
     throw new Error('Connection refused')
@@ -351,6 +451,10 @@ test('WdkIndexerClient - encodes address in URL', async (t) => {
     }
   }
 
-  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    validate: false
+  })
   await client.getTokenBalance('ethereum', 'usdt', '0x1234/5678')
 })
@@ -0,0 +1,129 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  normalizeAddress,
+  isSameAddress,
+  classifyTransfer
+} from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const OTHER = '0x742d35CC6634c0532925A3b844BC9e7595f5Ab12'
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+const TRON_HEX = '41a614f803b6fd780986a42c78ec9c7f77e6ded13c'
+
+test('normalizeAddress - canonical forms per chain', async (t) => {
+  t.is(normalizeAddress('ethereum', ADDRESS), ADDRESS.toLowerCase())
+  t.is(normalizeAddress('tron', TRON_ADDRESS), TRON_HEX)
+  t.is(normalizeAddress('tron', TRON_HEX.toUpperCase()), TRON_HEX)
+  t.is(normalizeAddress('tron', `0x${TRON_HEX.slice(2)}`), TRON_HEX)
+  t.is(
+    normalizeAddress('ton', 'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs'),
+    '0:b113a994b5024a16719f69139328eb759596c38a25f59028b146fecdc3621dfe'
+  )
+  t.is(normalizeAddress('bitcoin', 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4'), 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')
+  t.is(normalizeAddress('bitcoin', '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'), '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2')
+  t.is(normalizeAddress('ethereum', null), null)
+  t.is(normalizeAddress('ethereum', 'not-an-address'), 'not-an-address')
+})
+
+test('isSameAddress - matches different forms of one account', async (t) => {
+  t.ok(isSameAddress('polygon', ADDRESS, ADDRESS.toLowerCase()))
+  t.ok(isSameAddress('tron', TRON_ADDRESS, TRON_HEX))
+  t.ok(isSameAddress(
+    'ton',
+    'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs',
+    'UQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_p0p'
+  ), 'bounceable and non-bounceable forms')
+  t.ok(isSameAddress(
+    'ton',
+    'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs',
+    '0:B113A994B5024A16719F69139328EB759596C38A25F59028B146FECDC3621DFE'
+  ), 'user-friendly and raw forms')
+  t.absent(isSameAddress('ethereum', ADDRESS, OTHER))
+  t.absent(isSameAddress('ethereum', null, null))
+})
+
+test('classifyTransfer - direction, counterparty and signed amount', async (t) => {
+  const transfer = (from, to) => ({ blockchain: 'ethereum', token: 'usdt', amount: '1.50', from, to })
+
+  t.alike(classifyTransfer(transfer(OTHER, ADDRESS.toLowerCase()), ADDRESS), {
+    direction: 'incoming',
+    counterparty: OTHER,
+    signedAmount: '1.5'
+  })
+  t.alike(classifyTransfer(transfer(ADDRESS, OTHER), ADDRESS), {
+    direction: 'outgoing',
+    counterparty: OTHER,
+    signedAmount: '-1.5'
+  })
+  t.alike(classifyTransfer(transfer(ADDRESS, ADDRESS), ADDRESS), {
+    direction: 'self',
+    counterparty: ADDRESS,
+    signedAmount: '0'
+  })
+  t.alike(classifyTransfer(transfer(OTHER, OTHER), ADDRESS), {
+    direction: 'unrelated',
+    counterparty: null,
+    signedAmount: '0'
+  })
+})
+
+test('classifyTransfer - mints and burns have no counterparty', async (t) => {
+  const mint = classifyTransfer({ blockchain: 'tron', token: 'usdt', amount: '5', from: null, to: TRON_HEX }, TRON_ADDRESS)
+  t.is(mint.direction, 'incoming')
+  t.is(mint.counterparty, null)
+  t.is(mint.signedAmount, '5')
+
+  const burn = classifyTransfer({ blockchain: 'tron', token: 'usdt', amount: '5', from: TRON_ADDRESS }, TRON_ADDRESS)
+  t.is(burn.direction, 'outgoing')
+  t.is(burn.counterparty, null)
+  t.is(burn.signedAmount, '-5')
+})
+
+test('WdkIndexerClient - enrichTransfers on single and batch transfers', async (t) => {
+  const transfers = [
+    { blockchain: 'ethereum', token: 'usdt', amount: '2', from: ADDRESS.toLowerCase(), to: OTHER, timestamp: 1 }
+  ]
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    enrichTransfers: true,
+    normalizeAmounts: true,
+    fetch: async (url, options) => ({
+      ok: true,
+      status: 200,
+      headers: new Headers(),
+      json: async () => options.method === 'POST'
+        ? [{ transfers }, { error: 'NotFound', message: 'Not found', status: 404 }]
+        : { transfers }
+    })
+  })
+
+  const { transfers: [single] } = await client.getTokenTransfers('ethereum', 'usdt', ADDRESS)
+  t.is(single.direction, 'outgoing')
+  t.is(single.counterparty, OTHER)
+  t.is(single.signedAmount, '-2')
+  t.is(single.signedAmountBaseUnits, -2000000n)
+
+  const [first, second] = await client.getBatchTokenTransfers([
+    { blockchain: 'ethereum', token: 'usdt', address: OTHER },
+    { blockchain: 'ethereum', token: 'usdt', address: ADDRESS }
+  ])
+  t.is(first.transfers[0].direction, 'incoming', 'relative to the address of each request')
+  t.is(first.transfers[0].signedAmount, '2')
+  t.is(second.error, 'NotFound')
+})
@@ -0,0 +1,129 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerError,
+  exportTransfers
+} from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const OTHER = '0x742d35CC6634c0532925A3b844BC9e7595f5Ab12'
+
+const TRANSFERS = [
+  {
+    blockchain: 'ethereum',
+    token: 'usdt',
+    transactionHash: '0xb',
+    transferIndex: 0,
+    timestamp: 1700000100,
+    from: ADDRESS.toLowerCase(),
+    to: OTHER,
+    amount: '2.500000',
+    label: 'rent, "march"'
+  },
+  {
+    blockchain: 'ethereum',
+    token: 'usdt',
+    transactionHash: '0xa',
+    transferIndex: 0,
+    timestamp: 1700000000,
+    from: OTHER,
+    to: ADDRESS,
+    amount: '10'
+  }
+]
+
+async function collect (lines) {
+  let text = ''
+  for await (const line of lines) {
+    text += line
+  }
+  return text
+}
+
+test('exportTransfers - csv with ISO timestamps and normalized amounts', async (t) => {
+  const text = await collect(exportTransfers(TRANSFERS))
+
+  t.is(text, [
+    'timestamp,blockchain,token,transactionHash,from,to,amount',
+    `2023-11-14T22:15:00.000Z,ethereum,usdt,0xb,${ADDRESS.toLowerCase()},${OTHER},2.5`,
+    `2023-11-14T22:13:20.000Z,ethereum,usdt,0xa,${OTHER},${ADDRESS},10`,
+    ''
+  ].join('\n'))
+})
+
+test('exportTransfers - configurable columns are escaped', async (t) => {
+  const text = await collect(exportTransfers(TRANSFERS, { columns: ['transactionHash', 'label'], header: false }))
+
+  t.is(text, '0xb,"rent, ""march"""\n0xa,\n')
+})
+
+test('exportTransfers - ndjson', async (t) => {
+  const lines = (await collect(exportTransfers(TRANSFERS, { format: 'ndjson', columns: ['transactionHash', 'amount', 'label'] })))
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line))
+
+  t.alike(lines, [
+    { transactionHash: '0xb', amount: '2.5', label: 'rent, "march"' },
+    { transactionHash: '0xa', amount: '10', label: null }
+  ])
+})
+
+test('exportTransfers - ledger debits incoming and credits outgoing transfers', async (t) => {
+  const text = await collect(exportTransfers(TRANSFERS, { format: 'ledger', address: ADDRESS }))
+
+  t.is(text, [
+    'timestamp,blockchain,token,transactionHash,counterparty,debit,credit',
+    `2023-11-14T22:15:00.000Z,ethereum,usdt,0xb,${OTHER},,2.5`,
+    `2023-11-14T22:13:20.000Z,ethereum,usdt,0xa,${OTHER},10,`,
+    ''
+  ].join('\n'))
+
+  t.exception(() => exportTransfers(TRANSFERS, { format: 'ledger' }), WdkIndexerError)
+  t.exception(() => exportTransfers(TRANSFERS, { format: 'xlsx' }), WdkIndexerError)
+})
+
+test('exportTokenTransfers - streams pages on demand', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async (url) => {
+      calls.push(url)
+      const toTs = new URL(url).searchParams.get('toTs')
+      return {
+        ok: true,
+        status: 200,
+        headers: new Headers(),
+        json: async () => ({ transfers: toTs ? [TRANSFERS[1]] : [TRANSFERS[0]] })
+      }
+    }
+  })
+
+  const stream = client.exportTokenTransfers('ethereum', 'usdt', ADDRESS, { format: 'ndjson', pageSize: 1 })
+  t.ok(stream instanceof ReadableStream)
+  await new Promise((resolve) => setTimeout(resolve, 10))
+  t.is(calls.length, 0, 'nothing is fetched before the stream is read')
+
+  const reader = stream.getReader()
+  const first = await reader.read()
+  t.is(JSON.parse(first.value).transactionHash, '0xb')
+  t.is(calls.length, 1)
+
+  await reader.cancel()
+  t.is(calls.length, 1, 'cancelling stops paging')
+})
@@ -0,0 +1,227 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerError,
+  WdkIndexerServerError,
+  WdkIndexerNotFoundError,
+  WdkIndexerCircuitOpenError,
+  CircuitBreaker,
+  EndpointPool
+} from '../index.js'
+import { FakeIndexer } from '../testing.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const PRIMARY = 'https://primary.example.com'
+const BACKUP = 'https://backup.example.com'
+
+function createIndexers () {
+  const indexers = {
+    [PRIMARY]: new FakeIndexer({ apiKey: 'test-key' }),
+    [BACKUP]: new FakeIndexer({ apiKey: 'test-key' })
+  }
+  const fetch = (url, init) => indexers[new URL(url).origin].fetch(url, init)
+  return { primary: indexers[PRIMARY], backup: indexers[BACKUP], fetch }
+}
+
+test('CircuitBreaker - opens at the threshold and half-opens after the cooldown', async (t) => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 20 })
+  t.is(breaker.state, 'closed')
+
+  breaker.recordFailure()
+  t.is(breaker.state, 'closed')
+  breaker.recordFailure()
+  t.is(breaker.state, 'open')
+
+  await new Promise((resolve) => setTimeout(resolve, 30))
+  t.is(breaker.state, 'half-open')
+  breaker.recordFailure()
+  t.is(breaker.state, 'open', 'a failure while half-open opens it again')
+
+  await new Promise((resolve) => setTimeout(resolve, 30))
+  breaker.recordSuccess()
+  t.is(breaker.state, 'closed')
+
+  t.exception(() => new CircuitBreaker({ failureThreshold: 0 }), WdkIndexerError)
+  t.exception(() => new EndpointPool([]), WdkIndexerError)
+  t.exception(() => new EndpointPool(PRIMARY, { routing: 'random' }), WdkIndexerError)
+})
+
+test('Failover - moves to the next endpoint and fails back once the primary recovers', async (t) => {
+  const { primary, backup, fetch } = createIndexers()
+  primary.setBalance('ethereum', 'usdt', ADDRESS, '1')
+  backup.setBalance('ethereum', 'usdt', ADDRESS, '2')
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    baseUrl: [PRIMARY, `${BACKUP}/`],
+    fetch,
+    failover: { failureThreshold: 2, cooldown: 20, healthCheckInterval: 0 }
+  })
+  const changes = []
+  client.on('endpointChange', (change) => changes.push(change))
+
+  t.is(client.baseUrl, PRIMARY)
+
+  primary.injectError({ status: 503, times: 2 })
+  const first = await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  t.is(first.tokenBalance.amount, '2', 'served by the backup right away')
+  t.is(client.baseUrl, PRIMARY, 'one failure keeps the primary')
+
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  t.is(client.baseUrl, BACKUP)
+  t.alike(changes, [{ previous: PRIMARY, current: BACKUP, reason: 'failure' }])
+
+  const before = primary.requests.length
+  t.is((await client.getTokenBalance('ethereum', 'usdt', ADDRESS)).tokenBalance.amount, '2')
+  t.is(primary.requests.length, before, 'no traffic to an open circuit')
+
+  await new Promise((resolve) => setTimeout(resolve, 30))
+  t.is((await client.getTokenBalance('ethereum', 'usdt', ADDRESS)).tokenBalance.amount, '1')
+  t.is(client.baseUrl, PRIMARY)
+  t.alike(changes[1], { previous: BACKUP, current: PRIMARY, reason: 'recovery' })
+
+  primary.injectError({ status: 404 })
+  await t.exception(client.getTokenBalance('ethereum', 'usdt', ADDRESS), WdkIndexerNotFoundError)
+  t.is(client.baseUrl, PRIMARY, 'client errors are not endpoint failures')
+
+  primary.injectError({ status: 503 })
+  await t.exception(
+    client.getBatchTokenBalances([{ blockchain: 'ethereum', token: 'usdt', address: ADDRESS }]),
+    WdkIndexerServerError,
+    'batch requests are not sent twice'
+  )
+})
+
+test('Failover - health checks measure latency and route to the fastest endpoint', async (t) => {
+  const { primary, fetch } = createIndexers()
+  const slowFetch = async (url, init) => {
+    if (url.startsWith(PRIMARY)) {
+      await new Promise((resolve) => setTimeout(resolve, 40))
+    }
+    return fetch(url, init)
+  }
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    baseUrl: [PRIMARY, BACKUP],
+    fetch: slowFetch,
+    failover: { routing: 'latency', healthCheckInterval: 0 }
+  })
+  const changes = []
+  client.on('endpointChange', (change) => changes.push(change))
+
+  const states = await client.checkEndpoints()
+  t.alike(states.map(({ url, state, current }) => ({ url, state, current })), [
+    { url: PRIMARY, state: 'closed', current: false },
+    { url: BACKUP, state: 'closed', current: true }
+  ])
+  t.ok(states[0].latency > states[1].latency)
+  t.alike(changes, [{ previous: PRIMARY, current: BACKUP, reason: 'latency' }])
+  t.is(primary.requests[0].path, '/api/v1/health')
+
+  primary.injectError({ status: 500, times: 3 })
+  const failed = await client.checkEndpoints()
+  t.is(failed[0].state, 'closed', 'one failed check is below the threshold')
+})
+
+test('Failover - runs health checks in the background until closed', async (t) => {
+  const { primary, backup, fetch } = createIndexers()
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    baseUrl: [PRIMARY, BACKUP],
+    fetch,
+    failover: { healthCheckInterval: 10 }
+  })
+
+  await new Promise((resolve) => setTimeout(resolve, 35))
+  client.close()
+  const checks = primary.requests.length
+  t.ok(checks >= 2)
+  t.is(backup.requests.length, checks)
+
+  await new Promise((resolve) => setTimeout(resolve, 25))
+  t.is(primary.requests.length, checks, 'stopped')
+
+  const single = new WdkIndexerClient({ apiKey: 'test-key', fetch, baseUrl: PRIMARY })
+  t.is(single._healthCheckTimer, null, 'no checks with a single endpoint')
+})
+
+test('Failover - a half-open endpoint takes one trial call at a time', async (t) => {
+  const { primary, backup, fetch } = createIndexers()
+  const slowFetch = async (url, init) => {
+    if (url.startsWith(PRIMARY)) {
+      await new Promise((resolve) => setTimeout(resolve, 20))
+    }
+    return fetch(url, init)
+  }
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    baseUrl: [PRIMARY, BACKUP],
+    fetch: slowFetch,
+    failover: { failureThreshold: 1, cooldown: 20, healthCheckInterval: 0 }
+  })
+
+  primary.injectError({ status: 503 })
+  await client.health()
+  t.is(client.endpoints.getStates()[0].state, 'open')
+
+  await new Promise((resolve) => setTimeout(resolve, 30))
+  t.is(client.endpoints.getStates()[0].state, 'half-open')
+
+  const primaryBefore = primary.requests.length
+  const backupBefore = backup.requests.length
+  const results = await Promise.all(Array.from({ length: 3 }, () => client.health()))
+  t.is(results.length, 3)
+  t.is(primary.requests.length - primaryBefore, 1, 'one trial call')
+  t.is(backup.requests.length - backupBefore, 2, 'the others skip the half-open endpoint')
+  t.is(client.endpoints.getStates()[0].state, 'closed')
+  t.is(client.baseUrl, PRIMARY)
+})
+
+test('Failover - busy half-open endpoints fail other calls fast', async (t) => {
+  const { primary, backup, fetch } = createIndexers()
+  const slowFetch = async (url, init) => {
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    return fetch(url, init)
+  }
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    baseUrl: [PRIMARY, BACKUP],
+    fetch: slowFetch,
+    failover: { failureThreshold: 1, cooldown: 60, healthCheckInterval: 0 }
+  })
+
+  primary.injectError({ status: 503 })
+  backup.injectError({ status: 503 })
+  await t.exception(client.health(), WdkIndexerServerError)
+  t.alike(client.endpoints.getStates().map(({ state }) => state), ['open', 'open'])
+
+  await new Promise((resolve) => setTimeout(resolve, 70))
+  t.alike(client.endpoints.getStates().map(({ state }) => state), ['half-open', 'half-open'])
+  const primaryBefore = primary.requests.length
+  const backupBefore = backup.requests.length
+  const results = await Promise.allSettled(Array.from({ length: 5 }, () => client.health()))
+
+  t.is(primary.requests.length - primaryBefore, 1, 'one trial call to the primary')
+  t.is(backup.requests.length - backupBefore, 1, 'one trial call to the backup')
+  t.is(results.filter(({ status }) => status === 'fulfilled').length, 2)
+  const rejected = results.filter(({ status }) => status === 'rejected')
+  t.is(rejected.length, 3)
+  t.ok(rejected.every(({ reason }) => reason instanceof WdkIndexerCircuitOpenError))
+  t.alike(client.endpoints.getStates().map(({ state }) => state), ['closed', 'closed'])
+})
@@ -0,0 +1,111 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import { WdkIndexerClient, WdkIndexerValidationError } from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const OTHER = '0x742d35CC6634c0532925A3b844BC9e7595f5Ab12'
+const DAY = 86400
+
+// Newest first, like the API
+const TRANSFERS = [
+  { timestamp: 3 * DAY + 100, from: ADDRESS.toLowerCase(), to: OTHER, amount: '2.5', transactionHash: '0xd' },
+  { timestamp: 2 * DAY + 50, from: OTHER, to: ADDRESS, amount: '10', transactionHash: '0xc' },
+  { timestamp: 2 * DAY + 10, from: ADDRESS, to: ADDRESS, amount: '4', transactionHash: '0xb' },
+  { timestamp: DAY + 1, from: OTHER, to: ADDRESS, amount: '0.000001', transactionHash: '0xa' }
+].map((transfer) => ({ blockchain: 'ethereum', token: 'usdt', transferIndex: 0, ...transfer }))
+
+function createClient (calls) {
+  return new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async (url) => {
+      const { pathname, searchParams } = new URL(url)
+      calls.push({ pathname, query: Object.fromEntries(searchParams) })
+
+      const body = pathname.endsWith('/token-balances')
+        ? { tokenBalance: { blockchain: 'ethereum', token: 'usdt', amount: '20.000001' } }
+        : {
+            transfers: TRANSFERS.filter(({ timestamp }) =>
+              timestamp >= Number(searchParams.get('fromTs') ?? 0) &&
+              timestamp <= Number(searchParams.get('toTs') ?? Infinity)
+            ).slice(0, Number(searchParams.get('limit')))
+          }
+      return { ok: true, status: 200, headers: new Headers(), json: async () => body }
+    }
+  })
+}
+
+test('getHistoricalBalance - undoes the transfers after atTs', async (t) => {
+  const calls = []
+  const client = createClient(calls)
+
+  t.alike(await client.getHistoricalBalance('ethereum', 'usdt', ADDRESS, 2 * DAY + 50), {
+    blockchain: 'ethereum',
+    token: 'usdt',
+    address: ADDRESS,
+    timestamp: 2 * DAY + 50,
+    amount: '22.500001'
+  }, 'transfers at atTs are included')
+  t.is(calls[1].query.fromTs, String(2 * DAY + 51), 'older transfers are not fetched')
+
+  const balance = await client.getHistoricalBalance('ethereum', 'usdt', ADDRESS, DAY, { pageSize: 2 })
+  t.is(balance.amount, '12.5', 'self transfers leave the balance as is')
+
+  t.is((await client.getHistoricalBalance('ethereum', 'usdt', ADDRESS, 4 * DAY)).amount, '20.000001')
+})
+
+test('getBalanceHistory - daily snapshots in one walk through the history', async (t) => {
+  const calls = []
+  const client = createClient(calls)
+
+  const history = await client.getBalanceHistory('ethereum', 'usdt', ADDRESS, {
+    fromTs: DAY + 500,
+    toTs: 3 * DAY + 200
+  })
+
+  t.is(history.interval, 'day')
+  t.alike(history.snapshots, [
+    { timestamp: DAY, amount: '12.500001' },
+    { timestamp: 2 * DAY, amount: '22.500001' },
+    { timestamp: 3 * DAY, amount: '20.000001' }
+  ])
+  t.is(calls.filter(({ pathname }) => pathname.endsWith('/token-transfers')).length, 1)
+  t.is(calls[1].query.fromTs, String(2 * DAY), 'starts after the end of the first bucket')
+
+  const hourly = await client.getBalanceHistory('ethereum', 'usdt', ADDRESS, {
+    fromTs: 2 * DAY,
+    toTs: 2 * DAY + 3599,
+    interval: 'hour'
+  })
+  t.alike(hourly.snapshots, [{ timestamp: 2 * DAY, amount: '22.500001' }])
+})
+
+test('getBalanceHistory - rejects invalid periods before any request', async (t) => {
+  const calls = []
+  const client = createClient(calls)
+
+  await t.exception(
+    client.getBalanceHistory('ethereum', 'usdt', ADDRESS, { fromTs: 10, toTs: 5 }),
+    WdkIndexerValidationError
+  )
+  await t.exception(
+    client.getBalanceHistory('ethereum', 'usdt', ADDRESS, { fromTs: 0, interval: 'week' }),
+    WdkIndexerValidationError
+  )
+  await t.exception(client.getBalanceHistory('ethereum', 'usdt', ADDRESS), WdkIndexerValidationError)
+  await t.exception(client.getHistoricalBalance('ethereum', 'usdt', ADDRESS, '2025-09-30'), WdkIndexerValidationError)
+  t.is(calls.length, 0)
+})
@@ -0,0 +1,215 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerApiError,
+  WdkIndexerError,
+  createLoggingMiddleware,
+  createRequestIdMiddleware
+} from '../index.js'
+
+function createHealthFetch (requests) {
+  return async (url, options) => {
+    requests.push({ url, ...options })
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ status: 'ok', timestamp: '2025-01-01T00:00:00.000Z' })
+    }
+  }
+}
+
+test('middleware - onRequest hooks can change url and headers in order', async (t) => {
+  const requests = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createHealthFetch(requests),
+    middleware: [
+      {
+        async onRequest (request) {
+          request.headers.traceparent = 'trace-1'
+        }
+      },
+      {
+        onRequest (request) {
+          return { ...request, url: `${request.url}?via=proxy`, headers: { ...request.headers, order: request.headers.traceparent } }
+        }
+      }
+    ]
+  })
+
+  await client.health()
+
+  t.ok(requests[0].url.endsWith('/api/v1/health?via=proxy'))
+  t.is(requests[0].headers.traceparent, 'trace-1')
+  t.is(requests[0].headers.order, 'trace-1')
+  t.is(requests[0].headers['x-api-key'], 'test-key')
+})
+
+test('middleware - onRequest hooks can change the body', async (t) => {
+  const requests = []
+  const mockFetch = async (url, options) => {
+    requests.push(options)
+    return { ok: true, json: async () => [] }
+  }
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    validate: false,
+    middleware: [
+      {
+        onRequest (request) {
+          request.body = []
+        }
+      }
+    ]
+  })
+
+  await client.getBatchTokenBalances([])
+  t.is(requests.length, 0, 'empty batches are not sent')
+
+  await t.exception(
+    client.getBatchTokenBalances([{ blockchain: 'ethereum', token: 'usdt', address: 'x' }]),
+    /expected 1/
+  )
+  t.is(requests[0].body, '[]')
+})
+
+test('middleware - onResponse hooks run in reverse order and can change data', async (t) => {
+  const order = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createHealthFetch([]),
+    middleware: [
+      {
+        onResponse (response) {
+          order.push('outer')
+          response.data = { ...response.data, outer: true }
+        }
+      },
+      {
+        async onResponse (response) {
+          order.push('inner')
+          t.is(response.status, 200)
+          t.ok(response.duration >= 0)
+          return { ...response, data: { ...response.data, inner: true } }
+        }
+      }
+    ]
+  })
+
+  const result = await client.health()
+
+  t.alike(order, ['inner', 'outer'])
+  t.is(result.status, 'ok')
+  t.ok(result.inner)
+  t.ok(result.outer)
+})
+
+test('middleware - onError hooks can replace the error', async (t) => {
+  class CustomError extends WdkIndexerError {}
+
+  const mockFetch = async () => ({
+    ok: false,
+    status: 500,
+    statusText: 'Internal Server Error',
+    json: async () => ({ error: 'Internal', message: 'Boom', status: 500 })
+  })
+
+  const seen = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    middleware: [
+      {
+        onError (error) {
+          seen.push(error)
+        }
+      },
+      {
+        onError (error, context) {
+          t.ok(context.request.url.endsWith('/api/v1/health'))
+          return new CustomError(`wrapped: ${error.message}`)
+        }
+      }
+    ]
+  })
+
+  await t.exception(client.health(), /wrapped: Boom/)
+  t.ok(seen[0] instanceof CustomError)
+})
+
+test('createLoggingMiddleware - logs latency and redacts the API key', async (t) => {
+  const entries = []
+  const client = new WdkIndexerClient({
+    apiKey: 'secret-key',
+    fetch: createHealthFetch([]),
+    middleware: [createLoggingMiddleware({ logger: (entry) => entries.push(entry) })]
+  })
+
+  await client.health()
+
+  t.is(entries.length, 1)
+  t.is(entries[0].method, 'GET')
+  t.is(entries[0].status, 200)
+  t.is(entries[0].headers['x-api-key'], '[REDACTED]')
+  t.ok(entries[0].duration >= 0)
+  t.absent(JSON.stringify(entries).includes('secret-key'))
+})
+
+test('createLoggingMiddleware - logs failed requests', async (t) => {
+  const entries = []
+  const mockFetch = async () => ({
+    ok: false,
+    status: 404,
+    statusText: 'Not Found',
+    json: async () => ({ error: 'NotFound', message: 'Missing', status: 404 })
+  })
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    middleware: [createLoggingMiddleware({ logger: (entry) => entries.push(entry) })]
+  })
+
+  await t.exception(client.health(), WdkIndexerApiError)
+  t.is(entries[0].status, 404)
+  t.is(entries[0].error, 'WdkIndexerNotFoundError')
+  t.is(entries[0].message, 'Missing')
+})
+
+test('createRequestIdMiddleware - sets a unique header per request', async (t) => {
+  const requests = []
+  let id = 0
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createHealthFetch(requests),
+    middleware: [
+      createRequestIdMiddleware(),
+      createRequestIdMiddleware({ header: 'x-correlation-id', generate: () => `id-${++id}` })
+    ]
+  })
+
+  await client.health()
+  await client.health()
+
+  t.ok(requests[0].headers['x-request-id'])
+  t.not(requests[0].headers['x-request-id'], requests[1].headers['x-request-id'])
+  t.is(requests[0].headers['x-correlation-id'], 'id-1')
+  t.is(requests[1].headers['x-correlation-id'], 'id-2')
+})
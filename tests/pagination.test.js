@@ -0,0 +1,155 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import { WdkIndexerClient } from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+function createTransfers (timestamps) {
+  return timestamps.map((timestamp, i) => ({
+    blockchain: 'ethereum',
+    blockNumber: timestamp,
+    transactionHash: `0x${i.toString(16)}`,
+    transferIndex: 0,
+    logIndex: i,
+    token: 'usdt',
+    amount: '1',
+    timestamp
+  }))
+}
+
+// Serves transfers newest first, with inclusive fromTs/toTs bounds
+function createMockFetch (transfers, requests = []) {
+  const sorted = [...transfers].sort((a, b) => b.timestamp - a.timestamp)
+
+  return async (url) => {
+    const params = new URL(url).searchParams
+    const limit = Number(params.get('limit'))
+    const fromTs = params.has('fromTs') ? Number(params.get('fromTs')) : 0
+    const toTs = params.has('toTs') ? Number(params.get('toTs')) : Infinity
+    requests.push({ limit, fromTs, toTs })
+
+    return {
+      ok: true,
+      json: async () => ({
+        transfers: sorted
+          .filter((t) => t.timestamp >= fromTs && t.timestamp <= toTs)
+          .slice(0, limit)
+      })
+    }
+  }
+}
+
+async function collect (iterator) {
+  const items = []
+  for await (const item of iterator) {
+    items.push(item)
+  }
+  return items
+}
+
+test('iterateTokenTransfers - pages through the full history', async (t) => {
+  const transfers = createTransfers([10, 9, 9, 8, 7, 7, 7, 6, 5, 4, 3, 2, 1])
+  const requests = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createMockFetch(transfers, requests)
+  })
+
+  const result = await collect(
+    client.iterateTokenTransfers('ethereum', 'usdt', ADDRESS, { pageSize: 4 })
+  )
+
+  t.is(result.length, transfers.length)
+  t.is(new Set(result.map((t) => t.transactionHash)).size, transfers.length)
+  t.alike(
+    result.map((t) => t.timestamp),
+    [10, 9, 9, 8, 7, 7, 7, 6, 5, 4, 3, 2, 1]
+  )
+  t.is(requests[0].limit, 4)
+  t.is(requests[0].toTs, Infinity)
+  t.is(requests[1].toTs, 8)
+})
+
+test('iterateTokenTransfers - respects fromTs and toTs', async (t) => {
+  const transfers = createTransfers([10, 9, 8, 7, 6, 5, 4, 3, 2, 1])
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createMockFetch(transfers)
+  })
+
+  const result = await collect(
+    client.iterateTokenTransfers('ethereum', 'usdt', ADDRESS, {
+      pageSize: 3,
+      fromTs: 3,
+      toTs: 8
+    })
+  )
+
+  t.alike(
+    result.map((t) => t.timestamp),
+    [8, 7, 6, 5, 4, 3]
+  )
+})
+
+test('iterateTokenTransfers - steps past a timestamp filling a whole page', async (t) => {
+  const transfers = createTransfers([5, 5, 5, 5, 4, 3])
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createMockFetch(transfers)
+  })
+
+  const result = await collect(
+    client.iterateTokenTransfers('ethereum', 'usdt', ADDRESS, { pageSize: 3 })
+  )
+
+  // Only the first page of the over-full timestamp is reachable
+  t.alike(
+    result.map((t) => t.timestamp),
+    [5, 5, 5, 4, 3]
+  )
+})
+
+test('iterateTokenTransfers - stops on an empty history', async (t) => {
+  const requests = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createMockFetch([], requests)
+  })
+
+  const result = await collect(
+    client.iterateTokenTransfers('ethereum', 'usdt', ADDRESS)
+  )
+
+  t.is(result.length, 0)
+  t.is(requests.length, 1)
+  t.is(requests[0].limit, 1000)
+})
+
+test('iterateTokenTransfers - stops requesting when the consumer breaks', async (t) => {
+  const transfers = createTransfers([6, 5, 4, 3, 2, 1])
+  const requests = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createMockFetch(transfers, requests)
+  })
+
+  for await (const transfer of client.iterateTokenTransfers('ethereum', 'usdt', ADDRESS, { pageSize: 2 })) {
+    if (transfer.timestamp === 5) break
+  }
+
+  t.is(requests.length, 1)
+})
@@ -0,0 +1,149 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerApiError,
+  WdkIndexerNotFoundError,
+  WdkIndexerServerError,
+  WdkIndexerAbortError,
+  WdkIndexerValidationError
+} from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const OTHER_ADDRESS = '0x742d35CC6634c0532925A3b844BC9e7595f5Ab12'
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+
+function createPortfolioFetch (amounts, calls) {
+  return async (url, options) => {
+    const items = JSON.parse(options.body)
+    calls.push({ url, items })
+    const body = items.map(({ blockchain, token, address }) => {
+      const amount = amounts[`${blockchain}:${token}:${address}`]
+      return amount === undefined
+        ? { error: 'NotFound', message: `No ${token} on ${blockchain}`, status: 404 }
+        : { tokenBalance: { blockchain, token, amount } }
+    })
+    return { ok: true, status: 200, headers: new Headers(), json: async () => body }
+  }
+}
+
+test('getPortfolio - sums balances per chain and token with one batch call per chain', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createPortfolioFetch({
+      [`ethereum:usdt:${ADDRESS}`]: '0.1',
+      [`ethereum:usdt:${OTHER_ADDRESS}`]: '0.2',
+      [`ethereum:xaut:${ADDRESS}`]: '1.500000',
+      [`polygon:usdt:${ADDRESS}`]: '10',
+      [`tron:usdt:${TRON_ADDRESS}`]: '1000000.000001',
+      [`tron:xaut:${TRON_ADDRESS}`]: '0'
+    }, calls)
+  })
+
+  const portfolio = await client.getPortfolio({
+    ethereum: [ADDRESS, OTHER_ADDRESS],
+    polygon: ADDRESS,
+    tron: TRON_ADDRESS
+  })
+
+  t.is(calls.length, 3, 'one call per chain')
+  t.ok(calls.every(({ url }) => url.endsWith('/api/v1/batch/token-balances')))
+  t.alike(calls.map(({ items }) => items.length), [4, 2, 2], 'every supported token of every address')
+  t.ok(calls.every(({ items }) => items.every(({ blockchain }) => blockchain === items[0].blockchain)))
+
+  t.alike(portfolio.chains, {
+    ethereum: { usdt: '0.3', xaut: '1.5' },
+    polygon: { usdt: '10' },
+    tron: { usdt: '1000000.000001', xaut: '0' }
+  })
+  t.alike(portfolio.totals, { usdt: '1000010.300001', xaut: '1.5' })
+  t.alike(portfolio.balances[1], {
+    blockchain: 'ethereum',
+    token: 'xaut',
+    address: ADDRESS,
+    amount: '1.5',
+    decimals: 6
+  })
+
+  t.is(portfolio.failed.length, 2)
+  t.alike(portfolio.failed.map(({ blockchain, token }) => `${blockchain}:${token}`), [
+    'ethereum:xaut',
+    'polygon:xaut'
+  ])
+  t.ok(portfolio.failed[0].error instanceof WdkIndexerApiError)
+  t.ok(portfolio.failed[0].error instanceof WdkIndexerNotFoundError, 'item errors get the subclass of their status')
+  t.is(portfolio.failed[0].error.path, '/api/v1/batch/token-balances')
+})
+
+test('getPortfolio - filters tokens and reports invalid addresses as failed legs', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: createPortfolioFetch({ [`ethereum:usdt:${ADDRESS}`]: '5' }, calls)
+  })
+
+  const portfolio = await client.getPortfolio(
+    { ethereum: ADDRESS, tron: ADDRESS, bitcoin: ADDRESS },
+    { tokens: ['usdt'] }
+  )
+
+  t.alike(calls[0].items, [{ blockchain: 'ethereum', token: 'usdt', address: ADDRESS }])
+  t.alike(portfolio.totals, { usdt: '5' })
+  t.is(portfolio.failed.length, 1, 'bitcoin has no usdt')
+  t.is(portfolio.failed[0].blockchain, 'tron')
+  t.ok(portfolio.failed[0].error instanceof WdkIndexerValidationError)
+})
+
+test('getPortfolio - rejects unknown blockchains', async (t) => {
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createPortfolioFetch({}, []) })
+
+  await t.exception(client.getPortfolio({ solana: ADDRESS }), WdkIndexerValidationError)
+})
+
+test('getPortfolio - reports the legs of a chain whose request fails', async (t) => {
+  const balances = createPortfolioFetch({
+    [`ethereum:usdt:${ADDRESS}`]: '5',
+    [`tron:usdt:${TRON_ADDRESS}`]: '7'
+  }, [])
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async (url, options) => {
+      if (JSON.parse(options.body)[0].blockchain === 'polygon') {
+        return { ok: false, status: 503, statusText: 'Service Unavailable', headers: new Headers(), json: async () => ({}) }
+      }
+      return balances(url, options)
+    }
+  })
+
+  const portfolio = await client.getPortfolio(
+    { ethereum: ADDRESS, polygon: ADDRESS, tron: TRON_ADDRESS },
+    { tokens: ['usdt'] }
+  )
+
+  t.alike(portfolio.totals, { usdt: '12' })
+  t.alike(portfolio.failed.map(({ blockchain, token }) => `${blockchain}:${token}`), ['polygon:usdt'])
+  t.ok(portfolio.failed[0].error instanceof WdkIndexerServerError)
+
+  const controller = new AbortController()
+  controller.abort()
+  await t.exception(
+    client.getPortfolio({ ethereum: ADDRESS }, { signal: controller.signal }),
+    WdkIndexerAbortError,
+    'a cancelled call rejects'
+  )
+})
@@ -0,0 +1,122 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerQueueFullError,
+  RateLimiter
+} from '../index.js'
+import { parseRateLimitHeaders } from '../src/rate-limit.js'
+
+test('parseRateLimitHeaders - reads remaining quota and reset', async (t) => {
+  const now = 1700000000000
+
+  t.alike(
+    parseRateLimitHeaders(new Headers({ 'X-RateLimit-Remaining': '5', 'X-RateLimit-Reset': '2' }), now),
+    { remaining: 5, resetAfter: 2000 }
+  )
+  t.alike(
+    parseRateLimitHeaders(new Headers({ 'RateLimit-Remaining': '0', 'RateLimit-Reset': '1700000003' }), now),
+    { remaining: 0, resetAfter: 3000 }
+  )
+  t.alike(parseRateLimitHeaders(new Headers(), now), {})
+  t.alike(parseRateLimitHeaders(undefined, now), {})
+})
+
+test('RateLimiter - validates options', async (t) => {
+  t.exception(() => new RateLimiter({}), /requestsPerSecond/)
+  t.exception(() => new RateLimiter({ requestsPerSecond: 10, burst: 0 }), /burst/)
+  t.is(new RateLimiter({ requestsPerSecond: 5 }).burst, 5)
+})
+
+test('RateLimiter - allows a burst then spaces requests', async (t) => {
+  const limiter = new RateLimiter({ requestsPerSecond: 50, burst: 2 })
+  const start = Date.now()
+  const times = []
+
+  await Promise.all(
+    Array.from({ length: 4 }, () => limiter.acquire().then(() => times.push(Date.now() - start)))
+  )
+
+  t.ok(times[1] < 15, 'burst is sent immediately')
+  t.ok(times[3] >= 35, 'remaining requests wait for refills')
+
+  const stats = limiter.getStats()
+  t.is(stats.queueLength, 0)
+  t.ok(stats.maxWaitTime >= 35)
+  t.ok(stats.averageWaitTime > 0)
+})
+
+test('RateLimiter - rejects when the queue is full', async (t) => {
+  const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1, maxQueueLength: 1 })
+
+  await limiter.acquire()
+  const queued = limiter.acquire()
+  t.is(limiter.getStats().queueLength, 1)
+
+  await t.exception(limiter.acquire(), WdkIndexerQueueFullError)
+  await queued
+})
+
+test('RateLimiter - pauses on exhausted quota and Retry-After', async (t) => {
+  const limiter = new RateLimiter({ requestsPerSecond: 1000, burst: 10 })
+
+  limiter.update(new Headers({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '0.05' }))
+  t.ok(limiter.getStats().pausedUntil)
+
+  let start = Date.now()
+  await limiter.acquire()
+  t.ok(Date.now() - start >= 40)
+
+  limiter.update(new Headers({ 'Retry-After': '0' }), 429)
+  t.is(limiter.getStats().pausedUntil, null)
+
+  const fixed = new RateLimiter({ requestsPerSecond: 1000, adaptive: false })
+  fixed.update(new Headers({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '10' }))
+  start = Date.now()
+  await fixed.acquire()
+  t.ok(Date.now() - start < 20)
+})
+
+test('WdkIndexerClient - queues requests through the rate limiter', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    return {
+      ok: true,
+      headers: new Headers({ 'X-RateLimit-Remaining': '100' }),
+      json: async () => ({ status: 'ok', timestamp: '2025-01-01T00:00:00.000Z' })
+    }
+  }
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    rateLimit: { requestsPerSecond: 100, burst: 1 }
+  })
+
+  const start = Date.now()
+  await Promise.all([client.health(), client.health(), client.health()])
+
+  t.is(calls, 3)
+  t.ok(Date.now() - start >= 15)
+  t.ok(client.rateLimiter.getStats().maxWaitTime > 0)
+})
+
+test('WdkIndexerClient - has no rate limiter by default', async (t) => {
+  const client = new WdkIndexerClient({ apiKey: 'test-key' })
+  t.is(client.rateLimiter, null)
+})
@@ -0,0 +1,217 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerApiError,
+  WdkIndexerNetworkError,
+  DEFAULT_RETRY_OPTIONS
+} from '../index.js'
+import {
+  resolveRetryOptions,
+  getRetryDelay,
+  parseRetryAfter
+} from '../src/retry.js'
+
+const NO_DELAY = { baseDelay: 0, maxDelay: 1000, jitter: false }
+
+function jsonResponse (status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: new Headers(headers),
+    json: async () => body
+  }
+}
+
+test('resolveRetryOptions - disabled by default', async (t) => {
+  t.is(resolveRetryOptions(undefined).maxAttempts, 1)
+  t.is(resolveRetryOptions(true).maxAttempts, DEFAULT_RETRY_OPTIONS.maxAttempts)
+  t.is(resolveRetryOptions({ maxAttempts: 5 }).maxAttempts, 5)
+  t.exception(() => resolveRetryOptions({ maxAttempts: 0 }), /maxAttempts/)
+})
+
+test('getRetryDelay - exponential backoff capped at maxDelay', async (t) => {
+  const policy = resolveRetryOptions({ baseDelay: 100, maxDelay: 500, jitter: false })
+  const error = new Error('test')
+
+  t.is(getRetryDelay(policy, 1, error), 100)
+  t.is(getRetryDelay(policy, 2, error), 200)
+  t.is(getRetryDelay(policy, 3, error), 400)
+  t.is(getRetryDelay(policy, 4, error), 500)
+})
+
+test('getRetryDelay - jitter stays within the backoff', async (t) => {
+  const policy = resolveRetryOptions({ baseDelay: 100, maxDelay: 500 })
+  for (let i = 0; i < 20; i++) {
+    const delay = getRetryDelay(policy, 2, new Error('test'))
+    t.ok(delay >= 0 && delay <= 200)
+  }
+})
+
+test('getRetryDelay - honours Retry-After', async (t) => {
+  const policy = resolveRetryOptions({ baseDelay: 100, maxDelay: 5000, jitter: false })
+
+  t.is(getRetryDelay(policy, 1, { retryAfter: 2000 }), 2000)
+  t.is(getRetryDelay(policy, 1, { retryAfter: 10000 }), null)
+  t.is(
+    getRetryDelay({ ...policy, respectRetryAfter: false }, 1, { retryAfter: 2000 }),
+    100
+  )
+})
+
+test('parseRetryAfter - parses seconds and HTTP dates', async (t) => {
+  const now = Date.parse('2025-01-01T00:00:00Z')
+
+  t.is(parseRetryAfter('3', now), 3000)
+  t.is(parseRetryAfter('Wed, 01 Jan 2025 00:00:05 GMT', now), 5000)
+  t.is(parseRetryAfter('Tue, 31 Dec 2024 23:59:00 GMT', now), 0)
+  t.is(parseRetryAfter(null, now), undefined)
+  t.is(parseRetryAfter('soon', now), undefined)
+})
+
+test('WdkIndexerClient - does not retry without a retry policy', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    return jsonResponse(503, { error: 'Unavailable', message: 'Down', status: 503 })
+  }
+
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
+
+  try {
+    await client.health()
+    t.fail('Should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerApiError)
+    t.is(error.attempts, 1)
+  }
+  t.is(calls, 1)
+})
+
+test('WdkIndexerClient - retries retryable statuses on GET', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    if (calls < 3) {
+      return jsonResponse(502, { error: 'BadGateway', message: 'Bad gateway', status: 502 })
+    }
+    return jsonResponse(200, { status: 'ok', timestamp: '2025-01-01T00:00:00.000Z' })
+  }
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    retry: NO_DELAY
+  })
+  const result = await client.health()
+
+  t.is(result.status, 'ok')
+  t.is(calls, 3)
+})
+
+test('WdkIndexerClient - reports attempts after exhausting retries', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    throw new Error('Connection refused')
+  }
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    retry: { ...NO_DELAY, maxAttempts: 4 }
+  })
+
+  try {
+    await client.health()
+    t.fail('Should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerNetworkError)
+    t.is(error.attempts, 4)
+  }
+  t.is(calls, 4)
+})
+
+test('WdkIndexerClient - does not retry non-retryable statuses', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    return jsonResponse(400, { error: 'BadRequest', message: 'Invalid', status: 400 })
+  }
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    retry: NO_DELAY
+  })
+
+  await t.exception(client.health(), /Invalid/)
+  t.is(calls, 1)
+})
+
+test('WdkIndexerClient - retries batch POSTs only on opt-in', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    return jsonResponse(503, { error: 'Unavailable', message: 'Down', status: 503 })
+  }
+  const requests = [
+    { blockchain: 'ethereum', token: 'usdt', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7' }
+  ]
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    retry: NO_DELAY
+  })
+  await t.exception(client.getBatchTokenBalances(requests))
+  t.is(calls, 1)
+
+  calls = 0
+  const optedIn = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    retry: { ...NO_DELAY, retryBatch: true }
+  })
+  await t.exception(optedIn.getBatchTokenBalances(requests))
+  t.is(calls, 3)
+})
+
+test('WdkIndexerClient - exposes Retry-After on API errors', async (t) => {
+  const mockFetch = async () =>
+    jsonResponse(
+      429,
+      { error: 'TooManyRequests', message: 'Slow down', status: 429 },
+      { 'Retry-After': '120' }
+    )
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    retry: NO_DELAY
+  })
+
+  try {
+    await client.health()
+    t.fail('Should have thrown')
+  } catch (error) {
+    t.is(error.retryAfter, 120000)
+    // Retry-After exceeds maxDelay, so no retry is attempted
+    t.is(error.attempts, 1)
+  }
+})
@@ -0,0 +1,115 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerError,
+  WdkIndexerSchemaError,
+  validateResponse
+} from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+const TRANSFER = {
+  blockchain: 'ethereum',
+  blockNumber: 19000000,
+  transactionHash: '0xabc',
+  transferIndex: 0,
+  token: 'usdt',
+  amount: '1.5',
+  timestamp: 1700000000,
+  from: null,
+  to: ADDRESS,
+  extra: 'allowed'
+}
+
+function createClient (body, validateResponses) {
+  let calls = 0
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    validateResponses,
+    retry: true,
+    fetch: async () => {
+      calls++
+      return { ok: true, status: 200, headers: new Headers(), json: async () => body }
+    }
+  })
+  return { client, calls: () => calls }
+}
+
+test('validateResponse - reports the path of the offending field', async (t) => {
+  t.is(validateResponse('tokenTransfers', { transfers: [TRANSFER] }).transfers[0], TRANSFER)
+
+  let error
+  try {
+    validateResponse('tokenTransfers', { transfers: [TRANSFER, { ...TRANSFER, amount: 1.5 }] })
+  } catch (err) {
+    error = err
+  }
+  t.ok(error instanceof WdkIndexerSchemaError)
+  t.is(error.path, '$.transfers[1].amount')
+  t.is(error.expected, 'string')
+  t.is(error.received, 'number')
+  t.is(error.message, 'Invalid response at $.transfers[1].amount: expected string, received number')
+
+  t.exception(
+    () => validateResponse('tokenBalance', { tokenBalance: { blockchain: 'tron', token: 'usdt' } }),
+    /\$\.tokenBalance\.amount: expected string, received undefined/
+  )
+  t.exception(
+    () => validateResponse('tokenTransfers', { transfers: [{ ...TRANSFER, to: 42 }] }),
+    /\$\.transfers\[0\]\.to: expected string or null, received number/
+  )
+  t.exception(() => validateResponse('health', { status: 'ok', timestamp: '2025-01-01T00:00:00Z', uptime: 1 }), /\$\.uptime/)
+})
+
+test('validateResponse - lenient mode only checks required fields', async (t) => {
+  const transfer = { ...TRANSFER, to: 42, logIndex: 'x' }
+  t.execution(() => validateResponse('tokenTransfers', { transfers: [transfer], cursor: 'next' }, 'lenient'))
+  t.exception(
+    () => validateResponse('tokenTransfers', { transfers: [{ ...transfer, timestamp: '1700000000' }] }, 'lenient'),
+    /\$\.transfers\[0\]\.timestamp/
+  )
+})
+
+test('validateResponse - batch items are checked against the success or error shape', async (t) => {
+  t.execution(() => validateResponse('batchTokenBalances', [
+    { tokenBalance: { blockchain: 'tron', token: 'usdt', amount: '1' } },
+    { error: 'NotFound', message: 'Not found', status: 404 }
+  ]))
+  t.exception(
+    () => validateResponse('batchTokenBalances', [{ error: 'NotFound', message: 'Not found' }]),
+    /\$\[0\]\.status: expected number, received undefined/
+  )
+  t.exception(() => validateResponse('batchTokenTransfers', { transfers: [] }), /\$: expected array, received object/)
+})
+
+test('WdkIndexerClient - validateResponses checks responses without retrying', async (t) => {
+  const { client, calls } = createClient({ transfers: [{ ...TRANSFER, timestamp: null }] }, 'strict')
+  await t.exception(client.getTokenTransfers('ethereum', 'usdt', ADDRESS), WdkIndexerSchemaError)
+  t.is(calls(), 1)
+
+  const lenient = createClient({ tokenBalance: { blockchain: 'ethereum', token: 'usdt', amount: '1', usd: 1 } }, 'lenient')
+  t.is((await lenient.client.getTokenBalance('ethereum', 'usdt', ADDRESS)).tokenBalance.amount, '1')
+
+  const strict = createClient({ tokenBalance: { blockchain: 'ethereum', token: 'usdt', amount: '1', usd: 1 } }, true)
+  await t.exception(strict.client.getTokenBalance('ethereum', 'usdt', ADDRESS), /\$\.tokenBalance\.usd/)
+
+  const disabled = createClient({ status: 1 })
+  t.alike(await disabled.client.health(), { status: 1 }, 'disabled by default')
+
+  t.exception(() => new WdkIndexerClient({ apiKey: 'test-key', validateResponses: 'loose' }), WdkIndexerError)
+})
@@ -0,0 +1,163 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  METRIC_NAMES,
+  getRouteTemplate,
+  createOpenTelemetryMetricsSink
+} from '../index.js'
+import { FakeIndexer } from '../testing.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const BALANCE_ROUTE = '/api/v1/:blockchain/:token/:address/token-balances'
+
+function createSink () {
+  const records = []
+  return {
+    records,
+    counter: (name, value, attributes) => records.push({ type: 'counter', name, value, attributes }),
+    histogram: (name, value, attributes) => records.push({ type: 'histogram', name, value, attributes })
+  }
+}
+
+function createTracer () {
+  const spans = []
+  return {
+    spans,
+    startSpan (name, options) {
+      const span = {
+        name,
+        options,
+        attributes: {},
+        events: [],
+        exceptions: [],
+        status: null,
+        ended: false,
+        setAttribute (key, value) { span.attributes[key] = value },
+        addEvent (name, attributes) { span.events.push({ name, attributes }) },
+        recordException (error) { span.exceptions.push(error) },
+        setStatus (status) { span.status = status },
+        end () { span.ended = true }
+      }
+      spans.push(span)
+      return span
+    }
+  }
+}
+
+test('getRouteTemplate - templates address routes', (t) => {
+  t.is(getRouteTemplate(`/api/v1/ethereum/usdt/${ADDRESS}/token-balances`), BALANCE_ROUTE)
+  t.is(getRouteTemplate('/api/v1/tron/usdt/T123/token-transfers'), '/api/v1/:blockchain/:token/:address/token-transfers')
+  t.is(getRouteTemplate('/api/v1/batch/token-balances'), '/api/v1/batch/token-balances')
+  t.is(getRouteTemplate('/api/v1/health'), '/api/v1/health')
+  t.is(getRouteTemplate(`/api/v2/${ADDRESS}`), 'unknown', 'unknown paths are not recorded raw')
+})
+
+test('Metrics - records requests, durations, errors and retries per route', async (t) => {
+  const indexer = new FakeIndexer()
+  const sink = createSink()
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: indexer.fetch,
+    metrics: sink,
+    retry: { maxAttempts: 2, baseDelay: 1, jitter: false }
+  })
+
+  await client.getTokenBalance('ethereum', 'usdt', ADDRESS)
+  t.alike(sink.records.map(({ type, name }) => [type, name]), [
+    ['counter', METRIC_NAMES.requests],
+    ['histogram', METRIC_NAMES.duration]
+  ])
+  t.alike(sink.records[0].attributes, { 'http.request.method': 'GET', 'http.route': BALANCE_ROUTE })
+  t.ok(sink.records[1].value >= 0)
+
+  sink.records.length = 0
+  indexer.injectError({ status: 503, times: 2 })
+  await t.exception(client.getTokenBalance('ethereum', 'usdt', ADDRESS))
+
+  const failure = {
+    'http.request.method': 'GET',
+    'http.route': BALANCE_ROUTE,
+    'error.type': 'WdkIndexerServerError',
+    'http.response.status_code': 503
+  }
+  t.alike(sink.records.map(({ name, attributes }) => [name, attributes]), [
+    [METRIC_NAMES.retries, { 'http.request.method': 'GET', 'http.route': BALANCE_ROUTE, 'error.type': 'WdkIndexerServerError' }],
+    [METRIC_NAMES.requests, failure],
+    [METRIC_NAMES.duration, failure],
+    [METRIC_NAMES.errors, failure]
+  ])
+  t.absent(JSON.stringify(sink.records).includes(ADDRESS), 'no raw addresses')
+})
+
+test('Tracing - creates a span per call with OpenTelemetry attributes', async (t) => {
+  const indexer = new FakeIndexer()
+  const tracer = createTracer()
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: indexer.fetch,
+    tracer,
+    retry: { maxAttempts: 2, baseDelay: 1, jitter: false }
+  })
+
+  await client.getBatchTokenBalances([{ blockchain: 'ethereum', token: 'usdt', address: ADDRESS }])
+  const [batch] = tracer.spans
+  t.is(batch.name, 'POST /api/v1/batch/token-balances')
+  t.alike(batch.options, {
+    kind: 2,
+    attributes: { 'http.request.method': 'POST', 'http.route': '/api/v1/batch/token-balances' }
+  })
+  t.ok(batch.ended)
+  t.is(batch.status, null, 'status left unset on success')
+
+  indexer.injectError({ timeout: true, times: 2 })
+  await t.exception(client.health({ timeout: 20 }))
+  const [, health] = tracer.spans
+  t.is(health.name, 'GET /api/v1/health')
+  t.alike(health.attributes, { 'http.request.resend_count': 1, 'error.type': 'WdkIndexerTimeoutError' })
+  t.alike(health.events, [{ name: 'retry', attributes: { 'error.type': 'WdkIndexerTimeoutError' } }])
+  t.is(health.exceptions[0].name, 'WdkIndexerTimeoutError')
+  t.is(health.status.code, 2)
+  t.ok(health.ended)
+})
+
+test('createOpenTelemetryMetricsSink - records to meter instruments created once', (t) => {
+  const created = []
+  const values = []
+  const meter = {
+    createCounter (name, options) {
+      created.push({ name, unit: options.unit })
+      return { add: (value, attributes) => values.push(['add', name, value, attributes]) }
+    },
+    createHistogram (name, options) {
+      created.push({ name, unit: options.unit })
+      return { record: (value, attributes) => values.push(['record', name, value, attributes]) }
+    }
+  }
+
+  const sink = createOpenTelemetryMetricsSink(meter)
+  sink.counter(METRIC_NAMES.requests, 1, { 'http.route': '/api/v1/health' })
+  sink.counter(METRIC_NAMES.requests, 1, { 'http.route': '/api/v1/health' })
+  sink.histogram(METRIC_NAMES.duration, 12, { 'http.route': '/api/v1/health' })
+
+  t.alike(created, [
+    { name: METRIC_NAMES.requests, unit: '{request}' },
+    { name: METRIC_NAMES.duration, unit: 'ms' }
+  ])
+  t.is(values.length, 3)
+  t.alike(values[2], ['record', METRIC_NAMES.duration, 12, { 'http.route': '/api/v1/health' }])
+})
@@ -0,0 +1,116 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerError,
+  WdkIndexerAuthError,
+  WdkIndexerRateLimitError,
+  WdkIndexerServerError,
+  WdkIndexerTimeoutError,
+  WdkIndexerNetworkError
+} from '../index.js'
+import { FakeIndexer } from '../testing.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const OTHER = '0x742d35CC6634c0532925A3b844BC9e7595f5Ab12'
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+
+function createIndexer () {
+  return new FakeIndexer({
+    apiKey: 'test-key',
+    balances: [
+      { blockchain: 'ethereum', token: 'usdt', address: ADDRESS, amount: '12.5' },
+      { blockchain: 'tron', token: 'usdt', address: TRON_ADDRESS, amount: '3' }
+    ],
+    transfers: [
+      { blockchain: 'ethereum', token: 'usdt', from: OTHER, to: ADDRESS.toLowerCase(), amount: '10', timestamp: 100 },
+      { blockchain: 'ethereum', token: 'usdt', from: ADDRESS, to: OTHER, amount: '2.5', timestamp: 200 },
+      { blockchain: 'ethereum', token: 'xaut', from: OTHER, to: ADDRESS, amount: '1', timestamp: 300 }
+    ]
+  })
+}
+
+test('FakeIndexer - serves the routes from fixtures as a fetch replacement', async (t) => {
+  const indexer = createIndexer()
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: indexer.fetch, validateResponses: 'strict' })
+
+  t.is((await client.health()).status, 'ok')
+  t.is((await client.getTokenBalance('ethereum', 'usdt', ADDRESS)).tokenBalance.amount, '12.5')
+  t.is((await client.getTokenBalance('polygon', 'usdt', ADDRESS)).tokenBalance.amount, '0', 'zero without a fixture')
+
+  const { transfers } = await client.getTokenTransfers('ethereum', 'usdt', ADDRESS, { fromTs: 150 })
+  t.alike(transfers.map(({ amount }) => amount), ['2.5'])
+  t.is(transfers[0].transferIndex, 0)
+
+  const [balance, transfersResult] = await Promise.all([
+    client.getBatchTokenBalances([{ blockchain: 'tron', token: 'usdt', address: TRON_ADDRESS }]),
+    client.getBatchTokenTransfers([{ blockchain: 'ethereum', token: 'usdt', address: OTHER }])
+  ])
+  t.is(balance[0].tokenBalance.amount, '3')
+  t.alike(transfersResult[0].transfers.map(({ timestamp }) => timestamp), [200, 100], 'newest first')
+
+  t.is(indexer.requests.length, 6)
+  t.alike(indexer.requests[5].body, [{ blockchain: 'ethereum', token: 'usdt', address: OTHER }])
+
+  const wrongKey = new WdkIndexerClient({ apiKey: 'other-key', fetch: indexer.fetch })
+  await t.exception(wrongKey.health(), WdkIndexerAuthError)
+})
+
+test('FakeIndexer - injects status errors, timeouts and malformed bodies', async (t) => {
+  const indexer = createIndexer()
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: indexer.fetch,
+    timeout: 50,
+    retry: { baseDelay: 1, jitter: false }
+  })
+
+  indexer.injectError({ status: 503, times: 2 })
+  t.is((await client.health()).status, 'ok', 'retried past two 503s')
+
+  indexer.injectError({ status: 429, retryAfter: 0, times: Infinity, route: 'tokenBalance' })
+  await t.exception(client.getTokenBalance('ethereum', 'usdt', ADDRESS), WdkIndexerRateLimitError)
+  t.is((await client.health()).status, 'ok', 'other routes are not affected')
+  indexer.reset()
+
+  indexer.injectError({ body: '<html>Bad Gateway</html>' })
+  await t.exception(client.getBatchTokenBalances([{ blockchain: 'ethereum', token: 'usdt', address: ADDRESS }]), WdkIndexerServerError)
+
+  indexer.injectError({ malformed: true })
+  await t.exception(client.getTokenTransfers('ethereum', 'usdt', ADDRESS), /expected a JSON body/)
+
+  indexer.injectError({ timeout: true, times: 3 })
+  await t.exception(client.health(), WdkIndexerTimeoutError)
+
+  t.exception(() => indexer.injectError({ route: 'health' }), WdkIndexerError)
+})
+
+test('FakeIndexer - serves over HTTP', async (t) => {
+  const indexer = createIndexer()
+  const baseUrl = await indexer.listen()
+  t.teardown(() => indexer.close())
+
+  const client = new WdkIndexerClient({ apiKey: 'test-key', baseUrl, timeout: 1000 })
+
+  t.is((await client.getTokenBalance('ethereum', 'usdt', ADDRESS)).tokenBalance.amount, '12.5')
+  const [result] = await client.getBatchTokenTransfers([{ blockchain: 'ethereum', token: 'usdt', address: ADDRESS, limit: 1 }])
+  t.is(result.transfers[0].amount, '2.5')
+  t.is(indexer.requests[1].headers['x-api-key'], 'test-key')
+
+  await indexer.close()
+  await t.exception(client.health(), WdkIndexerNetworkError, 'closed')
+})
@@ -0,0 +1,189 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerError,
+  getTransferId,
+  dedupeTransfers,
+  compareTransfers,
+  sortTransfers,
+  mergeTransfers,
+  mergeTransferStreams
+} from '../index.js'
+
+function transfer (blockchain, blockNumber, transactionIndex, logIndex, extra) {
+  return {
+    blockchain,
+    blockNumber,
+    transactionHash: `0xAB${blockNumber}${transactionIndex}`,
+    transferIndex: 0,
+    transactionIndex,
+    logIndex,
+    token: 'usdt',
+    amount: '1',
+    timestamp: blockNumber,
+    ...extra
+  }
+}
+
+test('getTransferId - identifies transfers across queries', (t) => {
+  const a = transfer('ethereum', 10, 1, 4)
+  t.is(getTransferId(a), 'ethereum:0xab101:0:4')
+  t.is(getTransferId({ ...a, transactionHash: '0xab101' }), getTransferId(a), 'hex hashes ignore case')
+  t.not(getTransferId({ ...a, blockchain: 'polygon' }), getTransferId(a))
+  t.not(getTransferId({ ...a, transferIndex: 1 }), getTransferId(a))
+  t.is(getTransferId({ ...a, blockchain: 'ton', transactionHash: 'AbC+/=', logIndex: null }), 'ton:AbC+/=:0:')
+})
+
+test('dedupeTransfers - keeps the first or last copy in place', (t) => {
+  const a = transfer('tron', 1, 0, 0)
+  const b = transfer('tron', 2, 0, 0)
+  const reorged = { ...a, blockNumber: 3, label: 'reorged' }
+
+  t.alike(dedupeTransfers([a, b, reorged]), [a, b])
+  t.alike(dedupeTransfers([a, b, reorged], { keep: 'last' }), [reorged, b])
+  t.exception(() => dedupeTransfers([a], { keep: 'any' }), WdkIndexerError)
+})
+
+test('sortTransfers - stable chain order', (t) => {
+  const first = transfer('ethereum', 5, 0, 1)
+  const second = transfer('ethereum', 5, 0, 2)
+  const tie = { ...second, transactionHash: '0xother' }
+  const noIndex = transfer('ethereum', 5, null, null)
+  const later = transfer('ethereum', 6, 0, 0)
+  const tron = transfer('tron', 1, 0, 0)
+
+  const input = [tron, later, second, noIndex, tie, first]
+  t.alike(sortTransfers(input), [first, second, tie, noIndex, later, tron])
+  t.alike(sortTransfers(input, { order: 'desc' }), [tron, later, noIndex, second, tie, first], 'ties keep input order')
+  t.alike(input[0], tron, 'input is not changed')
+  t.is(compareTransfers(second, tie), 0)
+  t.exception(() => sortTransfers(input, { order: 'newest' }), WdkIndexerError)
+})
+
+test('mergeTransfers - dedupes and sorts overlapping results', (t) => {
+  const a = transfer('ethereum', 1, 0, 0)
+  const b = transfer('ethereum', 2, 0, 0)
+  const c = transfer('ethereum', 3, 0, 0)
+
+  // Newest first, as returned by the API
+  const single = [c, b]
+  const batch = [b, a]
+  t.alike(mergeTransfers([single, batch]), [a, b, c])
+  t.alike(mergeTransfers([single, batch], { order: 'desc' }), [c, b, a])
+})
+
+test('mergeTransferStreams - merges sorted sync and async streams', async (t) => {
+  const a = transfer('ethereum', 1, 0, 0)
+  const b = transfer('ethereum', 2, 0, 0)
+  const c = transfer('ethereum', 3, 0, 0)
+  const d = transfer('tron', 1, 0, 0)
+
+  async function * live () {
+    yield b
+    yield { ...c }
+    yield d
+  }
+
+  const merged = []
+  for await (const item of mergeTransferStreams([[a, c], live()])) {
+    merged.push(item)
+  }
+  t.alike(merged, [a, b, c, d])
+  t.is(merged[2], c, 'the earlier stream wins ties')
+
+  let closed = false
+  async function * endless () {
+    try {
+      for (let block = 10; ; block++) {
+        yield transfer('ethereum', block, 0, 0)
+      }
+    } finally {
+      closed = true
+    }
+  }
+
+  const first = []
+  for await (const item of mergeTransferStreams([endless(), [a]], { order: 'asc' })) {
+    first.push(item)
+    if (first.length === 2) {
+      break
+    }
+  }
+  t.alike(first.map(({ blockNumber }) => blockNumber), [1, 10])
+  t.ok(closed, 'open streams are closed')
+})
+
+test('mergeTransferStreams - closes the other streams when one fails to start', async (t) => {
+  let closed = false
+  async function * endless () {
+    try {
+      for (let block = 1; ; block++) {
+        yield transfer('ethereum', block, 0, 0)
+      }
+    } finally {
+      closed = true
+    }
+  }
+  async function * failing () {
+    throw new Error('unavailable')
+  }
+
+  await t.exception(async () => {
+    for await (const item of mergeTransferStreams([endless(), failing()])) {
+      t.fail(`unexpected transfer ${item.blockNumber}`)
+    }
+  }, /unavailable/)
+  t.ok(closed, 'the started stream is closed')
+})
+
+test('mergeTransferStreams - drops repeats of transfers sharing a position', async (t) => {
+  const a = transfer('ethereum', 1, 0, 0)
+  const b = transfer('ethereum', 1, 0, 0, { transferIndex: 1 })
+  const c = transfer('ethereum', 2, 0, 0)
+
+  const merged = []
+  for await (const item of mergeTransferStreams([[a, b, c], [{ ...b }, { ...a }, { ...c }]])) {
+    merged.push(item)
+  }
+  t.alike(merged, [a, b, c])
+  t.is(merged[1], b)
+})
+
+test('mergeTransferStreams - drops repeats moved to another block by a reorg', async (t) => {
+  const a = transfer('ethereum', 100, 0, 0)
+  const reorged = { ...a, blockNumber: 101 }
+  const b = transfer('ethereum', 102, 0, 0)
+
+  const merged = []
+  for await (const item of mergeTransferStreams([[a, b], [reorged]])) {
+    merged.push(item)
+  }
+  t.alike(merged, [a, b])
+  t.alike(mergeTransfers([[a, b], [reorged]]), merged, 'same result as mergeTransfers')
+
+  const windowed = []
+  for await (const item of mergeTransferStreams([[a, b], [{ ...a, blockNumber: 103 }]], { dedupeWindow: 1 })) {
+    windowed.push(item)
+  }
+  t.is(windowed.length, 3, 'repeats beyond the window are kept')
+
+  await t.exception(async () => {
+    for await (const item of mergeTransferStreams([[a]], { dedupeWindow: 0 })) {
+      t.fail(`unexpected transfer ${item.blockNumber}`)
+    }
+  }, WdkIndexerError)
+})
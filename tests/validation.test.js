@@ -0,0 +1,201 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerError,
+  WdkIndexerValidationError,
+  SUPPORTED_TOKENS,
+  BLOCKCHAINS,
+  TOKENS,
+  validateAddress,
+  validateToken,
+  validateBlockchain,
+  isValidAddress
+} from '../index.js'
+import { keccak256, sha256 } from '../src/crypto.js'
+import { asciiToBytes, bytesToHex } from '../src/encoding.js'
+
+const VALID_ADDRESSES = {
+  ethereum: [
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+    '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb',
+    '0xd1220a0cf47c7b9be7a2e6ba89f429762e7b9adb',
+    '0xD1220A0CF47C7B9BE7A2E6BA89F429762E7B9ADB'
+  ],
+  tron: ['TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', 'TN3W4H6rK2ce4vX9YnFQHwKENnHjoxb3m9'],
+  ton: [
+    '0:83dfd552e63729b472fcbcc8c45ebcc6691702558b68ec7527e1ba403a0f31a8',
+    '-1:3333333333333333333333333333333333333333333333333333333333333333',
+    'EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2N',
+    'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs'
+  ],
+  bitcoin: [
+    '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+    '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy',
+    'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+    'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4',
+    'bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3',
+    'bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297'
+  ],
+  spark: ['sp1pgss9yh5wwqfukte5ldzkl6jwudn483awyzaev8jft3n83dly7dcv0tnpxsjg7']
+}
+
+const INVALID_ADDRESSES = {
+  ethereum: [
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD',
+    '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beae',
+    '5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+  ],
+  tron: [
+    'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6T',
+    '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+    '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+  ],
+  ton: [
+    '0:83dfd552e63729b472fcbcc8c45ebcc6691702558b68ec7527e1ba403a0f31a',
+    'EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2n',
+    'EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2'
+  ],
+  bitcoin: [
+    '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb',
+    'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx',
+    'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5',
+    'bc1QW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+    // Taproot program encoded with bech32 instead of bech32m
+    'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd'
+  ],
+  spark: [
+    'sp1pgss9yh5wwqfukte5ldzkl6jwudn483awyzaev8jft3n83dly7dcv0tnpxsjg8',
+    'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'
+  ]
+}
+
+test('sha256 and keccak256 - known digests', async (t) => {
+  t.is(
+    bytesToHex(sha256(asciiToBytes('abc'))),
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  )
+  t.is(
+    bytesToHex(keccak256(new Uint8Array(0))),
+    'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+  )
+})
+
+test('SUPPORTED_TOKENS - covers every blockchain with known tokens', async (t) => {
+  t.alike(Object.keys(SUPPORTED_TOKENS).sort(), [...BLOCKCHAINS].sort())
+  for (const tokens of Object.values(SUPPORTED_TOKENS)) {
+    t.ok(tokens.every((token) => TOKENS.includes(token)))
+  }
+})
+
+test('validateAddress - accepts valid addresses', async (t) => {
+  for (const [blockchain, addresses] of Object.entries(VALID_ADDRESSES)) {
+    for (const address of addresses) {
+      t.execution(() => validateAddress(blockchain, address), `${blockchain} ${address}`)
+    }
+  }
+  t.ok(isValidAddress('polygon', VALID_ADDRESSES.ethereum[0]))
+})
+
+test('validateAddress - rejects invalid addresses', async (t) => {
+  for (const [blockchain, addresses] of Object.entries(INVALID_ADDRESSES)) {
+    for (const address of addresses) {
+      t.absent(isValidAddress(blockchain, address), `${blockchain} ${address}`)
+    }
+  }
+  t.absent(isValidAddress('ethereum', ''))
+  t.absent(isValidAddress('ethereum', undefined))
+})
+
+test('validateAddress - reports the checksum failure', async (t) => {
+  try {
+    validateAddress('ethereum', INVALID_ADDRESSES.ethereum[0])
+    t.fail('Should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerValidationError)
+    t.ok(error instanceof WdkIndexerError)
+    t.is(error.name, 'WdkIndexerValidationError')
+    t.is(error.field, 'address')
+    t.ok(error.message.includes('EIP-55'))
+  }
+})
+
+test('validateBlockchain and validateToken - name the failing field', async (t) => {
+  t.exception(() => validateBlockchain('etherium'), /Unsupported blockchain "etherium"/)
+  t.execution(() => validateToken('ethereum', 'xaut'))
+
+  try {
+    validateToken('bitcoin', 'usdt')
+    t.fail('Should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerValidationError)
+    t.is(error.field, 'token')
+  }
+})
+
+test('WdkIndexerClient - validates before any network call', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    return { ok: true, json: async () => ({}) }
+  }
+
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: mockFetch })
+
+  await t.exception(
+    client.getTokenBalance('etherium', 'usdt', VALID_ADDRESSES.ethereum[0]),
+    /Unsupported blockchain/
+  )
+  await t.exception(
+    client.getTokenTransfers('ethereum', 'usdt', VALID_ADDRESSES.tron[0]),
+    /Invalid ethereum address/
+  )
+
+  try {
+    await client.getBatchTokenBalances([
+      { blockchain: 'tron', token: 'usdt', address: VALID_ADDRESSES.tron[0] },
+      { blockchain: 'bitcoin', token: 'usdt', address: VALID_ADDRESSES.bitcoin[0] }
+    ])
+    t.fail('Should have thrown')
+  } catch (error) {
+    t.ok(error instanceof WdkIndexerValidationError)
+    t.is(error.field, 'requests[1].token')
+  }
+
+  await t.exception(client.getBatchTokenTransfers('nope'), /must be an array/)
+  t.is(calls, 0)
+})
+
+test('WdkIndexerClient - validation can be disabled', async (t) => {
+  let calls = 0
+  const mockFetch = async () => {
+    calls++
+    return { ok: true, json: async () => ({ tokenBalance: {} }) }
+  }
+
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: mockFetch,
+    validate: false
+  })
+
+  await client.getTokenBalance('ethereum', 'usdt', 'not-an-address')
+  t.is(calls, 1)
+})
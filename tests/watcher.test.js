@@ -0,0 +1,193 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+import test from 'brittle'
+import {
+  WdkIndexerClient,
+  WdkIndexerApiError,
+  WdkIndexerValidationError
+} from '../index.js'
+
+const ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t'
+
+function transfer (hash, timestamp, address = ADDRESS) {
+  return {
+    blockchain: 'ethereum',
+    token: 'usdt',
+    transactionHash: hash,
+    transferIndex: 0,
+    amount: '1',
+    timestamp,
+    from: '0x0000000000000000000000000000000000000001',
+    to: address
+  }
+}
+
+function response (body, status = 200) {
+  return {
+    ok: status < 400,
+    status,
+    statusText: 'OK',
+    headers: new Headers(),
+    json: async () => body
+  }
+}
+
+// Serves the transfers of `history` at or after `fromTs`, newest first
+function createTransfersFetch (history, calls) {
+  return async (url, options) => {
+    const { searchParams, pathname } = new URL(url)
+    calls.push({ pathname, fromTs: Number(searchParams.get('fromTs')), body: options.body })
+    const fromTs = Number(searchParams.get('fromTs') ?? 0)
+    const transfers = history
+      .filter((item) => item.timestamp >= fromTs)
+      .sort((a, b) => b.timestamp - a.timestamp)
+    return response({ transfers })
+  }
+}
+
+function waitFor (emitter, event, count = 1) {
+  return new Promise((resolve) => {
+    const values = []
+    emitter.on(event, function listener (value) {
+      values.push(value)
+      if (values.length === count) {
+        emitter.off(event, listener)
+        resolve(values)
+      }
+    })
+  })
+}
+
+test('watchTransfers - emits only new transfers, oldest first', async (t) => {
+  const calls = []
+  const history = [transfer('0xa', 100), transfer('0xb', 200)]
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createTransfersFetch(history, calls) })
+
+  const watcher = client.watchTransfers({
+    blockchain: 'ethereum',
+    token: 'usdt',
+    address: ADDRESS,
+    interval: 10,
+    fromTs: 150
+  })
+  t.teardown(() => watcher.stop())
+
+  const [first] = await waitFor(watcher, 'transfer')
+  t.is(first.transactionHash, '0xb', 'transfers before fromTs are skipped')
+
+  history.push(transfer('0xd', 300), transfer('0xc', 200))
+  const next = await waitFor(watcher, 'transfer', 2)
+  t.alike(next.map((item) => item.transactionHash), ['0xc', '0xd'])
+
+  t.is(calls[0].fromTs, 150)
+  t.is(calls[1].fromTs, 200, 'the cursor moves to the newest timestamp')
+  t.alike(watcher.getCheckpoint()[`ethereum:usdt:${ADDRESS}`], { fromTs: 300, seen: ['ethereum:0xd:0:'] })
+})
+
+test('watchTransfers - resumes from a checkpoint without re-emitting', async (t) => {
+  const calls = []
+  const history = [transfer('0xa', 100), transfer('0xb', 200), transfer('0xc', 200)]
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createTransfersFetch(history, calls) })
+
+  const watcher = client.watchTransfers({
+    blockchain: 'ethereum',
+    token: 'usdt',
+    address: ADDRESS,
+    interval: 10,
+    checkpoint: { [`ethereum:usdt:${ADDRESS}`]: { fromTs: 200, seen: ['ethereum:0xb:0:'] } }
+  })
+  t.teardown(() => watcher.stop())
+
+  const emitted = []
+  watcher.on('transfer', (item) => emitted.push(item.transactionHash))
+  const [checkpoint] = await waitFor(watcher, 'checkpoint')
+
+  t.alike(emitted, ['0xc'])
+  t.alike(checkpoint[`ethereum:usdt:${ADDRESS}`].seen, ['ethereum:0xb:0:', 'ethereum:0xc:0:'])
+})
+
+test('watchTransfers - polls many addresses through the batch endpoint', async (t) => {
+  const calls = []
+  const client = new WdkIndexerClient({
+    apiKey: 'test-key',
+    fetch: async (url, options) => {
+      calls.push(url)
+      const items = JSON.parse(options.body)
+      return response(items.map((item) =>
+        item.blockchain === 'tron'
+          ? { error: 'NotFound', message: 'Unknown address', status: 404 }
+          : { transfers: [transfer('0xa', 100, item.address)] }
+      ))
+    }
+  })
+
+  const watcher = client.watchTransfers({
+    addresses: [
+      { blockchain: 'ethereum', token: 'usdt', address: ADDRESS },
+      { blockchain: 'tron', token: 'usdt', address: TRON_ADDRESS }
+    ],
+    interval: 10,
+    fromTs: 0
+  })
+  t.teardown(() => watcher.stop())
+
+  const errors = waitFor(watcher, 'error')
+  const [[item, target]] = await new Promise((resolve) =>
+    watcher.once('transfer', (...args) => resolve([args]))
+  )
+
+  t.is(item.transactionHash, '0xa')
+  t.alike(target, { blockchain: 'ethereum', token: 'usdt', address: ADDRESS })
+  t.ok(calls[0].endsWith('/api/v1/batch/token-transfers'))
+
+  const [error] = await errors
+  t.ok(error instanceof WdkIndexerApiError, 'per-address errors are emitted')
+})
+
+test('watchTransfers - can be consumed as an async iterator', async (t) => {
+  const history = [transfer('0xa', 100), transfer('0xb', 200)]
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: createTransfersFetch(history, []) })
+
+  const watcher = client.watchTransfers({
+    blockchain: 'ethereum',
+    token: 'usdt',
+    address: ADDRESS,
+    interval: 10,
+    fromTs: 0
+  })
+
+  const hashes = []
+  for await (const { transfer, target } of watcher) {
+    t.is(target.address, ADDRESS)
+    hashes.push(transfer.transactionHash)
+    if (hashes.length === 2) {
+      break
+    }
+  }
+
+  t.alike(hashes, ['0xa', '0xb'])
+  t.absent(watcher.running, 'leaving the loop stops the watcher')
+})
+
+test('watchTransfers - validates the addresses up front', async (t) => {
+  const client = new WdkIndexerClient({ apiKey: 'test-key', fetch: async () => response({ transfers: [] }) })
+
+  t.exception(
+    () => client.watchTransfers({ blockchain: 'ethereum', token: 'usdt', address: '0x1234' }),
+    WdkIndexerValidationError
+  )
+})
@@ -33,6 +33,14 @@ export const BLOCKCHAINS: readonly Blockchain[];
 /** Supported tokens array */
 export const TOKENS: readonly Token[];
 
+/** Tokens supported on each blockchain */
+export const SUPPORTED_TOKENS: Readonly<Record<Blockchain, readonly Token[]>>;
+
+/** Decimals of each token, per blockchain */
+export const TOKEN_DECIMALS: Readonly<
+  Record<Blockchain, Readonly<Partial<Record<Token, number>>>>
+>;
+
 /** Health check response */
 export interface HealthResponse {
   status: string;
@@ -65,10 +73,109 @@ export interface TokenTransfer {
   to?: string | null;
   /** A label associated with the transfer, if any */
   label?: string;
+  /** The token's decimals (only with `normalizeAmounts`) */
+  decimals?: number;
+  /** The amount in base units (only with `normalizeAmounts`) */
+  amountBaseUnits?: bigint;
+  /** Direction relative to the queried address (only with `enrichTransfers`) */
+  direction?: TransferDirection;
+  /** The other side of the transfer, null for mints and burns (only with `enrichTransfers`) */
+  counterparty?: string | null;
+  /** The change to the queried address's balance (only with `enrichTransfers`) */
+  signedAmount?: string;
+  /** `signedAmount` in base units (only with `enrichTransfers` and `normalizeAmounts`) */
+  signedAmountBaseUnits?: bigint;
   /** Additional properties */
   [key: string]: unknown;
 }
 
+/** Direction of a transfer relative to an address */
+export type TransferDirection = "incoming" | "outgoing" | "self" | "unrelated";
+
+/** Classification of a transfer relative to an address */
+export interface TransferClassification {
+  direction: TransferDirection;
+  /** The sender of incoming and the recipient of outgoing transfers, null for mints and burns */
+  counterparty: string | null;
+  /** The change to the address's balance: positive for incoming, negative for outgoing, else zero */
+  signedAmount: string;
+  /** `signedAmount` in base units, when the transfer has `amountBaseUnits` */
+  signedAmountBaseUnits?: bigint;
+}
+
+/**
+ * Bring an address to a canonical form, to compare addresses of a chain.
+ * EVM addresses are lowercased, Tron addresses become `41`-prefixed hex,
+ * TON addresses become raw `workchain:hex` and bech32 addresses lowercase.
+ * @returns The canonical address, or null for a missing one
+ */
+export function normalizeAddress(
+  blockchain: Blockchain,
+  address: string | null | undefined
+): string | null;
+
+/** Check whether two addresses are the same account on a chain */
+export function isSameAddress(
+  blockchain: Blockchain,
+  a: string | null | undefined,
+  b: string | null | undefined
+): boolean;
+
+/** Classify a transfer relative to an address */
+export function classifyTransfer(
+  transfer: TokenTransfer,
+  address: string
+): TransferClassification;
+
+/** Chain order of transfers: `asc` for oldest first, `desc` for newest first */
+export type TransferOrder = "asc" | "desc";
+
+/** Get the canonical identity of a transfer: blockchain, transaction hash, transfer index and log index */
+export function getTransferId(transfer: TokenTransfer): string;
+
+/** Drop repeated transfers, keeping their original order */
+export function dedupeTransfers<T extends TokenTransfer>(
+  transfers: Iterable<T>,
+  options?: {
+    /** Which copy of a transfer to keep, at the position of the first copy (default: "first") */
+    keep?: "first" | "last";
+  }
+): T[];
+
+/** Compare two transfers by blockchain, block number, transaction index and log index */
+export function compareTransfers(a: TokenTransfer, b: TokenTransfer): number;
+
+/** Stable sort of transfers by chain order */
+export function sortTransfers<T extends TokenTransfer>(
+  transfers: Iterable<T>,
+  options?: { order?: TransferOrder }
+): T[];
+
+/** Deduplicate and sort the results of several queries into one history */
+export function mergeTransfers<T extends TokenTransfer>(
+  lists: Iterable<T>[],
+  options?: {
+    /** Order of the result (default: "asc") */
+    order?: TransferOrder;
+    /** Which copy of a repeated transfer to keep (default: "first") */
+    keep?: "first" | "last";
+  }
+): T[];
+
+/** Default number of merged transfers `mergeTransferStreams` checks repeats against */
+export const DEFAULT_MERGE_DEDUPE_WINDOW: number;
+
+/** Merge several streams, each sorted in `order`, into one without duplicates */
+export function mergeTransferStreams<T extends TokenTransfer>(
+  streams: Array<Iterable<T> | AsyncIterable<T>>,
+  options?: {
+    /** Order of the streams and of the result (default: "asc") */
+    order?: TransferOrder;
+    /** How many of the last merged transfers repeats are checked against, `Infinity` for all (default: 10000) */
+    dedupeWindow?: number;
+  }
+): AsyncGenerator<T>;
+
 /** Response for token transfers */
 export interface TokenTransfersResponse {
   /** The token transfer history */
@@ -83,6 +190,10 @@ export interface TokenBalance {
   token: string;
   /** The amount of tokens */
   amount: string;
+  /** The token's decimals (only with `normalizeAmounts`) */
+  decimals?: number;
+  /** The amount in base units (only with `normalizeAmounts`) */
+  amountBaseUnits?: bigint;
 }
 
 /** Response for token balance */
@@ -101,8 +212,18 @@ export interface ApiError {
   status: number;
 }
 
+/** Per-call request options, accepted by every client method */
+export interface RequestOptions {
+  /** Cancels the request, including rate limiter queueing and retries */
+  signal?: AbortSignal;
+  /** Timeout in milliseconds for each attempt, overriding the client's */
+  timeout?: number;
+  /** Extra headers, merged over the default ones */
+  headers?: Record<string, string>;
+}
+
 /** Options for getting token transfers */
-export interface GetTokenTransfersOptions {
+export interface GetTokenTransfersOptions extends RequestOptions {
   /** Maximum number of transfers to return (1-1000, default: 10) */
   limit?: number;
   /** Start timestamp filter (default: 0) */
@@ -111,6 +232,19 @@ export interface GetTokenTransfersOptions {
   toTs?: number;
 }
 
+/** Options for iterating over the full token transfer history */
+export interface IterateTokenTransfersOptions extends RequestOptions {
+  /** Number of transfers requested per page (1-1000, default: 1000) */
+  pageSize?: number;
+  /** Oldest timestamp to include */
+  fromTs?: number;
+  /** Newest timestamp to include (default: latest) */
+  toTs?: number;
+}
+
+/** Maximum number of transfers the API returns per request */
+export const MAX_TRANSFERS_PAGE_SIZE: number;
+
 /** Request item for batch token transfers */
 export interface BatchTokenTransfersRequest {
   blockchain: Blockchain;
@@ -132,44 +266,959 @@ export interface BatchTokenBalancesRequest {
 }
 
 /** Response item for batch operations - can be success or error */
-export type BatchTokenTransfersResponseItem = TokenTransfersResponse | ApiError;
-export type BatchTokenBalancesResponseItem = TokenBalanceResponse | ApiError;
+export type BatchTokenTransfersResponseItem = TokenTransfersResponse | WdkIndexerApiError;
+export type BatchTokenBalancesResponseItem = TokenBalanceResponse | WdkIndexerApiError;
+
+/** Retry policy options */
+export interface RetryOptions {
+  /** Maximum number of attempts, including the first one (default: 3) */
+  maxAttempts?: number;
+  /** Backoff delay before the first retry in milliseconds (default: 250) */
+  baseDelay?: number;
+  /** Upper bound for a single backoff delay in milliseconds (default: 10000) */
+  maxDelay?: number;
+  /** Randomize each backoff delay between 0 and its full value (default: true) */
+  jitter?: boolean;
+  /** HTTP statuses that are retried (default: [429, 502, 503, 504]) */
+  retryOnStatus?: readonly number[];
+  /** Error classes that are retried (default: timeout and network errors) */
+  retryOnErrors?: readonly (new (...args: any[]) => Error)[];
+  /** Wait at least as long as the `Retry-After` header asks (default: true) */
+  respectRetryAfter?: boolean;
+  /** Also retry the batch POST endpoints (default: false) */
+  retryBatch?: boolean;
+}
+
+/** Default retry policy */
+export const DEFAULT_RETRY_OPTIONS: Readonly<Required<RetryOptions>>;
+
+/** Chunking options for batch requests */
+export interface BatchOptions {
+  /** Maximum number of items sent in one batch request (default: 100) */
+  chunkSize?: number;
+  /** Maximum number of batch requests in flight (default: 4) */
+  concurrency?: number;
+}
+
+/** Default chunking of batch requests */
+export const DEFAULT_BATCH_OPTIONS: Readonly<Required<BatchOptions>>;
+
+/** Time-to-live of cached responses per client method, in milliseconds */
+export interface CacheTtl {
+  /** Default: 0 (not cached) */
+  health?: number;
+  /** Default: 10000 */
+  getTokenBalance?: number;
+  /** Default: 10000 */
+  getTokenTransfers?: number;
+}
+
+/** Default time-to-live of cached responses per client method */
+export const DEFAULT_CACHE_TTL: Readonly<Required<CacheTtl>>;
+
+/** Storage backend of the response cache; every method may be async */
+export interface CacheStore {
+  /** Return the stored value, or undefined if missing or expired */
+  get(key: string): unknown | Promise<unknown>;
+  /** Store a value for `ttl` milliseconds */
+  set(key: string, value: unknown, ttl: number): void | Promise<void>;
+  /** Remove a value */
+  delete(key: string): void | Promise<void>;
+  /** Remove all values whose key starts with `prefix` */
+  deleteByPrefix(prefix: string): void | Promise<void>;
+  /** Remove all values */
+  clear(): void | Promise<void>;
+}
+
+/** In-memory cache store with TTL expiry and LRU eviction */
+export class MemoryCacheStore implements CacheStore {
+  /** Maximum number of stored values */
+  readonly maxEntries: number;
+  /** Number of stored values, including expired ones not yet evicted */
+  readonly size: number;
+  constructor(options?: { maxEntries?: number });
+  get(key: string): unknown;
+  set(key: string, value: unknown, ttl: number): void;
+  delete(key: string): void;
+  deleteByPrefix(prefix: string): void;
+  clear(): void;
+}
+
+/** Response cache options */
+export interface CacheOptions {
+  /** Time-to-live per client method in milliseconds, 0 disables caching */
+  ttl?: CacheTtl;
+  /** Size bound of the default in-memory store (default: 1000) */
+  maxEntries?: number;
+  /** Custom storage backend */
+  store?: CacheStore;
+}
+
+/** Response cache of a client */
+export interface ResponseCache {
+  /** Resolved time-to-live per client method */
+  readonly ttl: Readonly<Required<CacheTtl>>;
+  /** The storage backend */
+  readonly store: CacheStore;
+  /**
+   * Drop the cached responses of an address, of every address of a blockchain
+   * or of a blockchain and token, or the whole cache when called without
+   * arguments
+   */
+  invalidate(blockchain?: Blockchain, token?: Token, address?: string): Promise<void>;
+}
+
+/** Client-side rate limiter options */
+export interface RateLimitOptions {
+  /** Sustained request rate */
+  requestsPerSecond: number;
+  /** Maximum number of requests sent at once (default: requestsPerSecond) */
+  burst?: number;
+  /** Maximum number of requests waiting for the limiter (default: Infinity) */
+  maxQueueLength?: number;
+  /** Adjust to rate-limit headers sent by the server (default: true) */
+  adaptive?: boolean;
+}
+
+/** Queue and wait time statistics of the rate limiter */
+export interface RateLimiterStats {
+  /** Number of requests waiting for a token */
+  queueLength: number;
+  /** Number of tokens currently available */
+  availableTokens: number;
+  /** Time until which the limiter is paused by the server, or null */
+  pausedUntil: number | null;
+  /** Wait time of the last request that got a token, in milliseconds */
+  lastWaitTime: number;
+  /** Average wait time of all requests, in milliseconds */
+  averageWaitTime: number;
+  /** Longest wait time of any request, in milliseconds */
+  maxWaitTime: number;
+}
+
+/** Token bucket rate limiter that queues requests instead of failing them */
+export class RateLimiter {
+  readonly requestsPerSecond: number;
+  readonly burst: number;
+  readonly maxQueueLength: number;
+  readonly adaptive: boolean;
+  constructor(options: RateLimitOptions);
+  /** Wait for a token, leaving the queue when the signal aborts */
+  acquire(signal?: AbortSignal): Promise<void>;
+  /** Update the limiter from the headers and status of a response */
+  update(headers?: Headers, status?: number): void;
+  /** Stop handing out tokens for the given time in milliseconds */
+  pause(ms: number): void;
+  /** Current queue and wait time statistics */
+  getStats(): RateLimiterStats;
+}
+
+/** An address watched for new transfers */
+export interface WatchTarget {
+  blockchain: Blockchain;
+  token: Token;
+  address: string;
+}
+
+/** Cursors of a transfer watcher, keyed by `blockchain:token:address` */
+export type WatchCheckpoint = Record<string, { fromTs: number; seen: string[] }>;
+
+/** Options for watching addresses for new transfers */
+export interface WatchTransfersOptions {
+  /** The blockchain network of a single address */
+  blockchain?: Blockchain;
+  /** The token type of a single address */
+  token?: Token;
+  /** A single wallet address */
+  address?: string;
+  /** Several addresses to watch, polled through the batch endpoint */
+  addresses?: WatchTarget[];
+  /** Milliseconds between polls (default: 15000) */
+  interval?: number;
+  /** Timestamp to start from for addresses without a checkpoint (default: now) */
+  fromTs?: number;
+  /** A checkpoint returned by `getCheckpoint()`, to resume from */
+  checkpoint?: WatchCheckpoint;
+}
+
+/** Default polling interval of a transfer watcher, in milliseconds */
+export const DEFAULT_WATCH_INTERVAL: number;
+
+/** Options for a circuit breaker */
+export interface CircuitBreakerOptions {
+  /** Failures in a row that open the circuit, null to disable (default: null) */
+  failureThreshold?: number | null;
+  /** Share of failed calls in the window that opens the circuit, between 0 and 1, null to disable (default: 0.5) */
+  failureRateThreshold?: number | null;
+  /** Milliseconds from which a call counts as slow, not counting the rate limiter queue, null to disable (default: 10000) */
+  slowCallDuration?: number | null;
+  /** Share of slow calls in the window that opens the circuit, between 0 and 1, null to disable (default: 0.5) */
+  slowCallRateThreshold?: number | null;
+  /** Number of recent calls the rates are computed over (default: 20) */
+  windowSize?: number;
+  /** Calls needed in the window before the rates are checked (default: 10) */
+  minimumCalls?: number;
+  /** Milliseconds the circuit stays open (default: 30000) */
+  cooldown?: number;
+}
+
+/** Default options of a circuit breaker */
+export const DEFAULT_CIRCUIT_BREAKER_OPTIONS: Readonly<Required<CircuitBreakerOptions>>;
+
+/** The state of a circuit breaker */
+export type CircuitState = "closed" | "open" | "half-open";
+
+/** The state and failure rates of a circuit breaker */
+export interface CircuitBreakerStats {
+  state: CircuitState;
+  /** Number of calls in the window */
+  calls: number;
+  /** Share of failed calls in the window */
+  failureRate: number;
+  /** Share of slow calls in the window */
+  slowCallRate: number;
+  /** Milliseconds until an open circuit turns half-open */
+  remainingCooldown: number;
+}
+
+/** A call let through by `CircuitBreaker#tryAcquire()` */
+export interface CircuitPermit {
+  /** The state change the call was admitted after; outcomes of older permits are ignored */
+  readonly generation: number;
+  /** Whether the call is the trial call of a half-open circuit */
+  readonly probe: boolean;
+}
+
+/** Circuit breaker with closed, open and half-open states */
+export class CircuitBreaker {
+  readonly failureThreshold: number | null;
+  readonly failureRateThreshold: number | null;
+  readonly slowCallDuration: number | null;
+  readonly slowCallRateThreshold: number | null;
+  readonly windowSize: number;
+  readonly minimumCalls: number;
+  readonly cooldown: number;
+  readonly state: CircuitState;
+  /** Milliseconds until an open circuit turns half-open, 0 when it isn't open */
+  readonly remainingCooldown: number;
+  constructor(options?: CircuitBreakerOptions);
+  /** Check whether a call may go through, claiming the half-open trial call */
+  tryAcquire(): CircuitPermit | null;
+  /** Give back a permit whose call has no outcome, e.g. one cancelled by the caller */
+  release(permit?: CircuitPermit | null): void;
+  /** Record a successful call, closing a half-open circuit unless it was slow */
+  recordSuccess(duration?: number, permit?: CircuitPermit | null): void;
+  /** Record a failed call, opening the circuit at the thresholds or when half-open */
+  recordFailure(duration?: number, permit?: CircuitPermit | null): void;
+  getStats(): CircuitBreakerStats;
+}
+
+/** Options for routing between several endpoints */
+export interface FailoverOptions {
+  /** Failures in a row that take an endpoint out of rotation (default: 3) */
+  failureThreshold?: number;
+  /** Milliseconds before a failed endpoint gets traffic again (default: 30000) */
+  cooldown?: number;
+  /** Prefer endpoints in list order, or the fastest healthy one (default: "priority") */
+  routing?: "priority" | "latency";
+  /** Milliseconds between health checks of all endpoints, 0 disables them (default: 30000) */
+  healthCheckInterval?: number;
+}
+
+/** Default failover options */
+export const DEFAULT_FAILOVER_OPTIONS: Readonly<Required<FailoverOptions>>;
+
+/** An API endpoint and its health */
+export interface Endpoint {
+  /** The base URL, without a trailing slash */
+  readonly url: string;
+  readonly breaker: CircuitBreaker;
+  /** Average health check latency in milliseconds, null until checked */
+  readonly latency: number | null;
+}
+
+/** The state of an endpoint, as returned by `checkEndpoints()` */
+export interface EndpointState {
+  url: string;
+  state: CircuitState;
+  latency: number | null;
+  /** Whether requests currently go to this endpoint first */
+  current: boolean;
+}
+
+/** A change of the preferred endpoint */
+export interface EndpointChangeEvent {
+  previous: string;
+  current: string;
+  /** `failure`: the previous endpoint failed. `recovery`: a preferred endpoint is back. `latency`: another endpoint got faster. */
+  reason: "failure" | "recovery" | "latency";
+}
+
+/** An ordered list of API endpoints with health-based routing */
+export class EndpointPool {
+  readonly options: Readonly<Required<FailoverOptions>>;
+  readonly endpoints: readonly Endpoint[];
+  /** The preferred endpoint */
+  readonly current: Endpoint;
+  constructor(
+    urls?: string | string[],
+    options?: FailoverOptions,
+    onChange?: (change: EndpointChangeEvent) => void
+  );
+  /** The endpoints to try for a request, in order */
+  getCandidates(): Endpoint[];
+  /** Record a call that reached the endpoint, with the permit it got from the endpoint's breaker */
+  recordSuccess(endpoint: Endpoint, permit?: CircuitPermit | null): void;
+  /** Record a call that failed because of the endpoint */
+  recordFailure(endpoint: Endpoint, permit?: CircuitPermit | null): void;
+  /** Give back the permit of a call without an outcome */
+  release(endpoint: Endpoint, permit: CircuitPermit | null): void;
+  recordLatency(endpoint: Endpoint, latency: number): void;
+  /** Get the state of every endpoint, in list order */
+  getStates(): EndpointState[];
+}
+
+/** Attributes of request metrics and spans, named after the OpenTelemetry HTTP conventions */
+export type TelemetryAttributes = Record<string, string | number>;
+
+/** A receiver of request metrics */
+export interface MetricsSink {
+  /** Adds to a counter */
+  counter?(name: string, value: number, attributes: TelemetryAttributes): void;
+  /** Records a value in a histogram */
+  histogram?(name: string, value: number, attributes: TelemetryAttributes): void;
+}
+
+/** Names of the metrics recorded for every request */
+export const METRIC_NAMES: Readonly<{
+  requests: string;
+  duration: string;
+  errors: string;
+  retries: string;
+}>;
+
+/** The parts of an OpenTelemetry `Span` used by the client */
+export interface Span {
+  setAttribute(key: string, value: string | number): unknown;
+  addEvent(name: string, attributes?: TelemetryAttributes): unknown;
+  recordException(exception: Error): void;
+  setStatus(status: { code: number; message?: string }): unknown;
+  end(): void;
+}
+
+/** The parts of an OpenTelemetry `Tracer` used by the client */
+export interface Tracer {
+  startSpan(name: string, options: { kind: number; attributes: TelemetryAttributes }): Span;
+}
+
+/** Get the templated route of an API path, e.g. `/api/v1/:blockchain/:token/:address/token-balances` */
+export function getRouteTemplate(path: string): string;
+
+/** Create a metrics sink that records to an OpenTelemetry `Meter` */
+export function createOpenTelemetryMetricsSink(meter: {
+  createCounter(name: string, options?: { description?: string; unit?: string }): {
+    add(value: number, attributes?: TelemetryAttributes): void;
+  };
+  createHistogram(name: string, options?: { description?: string; unit?: string }): {
+    record(value: number, attributes?: TelemetryAttributes): void;
+  };
+}): MetricsSink;
+
+/** Polls for new token transfers, as an event emitter and async iterable */
+export class TransferWatcher
+implements AsyncIterable<{ transfer: TokenTransfer; target: WatchTarget }> {
+  readonly client: WdkIndexerClient;
+  readonly targets: WatchTarget[];
+  readonly interval: number;
+  /** Whether the watcher is still polling */
+  readonly running: boolean;
+  constructor(client: WdkIndexerClient, options: WatchTransfersOptions);
+  on(event: "transfer", listener: (transfer: TokenTransfer, target: WatchTarget) => void): this;
+  on(event: "checkpoint", listener: (checkpoint: WatchCheckpoint) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: "close", listener: () => void): this;
+  once(event: "transfer", listener: (transfer: TokenTransfer, target: WatchTarget) => void): this;
+  once(event: "checkpoint", listener: (checkpoint: WatchCheckpoint) => void): this;
+  once(event: "error", listener: (error: Error) => void): this;
+  once(event: "close", listener: () => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+  /** Get the cursors of all watched addresses, to resume from later */
+  getCheckpoint(): WatchCheckpoint;
+  /** Stop polling, cancelling the poll in flight */
+  stop(): void;
+  [Symbol.asyncIterator](): AsyncIterator<{ transfer: TokenTransfer; target: WatchTarget }>;
+}
+
+/** A balance threshold of a monitored address, in decimal token amounts */
+export interface BalanceThreshold {
+  /**
+   * `below`: the balance drops under `amount`.
+   * `above`: the balance rises over `amount`.
+   * `change`: a single change is bigger than `amount`.
+   */
+  type: "below" | "above" | "change";
+  amount: string;
+  /** How far back past `amount` a `below` or `above` alert needs to go to clear (default: "0") */
+  hysteresis?: string;
+}
+
+/** An address monitored for balance changes */
+export interface MonitorTarget extends WatchTarget {
+  /** Thresholds of this address, replacing the monitor's */
+  thresholds?: BalanceThreshold[];
+}
+
+/** Options for monitoring balances */
+export interface MonitorBalancesOptions {
+  /** The addresses to monitor, polled with one batch call per tick */
+  addresses: MonitorTarget[];
+  /** Thresholds of the addresses without their own */
+  thresholds?: BalanceThreshold[];
+  /** Milliseconds between ticks (default: 15000) */
+  interval?: number;
+}
+
+/** A balance change reported by a balance monitor */
+export interface BalanceChangeEvent {
+  target: WatchTarget;
+  previous: string;
+  current: string;
+  /** `current - previous`, negative for decreases */
+  delta: string;
+}
+
+/** A threshold alert or clear reported by a balance monitor */
+export interface BalanceThresholdEvent {
+  target: WatchTarget;
+  threshold: BalanceThreshold;
+  /** The balance that crossed the threshold */
+  amount: string;
+  /** The change that crossed the threshold, `null` on the first tick (alerts only) */
+  delta?: string | null;
+}
+
+/** Polls balances and reports changes and threshold alerts */
+export class BalanceMonitor {
+  readonly client: WdkIndexerClient;
+  readonly targets: WatchTarget[];
+  readonly interval: number;
+  /** Whether the monitor is still polling */
+  readonly running: boolean;
+  constructor(client: WdkIndexerClient, options: MonitorBalancesOptions);
+  on(event: "change", listener: (event: BalanceChangeEvent) => void): this;
+  on(event: "alert" | "clear", listener: (event: BalanceThresholdEvent) => void): this;
+  on(event: "error", listener: (error: Error) => void): this;
+  on(event: "close", listener: () => void): this;
+  once(event: "change", listener: (event: BalanceChangeEvent) => void): this;
+  once(event: "alert" | "clear", listener: (event: BalanceThresholdEvent) => void): this;
+  once(event: "error", listener: (error: Error) => void): this;
+  once(event: "close", listener: () => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+  /** Last known balances keyed by `blockchain:token:address`, `null` until fetched */
+  getBalances(): Record<string, string | null>;
+  /** Stop polling, cancelling the request in flight */
+  stop(): void;
+}
+
+/** Options for getting a portfolio */
+export interface GetPortfolioOptions extends RequestOptions {
+  /** Tokens to include (default: every token supported on each chain) */
+  tokens?: Token[];
+}
+
+/** The balance of one chain, token and address of a portfolio */
+export interface PortfolioBalance {
+  blockchain: Blockchain;
+  token: Token;
+  address: string;
+  /** The decimal amount, without trailing zeros */
+  amount: string;
+  decimals: number;
+}
+
+/** A chain, token and address of a portfolio whose balance couldn't be fetched */
+export interface PortfolioFailure {
+  blockchain: Blockchain;
+  token: Token;
+  address: string;
+  /**
+   * A `WdkIndexerApiError`, a `WdkIndexerValidationError` for addresses not
+   * valid on the chain, or the error of the chain's whole request, e.g. a
+   * `WdkIndexerTimeoutError`
+   */
+  error: WdkIndexerError;
+}
+
+/** Balances of addresses across chains */
+export interface Portfolio {
+  /** The balance of every chain, token and address that was fetched */
+  balances: PortfolioBalance[];
+  /** Sums per chain and token */
+  chains: Partial<Record<Blockchain, Partial<Record<Token, string>>>>;
+  /** Sums per token across all chains */
+  totals: Partial<Record<Token, string>>;
+  /** The legs that failed */
+  failed: PortfolioFailure[];
+}
+
+/** Options for reconstructing a balance from the transfer history */
+export interface HistoricalBalanceOptions extends RequestOptions {
+  /** Number of transfers requested per page (default: 1000) */
+  pageSize?: number;
+}
+
+/** The balance of an address at a point in time */
+export interface HistoricalBalance {
+  blockchain: Blockchain;
+  token: Token;
+  address: string;
+  /** The point in time, as a timestamp in seconds */
+  timestamp: number;
+  /** The decimal amount, without trailing zeros */
+  amount: string;
+}
+
+/** Bucket sizes of balance histories */
+export type BalanceHistoryInterval = "hour" | "day";
+
+/** Bucket sizes of balance histories, in seconds */
+export const BALANCE_HISTORY_INTERVALS: Readonly<Record<BalanceHistoryInterval, number>>;
+
+/** Options for getting a balance history */
+export interface BalanceHistoryOptions extends HistoricalBalanceOptions {
+  /** Start of the period, as a timestamp in seconds */
+  fromTs: number;
+  /** End of the period, as a timestamp in seconds (default: now) */
+  toTs?: number;
+  /** The bucket size (default: "day") */
+  interval?: BalanceHistoryInterval;
+}
+
+/** Balances of an address at the end of every hour or day of a period */
+export interface BalanceHistory {
+  blockchain: Blockchain;
+  token: Token;
+  address: string;
+  interval: BalanceHistoryInterval;
+  /** One snapshot per bucket, oldest first */
+  snapshots: Array<{
+    /** The start of the bucket, aligned to UTC */
+    timestamp: number;
+    /** The balance at the end of the bucket */
+    amount: string;
+  }>;
+}
+
+/** Export formats of transfer histories */
+export type TransferExportFormat = "csv" | "ndjson" | "ledger";
+
+/** Default columns of each export format */
+export const DEFAULT_EXPORT_COLUMNS: Readonly<Record<TransferExportFormat, readonly string[]>>;
+
+/** Options for exporting transfers */
+export interface ExportTransfersOptions {
+  /** The export format (default: "csv") */
+  format?: TransferExportFormat;
+  /**
+   * Fields to export, in order (default: `DEFAULT_EXPORT_COLUMNS[format]`).
+   * Any transfer field can be used, as well as `counterparty`, `debit` and
+   * `credit` when the address is known.
+   */
+  columns?: readonly string[];
+  /** The queried address, required by the ledger format */
+  address?: string;
+  /** Start CSV and ledger exports with a header row (default: true) */
+  header?: boolean;
+}
+
+/** Options for exporting the transfer history of an address */
+export interface ExportTokenTransfersOptions
+  extends Omit<ExportTransfersOptions, "address">,
+  IterateTokenTransfersOptions {}
+
+/**
+ * Export transfers as lines of text, one transfer at a time
+ * @throws {WdkIndexerError} If the format is unknown, or a ledger export has no address
+ */
+export function exportTransfers(
+  transfers: Iterable<TokenTransfer> | AsyncIterable<TokenTransfer>,
+  options?: ExportTransfersOptions
+): AsyncGenerator<string, void, undefined>;
+
+/** Export transfers as a web stream of text lines, pulled as the stream is read */
+export function createTransferExportStream(
+  transfers: Iterable<TokenTransfer> | AsyncIterable<TokenTransfer>,
+  options?: ExportTransfersOptions
+): ReadableStream<string>;
+
+/** Request passed to middleware hooks */
+export interface MiddlewareRequest {
+  method: "GET" | "POST";
+  url: string;
+  headers: Record<string, string>;
+  /** Request body, before JSON encoding */
+  body?: unknown;
+}
+
+/** Successful response passed to middleware hooks */
+export interface MiddlewareResponse {
+  request: MiddlewareRequest;
+  status: number;
+  headers?: Headers;
+  /** The parsed response body, returned to the caller */
+  data: unknown;
+  /** Time spent on the request, in milliseconds */
+  duration: number;
+}
+
+/** Context of a failed request passed to `onError` hooks */
+export interface MiddlewareErrorContext {
+  request: MiddlewareRequest;
+  /** Time spent on the request, in milliseconds */
+  duration: number;
+}
+
+/**
+ * Hooks run around every HTTP attempt; each may mutate its argument or
+ * return a replacement
+ */
+export interface Middleware {
+  /** Runs before each attempt, in order */
+  onRequest?(
+    request: MiddlewareRequest
+  ): MiddlewareRequest | void | Promise<MiddlewareRequest | void>;
+  /** Runs after each successful attempt, in reverse order */
+  onResponse?(
+    response: MiddlewareResponse
+  ): MiddlewareResponse | void | Promise<MiddlewareResponse | void>;
+  /** Runs after each failed attempt, in reverse order; may return a different error */
+  onError?(
+    error: Error,
+    context: MiddlewareErrorContext
+  ): Error | void | Promise<Error | void>;
+}
+
+/** Log entry of the logging middleware */
+export interface RequestLogEntry {
+  method: string;
+  url: string;
+  /** Request headers, with sensitive values redacted */
+  headers: Record<string, string>;
+  status?: number;
+  /** Error name, for failed requests */
+  error?: string;
+  /** Error message, for failed requests */
+  message?: string;
+  duration: number;
+}
+
+/** Create a middleware that logs every request with its outcome and latency */
+export function createLoggingMiddleware(options?: {
+  /** Receives one entry per request (default: console.log) */
+  logger?: (entry: RequestLogEntry) => void;
+  /** Headers whose value is redacted (default: ['x-api-key', 'authorization']) */
+  redactHeaders?: string[];
+}): Middleware;
+
+/** Create a middleware that adds a unique request ID header to every request */
+export function createRequestIdMiddleware(options?: {
+  /** Name of the header (default: 'x-request-id') */
+  header?: string;
+  /** ID generator (default: random UUID) */
+  generate?: () => string;
+}): Middleware;
+
+/** Authentication of API requests */
+export interface AuthProvider {
+  /** Adds the credentials to `request.headers`, after the `onRequest` middleware hooks */
+  authenticate(request: MiddlewareRequest): void | Promise<void>;
+  /** Gets a new credential; called when the API answers 401, before the request is retried once */
+  refresh?(): Promise<void>;
+}
+
+/** A credential, or a function that gets one, e.g. from a secret manager */
+export type Credential = string | (() => string | Promise<string>);
+
+/** Options of a provider with a fetched credential */
+export interface CredentialOptions {
+  /** Milliseconds a fetched credential is reused (default: fetched per request) */
+  refreshInterval?: number;
+}
+
+/** Create a provider sending an API key in the `x-api-key` header */
+export function createApiKeyAuth(
+  apiKey: Credential,
+  options?: CredentialOptions & {
+    /** Name of the header (default: 'x-api-key') */
+    header?: string;
+  }
+): AuthProvider;
+
+/** Create a provider sending a bearer token in the `Authorization` header */
+export function createBearerAuth(token: Credential, options?: CredentialOptions): AuthProvider;
+
+/** A request as passed to a signing function */
+export interface SigningRequest {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  /** The exact JSON body that is sent, empty for requests without a body */
+  body: string;
+}
+
+/** Create a provider signing every request with the headers returned by `sign` */
+export function createSigningAuth(
+  sign: (request: SigningRequest) => Record<string, string> | Promise<Record<string, string>>,
+  options?: {
+    /** Gets new signing keys when the API answers 401 */
+    refresh?: () => Promise<void>;
+  }
+): AuthProvider;
 
 /** SDK configuration options */
 export interface WdkIndexerConfig {
-  /** API Key for authentication */
-  apiKey: string;
-  /** Base URL for the API (default: https://wdk-api.tether.io) */
-  baseUrl?: string;
+  /** API Key for authentication, required unless `auth` is set */
+  apiKey?: string;
+  /** Adds the credentials to every request, replacing `apiKey` */
+  auth?: AuthProvider;
+  /** Base URL for the API, or an ordered list of endpoints to fail over between (default: https://wdk-api.tether.io) */
+  baseUrl?: string | string[];
   /** Request timeout in milliseconds (default: 30000) */
   timeout?: number;
   /** Custom fetch implementation (for Node.js environments) */
   fetch?: typeof fetch;
+  /** Retry policy, `true` for the defaults (default: disabled) */
+  retry?: boolean | RetryOptions;
+  /** Chunking of batch requests */
+  batch?: BatchOptions;
+  /** Validate blockchain, token and address before sending requests (default: true) */
+  validate?: boolean;
+  /** Add `decimals` and `amountBaseUnits` next to every balance and transfer amount (default: false) */
+  normalizeAmounts?: boolean;
+  /** Add `direction`, `counterparty` and `signedAmount` relative to the queried address to every transfer (default: false) */
+  enrichTransfers?: boolean;
+  /** Check response bodies against the response types, `true` for strict (default: false) */
+  validateResponses?: boolean | SchemaMode;
+  /** Response cache, `true` for the defaults (default: disabled) */
+  cache?: boolean | CacheOptions;
+  /** Client-side rate limiter (default: disabled) */
+  rateLimit?: RateLimitOptions;
+  /** Hooks run around every HTTP attempt */
+  middleware?: Middleware[];
+  /** Routing between the endpoints of a `baseUrl` list */
+  failover?: FailoverOptions;
+  /** Fail fast while the API is degraded, `true` for the defaults (default: disabled) */
+  circuitBreaker?: boolean | CircuitBreakerOptions;
+  /** Receives request counts, latencies and errors per route (default: disabled) */
+  metrics?: MetricsSink;
+  /** An OpenTelemetry tracer, to create a span per call (default: disabled) */
+  tracer?: Tracer;
 }
 
 /** Base error class for SDK errors */
 export class WdkIndexerError extends Error {
+  /** Number of attempts made before the request failed */
+  attempts?: number;
   constructor(message: string);
 }
 
 /** Error thrown when the API returns an error response */
 export class WdkIndexerApiError extends WdkIndexerError {
   readonly status: number;
+  /** The error type of the API error body, same as `errorType` */
+  readonly error: string;
   readonly errorType: string;
-  constructor(apiError: ApiError);
+  /** Delay requested by the server's `Retry-After` header, in milliseconds */
+  readonly retryAfter?: number;
+  /** The HTTP status text, e.g. `Bad Gateway` */
+  readonly statusText?: string;
+  /** The response headers */
+  readonly headers?: Headers;
+  /** The start of the raw response body, at most `MAX_BODY_SNIPPET_LENGTH` characters */
+  readonly body?: string;
+  /** The HTTP method of the request */
+  readonly method?: string;
+  /** The path of the request, without the query */
+  readonly path?: string;
+  /** The ID of the request, from the `x-request-id` header */
+  readonly requestId?: string;
+  /** Whether the same request may succeed when retried: true for 429, 502, 503 and 504, the default `retryOnStatus` */
+  readonly isRetryable: boolean;
+  constructor(apiError: ApiError, options?: ApiErrorOptions);
+  /** Serialize as the API error body */
+  toJSON(): ApiError;
+}
+
+/** Response details of an API error */
+export interface ApiErrorOptions {
+  retryAfter?: number;
+  statusText?: string;
+  headers?: Headers;
+  body?: string;
+  method?: string;
+  path?: string;
+  requestId?: string;
 }
 
+/** Error thrown when the API rejects the credentials (401 or 403) */
+export class WdkIndexerAuthError extends WdkIndexerApiError {}
+
+/** Error thrown when the API rate limit is exceeded (429), retryable */
+export class WdkIndexerRateLimitError extends WdkIndexerApiError {}
+
+/** Error thrown when the requested resource doesn't exist (404) */
+export class WdkIndexerNotFoundError extends WdkIndexerApiError {}
+
+/** Error thrown when the API rejects the request parameters (400 or 422) */
+export class WdkIndexerBadRequestError extends WdkIndexerApiError {}
+
+/** Error thrown when the API or a gateway in front of it fails (5xx), retryable for 502, 503 and 504 */
+export class WdkIndexerServerError extends WdkIndexerApiError {}
+
+/** Create the API error subclass matching the status of an API error body */
+export function createApiError(apiError: ApiError, options?: ApiErrorOptions): WdkIndexerApiError;
+
+/** Maximum length of the body snippet kept on API errors */
+export const MAX_BODY_SNIPPET_LENGTH: number;
+
 /** Error thrown when a request times out */
 export class WdkIndexerTimeoutError extends WdkIndexerError {
   constructor(timeout: number);
 }
 
+/** Error thrown when a request is cancelled through its AbortSignal */
+export class WdkIndexerAbortError extends WdkIndexerError {
+  /** The abort reason of the signal */
+  readonly cause?: unknown;
+  constructor(reason?: unknown);
+}
+
 /** Error thrown when there's a network error */
 export class WdkIndexerNetworkError extends WdkIndexerError {
   readonly cause?: Error;
   constructor(message: string, cause?: Error);
 }
 
+/** Error thrown when the client-side rate limiter's queue is full */
+export class WdkIndexerQueueFullError extends WdkIndexerError {
+  readonly maxQueueLength: number;
+  constructor(maxQueueLength: number);
+}
+
+/** Error thrown without sending the request while the circuit breaker is open */
+export class WdkIndexerCircuitOpenError extends WdkIndexerError {
+  /** Milliseconds until the circuit lets a request through again */
+  readonly retryAfter: number;
+  constructor(retryAfter: number);
+}
+
+/** Error thrown when a request parameter fails client-side validation */
+export class WdkIndexerValidationError extends WdkIndexerError {
+  /** The field that failed validation, e.g. `address` or `requests[2].token` */
+  readonly field: string;
+  constructor(message: string, field: string);
+}
+
+/** Error thrown when a response body doesn't match the expected schema */
+export class WdkIndexerSchemaError extends WdkIndexerError {
+  /** Path of the offending field, e.g. `$.transfers[3].amount` */
+  readonly path: string;
+  /** The expected type, e.g. `string` or `number or null` */
+  readonly expected: string;
+  /** The type that was received, e.g. `undefined` */
+  readonly received: string;
+  constructor(path: string, expected: string, received: string);
+}
+
+/** Response validation modes */
+export type SchemaMode = "strict" | "lenient";
+
+/** Names of the response schemas */
+export type ResponseSchemaName =
+  | "health"
+  | "tokenTransfers"
+  | "tokenBalance"
+  | "batchTokenTransfers"
+  | "batchTokenBalances";
+
+/**
+ * Check a decoded response body against its schema. Lenient mode checks the
+ * required fields, strict mode also checks optional fields and rejects
+ * undeclared properties.
+ * @returns The data, unchanged
+ * @throws {WdkIndexerSchemaError}
+ */
+export function validateResponse<T>(name: ResponseSchemaName, data: T, mode?: SchemaMode): T;
+
+/**
+ * Validate a blockchain name
+ * @throws {WdkIndexerValidationError}
+ */
+export function validateBlockchain(blockchain: string, field?: string): void;
+
+/**
+ * Validate that a token is supported on a blockchain
+ * @throws {WdkIndexerValidationError}
+ */
+export function validateToken(
+  blockchain: string,
+  token: string,
+  field?: string
+): void;
+
+/**
+ * Validate the format of an address on a blockchain
+ * @throws {WdkIndexerValidationError}
+ */
+export function validateAddress(
+  blockchain: string,
+  address: string,
+  field?: string
+): void;
+
+/** Check if an address is valid on a blockchain */
+export function isValidAddress(blockchain: string, address: string): boolean;
+
+/** Options for formatting amounts */
+export interface FormatAmountOptions {
+  /** Keep at least this many fractional digits (default: 0) */
+  minimumFractionDigits?: number;
+  /** Separator between groups of thousands (default: none) */
+  groupSeparator?: string;
+}
+
+/**
+ * Get the number of decimals of a token on a blockchain
+ * @throws {WdkIndexerValidationError} If the pair is not in the registry
+ */
+export function getTokenDecimals(blockchain: string, token: string): number;
+
+/**
+ * Parse a decimal amount into base units
+ * @throws {WdkIndexerValidationError} If the amount is malformed or too precise
+ */
+export function parseAmount(amount: string | bigint, decimals: number): bigint;
+
+/** Format base units as a decimal string */
+export function formatAmount(
+  baseUnits: bigint,
+  decimals: number,
+  options?: FormatAmountOptions
+): string;
+
+/** Add decimal amounts exactly */
+export function addAmounts(
+  amounts: readonly (string | bigint)[],
+  decimals: number
+): string;
+
+/** Compare two decimal amounts exactly */
+export function compareAmounts(
+  a: string | bigint,
+  b: string | bigint,
+  decimals: number
+): -1 | 0 | 1;
+
 /** Check if a response is an API error */
 export function isApiError(response: unknown): response is ApiError;
 
@@ -187,27 +1236,72 @@ export function isTokenBalanceResponse(
  * Tether WDK Indexer HTTP Client
  */
 export class WdkIndexerClient {
-  /** API Key for authentication */
-  readonly apiKey: string;
-  /** Base URL for the API */
+  /** API Key for authentication, undefined with an `auth` provider */
+  readonly apiKey: string | undefined;
+  /** The auth provider */
+  readonly auth: AuthProvider;
+  /** Base URL of the preferred endpoint */
   readonly baseUrl: string;
+  /** The endpoints requests are routed between */
+  readonly endpoints: EndpointPool;
+  /** The circuit breaker, or null when disabled */
+  readonly circuitBreaker: CircuitBreaker | null;
+  /** The metrics sink, or null when disabled */
+  readonly metrics: MetricsSink | null;
+  /** The tracer, or null when disabled */
+  readonly tracer: Tracer | null;
   /** Request timeout in milliseconds */
   readonly timeout: number;
+  /** Resolved retry policy */
+  readonly retry: Readonly<Required<RetryOptions>>;
+  /** Resolved batch chunking options */
+  readonly batch: Readonly<Required<BatchOptions>>;
+  /** Whether requests are validated before they are sent */
+  readonly validate: boolean;
+  /** Whether amounts are normalized in responses */
+  readonly normalizeAmounts: boolean;
+  readonly enrichTransfers: boolean;
+  /** The response validation mode, or null when disabled */
+  readonly validateResponses: SchemaMode | null;
+  /** The response cache, or null when disabled */
+  readonly cache: ResponseCache | null;
+  /** The rate limiter, or null when disabled */
+  readonly rateLimiter: RateLimiter | null;
+  /** Middleware run around every HTTP attempt */
+  readonly middleware: readonly Middleware[];
 
   constructor(config: WdkIndexerConfig);
 
+  on(event: "endpointChange", listener: (change: EndpointChangeEvent) => void): this;
+  once(event: "endpointChange", listener: (change: EndpointChangeEvent) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+
+  /**
+   * Check the health of every endpoint
+   * @param options - Per-call signal, timeout and headers, applied to every check
+   * @returns The state of every endpoint, in list order
+   */
+  checkEndpoints(options?: RequestOptions): Promise<EndpointState[]>;
+
+  /** Get the state of the circuit breaker, or null when it is disabled */
+  getCircuitState(): CircuitBreakerStats | null;
+
+  /** Stop the background health checks of the endpoints */
+  close(): void;
+
   /**
    * Health check endpoint
+   * @param options - Per-call signal, timeout and headers
    * @returns Health status and timestamp
    */
-  health(): Promise<HealthResponse>;
+  health(options?: RequestOptions): Promise<HealthResponse>;
 
   /**
    * Get token transfers for an address
    * @param blockchain - The blockchain network
    * @param token - The token type
    * @param address - The wallet address
-   * @param options - Optional filters (limit, fromTs, toTs)
+   * @param options - Optional filters (limit, fromTs, toTs) and per-call options
    * @returns Token transfer history
    */
   getTokenTransfers(
@@ -217,13 +1311,45 @@ export class WdkIndexerClient {
     options?: GetTokenTransfersOptions
   ): Promise<TokenTransfersResponse>;
 
+  /**
+   * Iterate over the full token transfer history of an address
+   * @param blockchain - The blockchain network
+   * @param token - The token type
+   * @param address - The wallet address
+   * @param options - Optional filters (pageSize, fromTs, toTs) and per-call options
+   * @returns Token transfers, newest first
+   */
+  iterateTokenTransfers(
+    blockchain: Blockchain,
+    token: Token,
+    address: string,
+    options?: IterateTokenTransfersOptions
+  ): AsyncGenerator<TokenTransfer, void, undefined>;
+
+  /**
+   * Export the full token transfer history of an address as CSV, NDJSON or a ledger
+   * @param blockchain - The blockchain network
+   * @param token - The token type
+   * @param address - The wallet address
+   * @param options - Format, columns, filters and per-call options
+   * @returns A web stream of lines, fetching pages as it is read
+   */
+  exportTokenTransfers(
+    blockchain: Blockchain,
+    token: Token,
+    address: string,
+    options?: ExportTokenTransfersOptions
+  ): ReadableStream<string>;
+
   /**
    * Get batch token transfers for multiple addresses
    * @param requests - Array of transfer requests
-   * @returns Array of transfer responses (may contain errors for individual requests)
+   * @param options - Per-call signal, timeout and headers, applied to every chunk
+   * @returns Array of transfer responses in request order (may contain errors for individual requests)
    */
   getBatchTokenTransfers(
-    requests: BatchTokenTransfersRequest[]
+    requests: BatchTokenTransfersRequest[],
+    options?: RequestOptions
   ): Promise<BatchTokenTransfersResponseItem[]>;
 
   /**
@@ -231,22 +1357,83 @@ export class WdkIndexerClient {
    * @param blockchain - The blockchain network
    * @param token - The token type
    * @param address - The wallet address
+   * @param options - Per-call signal, timeout and headers
    * @returns Current token balance
    */
   getTokenBalance(
     blockchain: Blockchain,
     token: Token,
-    address: string
+    address: string,
+    options?: RequestOptions
   ): Promise<TokenBalanceResponse>;
 
   /**
    * Get batch token balances for multiple addresses
    * @param requests - Array of balance requests
-   * @returns Array of balance responses (may contain errors for individual requests)
+   * @param options - Per-call signal, timeout and headers, applied to every chunk
+   * @returns Array of balance responses in request order (may contain errors for individual requests)
    */
   getBatchTokenBalances(
-    requests: BatchTokenBalancesRequest[]
+    requests: BatchTokenBalancesRequest[],
+    options?: RequestOptions
   ): Promise<BatchTokenBalancesResponseItem[]>;
+
+  /**
+   * Get the balances of addresses across chains, summed per chain and token
+   * @param addressesByChain - One or more addresses per blockchain
+   * @param options - Tokens to include, and per-call options
+   * @returns Balances, sums per chain and token, totals per token and the failed legs
+   */
+  getPortfolio(
+    addressesByChain: Partial<Record<Blockchain, string | string[]>>,
+    options?: GetPortfolioOptions
+  ): Promise<Portfolio>;
+
+  /**
+   * Get the balance of an address at a point in time, reconstructed from the current balance and the transfer history
+   * @param blockchain - The blockchain network
+   * @param token - The token type
+   * @param address - The wallet address
+   * @param atTs - The point in time, as a timestamp in seconds (inclusive)
+   * @param options - Page size and per-call options
+   * @returns The balance at `atTs`
+   */
+  getHistoricalBalance(
+    blockchain: Blockchain,
+    token: Token,
+    address: string,
+    atTs: number,
+    options?: HistoricalBalanceOptions
+  ): Promise<HistoricalBalance>;
+
+  /**
+   * Get the balance of an address at the end of every hour or day of a period
+   * @param blockchain - The blockchain network
+   * @param token - The token type
+   * @param address - The wallet address
+   * @param options - The period, bucket size and per-call options
+   * @returns Snapshots, oldest first
+   */
+  getBalanceHistory(
+    blockchain: Blockchain,
+    token: Token,
+    address: string,
+    options: BalanceHistoryOptions
+  ): Promise<BalanceHistory>;
+
+  /**
+   * Watch one or more addresses for new token transfers
+   * @param options - The address or addresses to watch, and the polling interval
+   * @returns An event emitter and async iterable of new transfers
+   */
+  watchTransfers(options: WatchTransfersOptions): TransferWatcher;
+
+  /**
+   * Monitor the balances of a set of addresses
+   * @param options - The addresses to monitor, thresholds and the polling interval
+   * @returns An event emitter of balance changes and alerts
+   */
+  monitorBalances(options: MonitorBalancesOptions): BalanceMonitor;
 }
 
 /**
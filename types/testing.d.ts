@@ -0,0 +1,106 @@
+// Copyright 2025 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import type { Blockchain, Token, TokenTransfer } from "./index";
+
+/** Routes of the fake indexer, used to target injected errors */
+export type FakeIndexerRoute =
+  | "health"
+  | "tokenBalance"
+  | "tokenTransfers"
+  | "batchTokenBalances"
+  | "batchTokenTransfers";
+
+/** Routes of the fake indexer */
+export const FAKE_INDEXER_ROUTES: readonly FakeIndexerRoute[];
+
+/** A balance fixture */
+export interface FakeBalance {
+  blockchain: Blockchain;
+  token: Token;
+  address: string;
+  amount: string;
+}
+
+/** A transfer fixture; the block number, transaction hash and transfer index are filled in when missing */
+export type FakeTransfer = Partial<TokenTransfer> &
+  Pick<TokenTransfer, "blockchain" | "token" | "amount" | "timestamp">;
+
+/** Options for creating a fake indexer */
+export interface FakeIndexerOptions {
+  /** Balance fixtures; other addresses have a zero balance */
+  balances?: FakeBalance[];
+  /** Transfer fixtures */
+  transfers?: FakeTransfer[];
+  /** Reject requests without this `x-api-key` with 401 (default: any key is accepted) */
+  apiKey?: string;
+}
+
+/** An error to inject into the next matching requests */
+export interface FakeIndexerError {
+  /** Respond with this status and an API error body */
+  status?: number;
+  /** `Retry-After` header in seconds, with `status` */
+  retryAfter?: number;
+  /** Never respond, until the request is aborted */
+  timeout?: boolean;
+  /** Respond with 200 and a truncated JSON body */
+  malformed?: boolean;
+  /** Respond with this raw body, with `status` (default 502) */
+  body?: string;
+  /** Content type of a raw `body` (default: "text/html") */
+  contentType?: string;
+  /** Only fail requests to this route */
+  route?: FakeIndexerRoute;
+  /** Number of requests to fail, `Infinity` for all (default: 1) */
+  times?: number;
+}
+
+/** A request received by the fake indexer */
+export interface FakeIndexerRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  headers: Record<string, string>;
+  /** The parsed JSON body, if any */
+  body?: unknown;
+}
+
+/** An in-memory fake of the WDK Indexer API, for tests */
+export class FakeIndexer {
+  constructor(options?: FakeIndexerOptions);
+  /** Every request received, oldest first */
+  readonly requests: FakeIndexerRequest[];
+  /** Serve a request like `fetch`, to pass as the client's `fetch` option */
+  readonly fetch: typeof fetch;
+  /** Set the balance of an address */
+  setBalance(blockchain: Blockchain, token: Token, address: string, amount: string): void;
+  /** Add a transfer, filling in the identity fields it lacks */
+  addTransfer(transfer: FakeTransfer): TokenTransfer;
+  /** Make the next matching requests fail */
+  injectError(error: FakeIndexerError): void;
+  /** Remove the fixtures, injected errors and recorded requests */
+  reset(): void;
+  /**
+   * Serve the fake indexer over HTTP on localhost
+   * @param port - The port, 0 for a free one (default: 0)
+   * @returns The base URL to pass to the client
+   */
+  listen(port?: number): Promise<string>;
+  /** Stop the HTTP server, dropping open connections */
+  close(): Promise<void>;
+}
+
+/** Create a new FakeIndexer instance */
+export function createFakeIndexer(options?: FakeIndexerOptions): FakeIndexer;